@@ -86,6 +86,7 @@ class BackgroundController {
       chrome.storage.sync.set({
         hotkeyEnabled: true,
         sequenceTimeout: 1500,
+        outputFormat: 'unicode',
         debugMode: true  // Enable debug mode by default for troubleshooting
       });
       
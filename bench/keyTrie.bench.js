@@ -0,0 +1,126 @@
+/**
+ * Keydown benchmark: with 10k multi-key bindings loaded, HotkeyManager.handleKeyDown
+ * must stay under a fixed budget per key for keys that complete a binding,
+ * start one or match nothing. Exits with status 1 when a case is over budget.
+ *
+ * Run with: node bench/keyTrie.bench.js
+ */
+const { PARSER_SCRIPTS, loadScripts, createChromeStub } = require('../test/browserEnv');
+
+/**
+ * Bindings loaded
+ */
+const BINDING_COUNT = 10000;
+
+/**
+ * Most time one keydown may take on average, in milliseconds
+ */
+const BUDGET_MS = 0.1;
+
+/**
+ * Keydowns timed per case, after as many to warm up
+ */
+const ITERATIONS = 20000;
+
+const window = loadScripts([...PARSER_SCRIPTS, 'src/keyTrie.js', 'src/hotkeyManager.js'], {
+  chrome: createChromeStub()
+});
+
+/**
+ * Write a bind file of distinct three-key sequences such as "M-a b c"
+ * @param {number} count - Bindings to write
+ * @returns {string} - Bind file content
+ */
+function createBindFile(count) {
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  const lines = ['Format 4'];
+  for (let i = 0; i < count; i++) {
+    const keys = [i % 26, Math.floor(i / 26) % 26, Math.floor(i / 676) % 26].map(index => letters[index]);
+    lines.push(`\\bind "M-${keys[0]} ${keys[1]} ${keys[2]}" "self-insert ${keys.join('')}"`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a keydown event in a textarea
+ * @param {string} key - KeyboardEvent key
+ * @param {boolean} altKey - Whether Alt is held
+ * @returns {Object} - KeyboardEvent-like object
+ */
+function createEvent(key, altKey = false) {
+  return {
+    key,
+    code: /\d/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`,
+    altKey,
+    ctrlKey: false,
+    shiftKey: false,
+    metaKey: false,
+    target: { tagName: 'TEXTAREA' },
+    preventDefault() {},
+    stopPropagation() {}
+  };
+}
+
+/**
+ * Time the keydowns of a case
+ * @param {HotkeyManager} manager - Manager with the bindings loaded
+ * @param {Array} events - Keydowns typed in order; only the last one is timed
+ * @returns {number} - Average time of the last keydown, in milliseconds
+ */
+function time(manager, events) {
+  const last = events[events.length - 1];
+  let total = 0;
+  
+  for (let i = 0; i < ITERATIONS * 2; i++) {
+    for (const event of events.slice(0, -1)) {
+      manager.handleKeyDown(event);
+    }
+    const start = performance.now();
+    manager.handleKeyDown(last);
+    const elapsed = performance.now() - start;
+    manager.resetSequence();
+    
+    if (i >= ITERATIONS) {
+      total += elapsed;
+    }
+  }
+  
+  return total / ITERATIONS;
+}
+
+const parser = new window.LyXParser();
+parser.setPlatform('pc');
+const bindings = parser.parse(createBindFile(BINDING_COUNT), 'bench.bind');
+
+const manager = new window.LyXHotkeyManager();
+let executed = 0;
+manager.executeAction = () => { executed++; };
+
+const start = performance.now();
+manager.loadBindings(bindings);
+const loadTime = performance.now() - start;
+console.log(`loadBindings: ${bindings.size} bindings in ${loadTime.toFixed(1)} ms`);
+
+const cases = {
+  // M-a b a: the last key completes a binding
+  exact: [createEvent('a', true), createEvent('b'), createEvent('a')],
+  // M-a: starts hundreds of bindings
+  prefix: [createEvent('a', true)],
+  // 1: starts nothing
+  miss: [createEvent('1')]
+};
+
+let failed = false;
+for (const [name, events] of Object.entries(cases)) {
+  const average = time(manager, events);
+  const over = average > BUDGET_MS;
+  failed = failed || over;
+  console.log(`${name.padEnd(6)} ${(average * 1000).toFixed(2)} µs per key (budget ${BUDGET_MS * 1000} µs)${over ? ' OVER BUDGET' : ''}`);
+}
+
+if (executed !== ITERATIONS * 2) {
+  console.log(`Expected ${ITERATIONS * 2} completed sequences, got ${executed}`);
+  failed = true;
+}
+
+process.exitCode = failed ? 1 : 0;
\ No newline at end of file
@@ -15,8 +15,16 @@
     
     // Wait for all modules to be loaded
     if (typeof window.LyXLogger === 'undefined' || 
+        typeof window.LyXKeyNames === 'undefined' ||
+        typeof window.LyXBindLexer === 'undefined' ||
+        typeof window.LyXSymbols === 'undefined' ||
+        typeof window.LyXRenderers === 'undefined' ||
         typeof window.LyXParser === 'undefined' ||
+        typeof window.LyXBindLibrary === 'undefined' ||
+        typeof window.LyXKeyTrie === 'undefined' ||
         typeof window.LyXHotkeyManager === 'undefined' ||
+        typeof window.LyXMathContext === 'undefined' ||
+        typeof window.LyXCaret === 'undefined' ||
         typeof window.LyXInserter === 'undefined') {
       
       if (initAttempts >= maxAttempts) {
@@ -32,6 +40,7 @@
     
     const logger = window.LyXLogger.logger;
     const parser = new window.LyXParser();
+    const bindLibrary = new window.LyXBindLibrary();
     const hotkeyManager = new window.LyXHotkeyManager();
     const inserter = window.LyXInserter;
     
@@ -41,6 +50,9 @@
     constructor() {
       this.isActive = false;
       this.loadedBindings = null;
+      this.bindLayers = window.LyXBindLibrary.DEFAULT_LAYERS;
+      this.bindingOutputFormats = {};
+      this.paletteHotkey = 'M-x';
       this.isInitialized = false;
       
       // Start initialization (async)
@@ -60,7 +72,19 @@
           'hotkeyEnabled',
           'loadedBindings',
           'debugMode',
-          'sequenceTimeout'
+          'sequenceTimeout',
+          'prefixResolution',
+          'replaySwallowedKeys',
+          'keyMatchMode',
+          'paletteHotkey',
+          'bindLayers',
+          'outputFormat',
+          'siteOutputFormats',
+          'bindingOutputFormats',
+          'leftRightDelimiters',
+          'mathDelimiters',
+          'mathMacros',
+          'quoteStyles'
         ]);
         
         logger.debug('Loaded settings:', settings);
@@ -76,11 +100,32 @@
           logger.debug('Setting sequence timeout:', settings.sequenceTimeout);
           hotkeyManager.setSequenceTimeout(settings.sequenceTimeout);
         }
+        hotkeyManager.setPrefixResolution(settings.prefixResolution);
+        hotkeyManager.setReplaySwallowedKeys(settings.replaySwallowedKeys);
+        hotkeyManager.setKeyMatchMode(settings.keyMatchMode);
+        
+        // Configure inserter
+        inserter.setOutputFormat(settings.outputFormat);
+        inserter.setSiteOutputFormats(settings.siteOutputFormats);
+        inserter.setLeftRightDelimiters(settings.leftRightDelimiters);
+        inserter.setMathDelimiters(settings.mathDelimiters);
+        inserter.setMacros(settings.mathMacros);
+        inserter.setQuoteStyles(settings.quoteStyles);
+        
+        // Load the bind file library before parsing so includes resolve
+        await bindLibrary.load();
+        parser.setLibrary(bindLibrary);
+        
+        if (Array.isArray(settings.bindLayers)) {
+          this.bindLayers = settings.bindLayers;
+        }
+        this.bindingOutputFormats = settings.bindingOutputFormats || {};
+        this.paletteHotkey = settings.paletteHotkey ?? 'M-x';
         
         // Load bindings if available
-        if (settings.loadedBindings) {
+        if (settings.loadedBindings || this.hasLibraryLayers()) {
           logger.debug('Found loaded bindings in storage, loading...');
-          this.loadBindings(settings.loadedBindings);
+          this.loadBindings(settings.loadedBindings || '');
         } else {
           logger.debug('No loaded bindings found in storage');
         }
@@ -117,19 +162,29 @@
         logger.debug('Loading bindings with data type:', typeof bindingsData, 'data:', bindingsData);
         
         if (typeof bindingsData === 'string') {
-          // Parse LyX bind file content
+          // Parse LyX bind file content as the editor layer of the keymap stack
           logger.debug('Parsing LyX bind file content, length:', bindingsData.length);
-          const bindings = parser.parse(bindingsData);
+          const layers = [
+            ...this.getPaletteLayers(),
+            ...bindLibrary.resolveLayers(this.bindLayers, bindingsData)
+          ];
+          const bindings = parser.parseLayers(layers);
           logger.debug('Parser returned bindings map with size:', bindings.size);
+          this.applyBindingOutputFormats(bindings);
+          this.reportPaletteClashes(bindings);
           hotkeyManager.loadBindings(bindings);
           this.loadedBindings = bindingsData;
           logger.info(`Loaded ${bindings.size} bindings from LyX file content`);
         } else if (typeof bindingsData === 'object' && bindingsData !== null) {
           // Import previously parsed bindings
           logger.debug('Importing previously parsed bindings, keys:', Object.keys(bindingsData));
+          const palette = new Map(parser.parseLayers(this.getPaletteLayers()));
           parser.importBindings(bindingsData);
-          const bindings = parser.getBindings();
+          // The imported bindings take the place of the bind files over the palette layer
+          const bindings = new Map([...palette, ...parser.getBindings()]);
           logger.debug('Imported bindings map with size:', bindings.size);
+          this.applyBindingOutputFormats(bindings);
+          this.reportPaletteClashes(bindings);
           hotkeyManager.loadBindings(bindings);
           this.loadedBindings = bindingsData;
           logger.info(`Loaded ${bindings.size} bindings from parsed data`);
@@ -150,6 +205,16 @@
       }
     }
     
+    /**
+     * Check whether any enabled keymap layer comes from the bind library
+     * @returns {boolean} - True if a library layer is enabled
+     */
+    hasLibraryLayers() {
+      return this.bindLayers.some(layer =>
+        layer.enabled && layer.name !== window.LyXBindLibrary.EDITOR_LAYER
+      );
+    }
+    
     /**
      * Activate hotkey processing
      */
@@ -301,6 +366,11 @@
      * @param {string} namespace - Storage namespace
      */
     handleStorageChange(changes, namespace) {
+      if (namespace === 'local' && changes.userBindFiles) {
+        this.reloadLibrary();
+        return;
+      }
+      
       if (namespace !== 'sync') return;
       
       logger.debug('Storage changed:', changes);
@@ -318,15 +388,140 @@
         hotkeyManager.setSequenceTimeout(changes.sequenceTimeout.newValue);
       }
       
+      if (changes.prefixResolution) {
+        hotkeyManager.setPrefixResolution(changes.prefixResolution.newValue);
+      }
+      
+      if (changes.replaySwallowedKeys) {
+        hotkeyManager.setReplaySwallowedKeys(changes.replaySwallowedKeys.newValue);
+      }
+      
+      if (changes.keyMatchMode) {
+        hotkeyManager.setKeyMatchMode(changes.keyMatchMode.newValue);
+      }
+      
       if (changes.debugMode) {
         logger.setDebugMode(changes.debugMode.newValue);
       }
       
+      if (changes.outputFormat) {
+        inserter.setOutputFormat(changes.outputFormat.newValue);
+      }
+      
+      if (changes.siteOutputFormats) {
+        inserter.setSiteOutputFormats(changes.siteOutputFormats.newValue);
+      }
+      
+      if (changes.leftRightDelimiters) {
+        inserter.setLeftRightDelimiters(changes.leftRightDelimiters.newValue);
+      }
+      
+      if (changes.mathDelimiters) {
+        inserter.setMathDelimiters(changes.mathDelimiters.newValue);
+      }
+      
+      if (changes.mathMacros) {
+        inserter.setMacros(changes.mathMacros.newValue);
+      }
+      
+      if (changes.quoteStyles) {
+        inserter.setQuoteStyles(changes.quoteStyles.newValue);
+      }
+      
+      if (changes.paletteHotkey) {
+        this.paletteHotkey = changes.paletteHotkey.newValue ?? 'M-x';
+        if (!changes.loadedBindings && !changes.bindLayers && this.loadedBindings !== null) {
+          this.loadBindings(this.loadedBindings);
+        }
+      }
+      
+      if (changes.bindingOutputFormats) {
+        this.bindingOutputFormats = changes.bindingOutputFormats.newValue || {};
+        if (!changes.loadedBindings && !changes.bindLayers && this.loadedBindings !== null) {
+          this.loadBindings(this.loadedBindings);
+        }
+      }
+      
+      if (changes.bindLayers) {
+        this.bindLayers = changes.bindLayers.newValue || window.LyXBindLibrary.DEFAULT_LAYERS;
+        if (!changes.loadedBindings) {
+          this.loadBindings(typeof this.loadedBindings === 'string' ? this.loadedBindings : '');
+        }
+      }
+      
       if (changes.loadedBindings) {
         this.loadBindings(changes.loadedBindings.newValue);
       }
     }
     
+    /**
+     * Give bindings their own math output format where one is configured
+     * @param {Map} bindings - Parsed bindings by binding key
+     */
+    applyBindingOutputFormats(bindings) {
+      const formats = new Map(Object.entries(this.bindingOutputFormats).map(([keySequence, format]) =>
+        [parser.normalizeKeySequence(keySequence), format]
+      ));
+      
+      for (const binding of bindings.values()) {
+        if (formats.has(binding.keySequence)) {
+          binding.outputFormat = formats.get(binding.keySequence);
+        } else {
+          delete binding.outputFormat;
+        }
+      }
+    }
+    
+    /**
+     * Get the keymap layer binding the command palette hotkey. It goes under
+     * the bind files, so that a binding of the same key in them wins.
+     * @returns {Array} - The layer, or no layer if the palette has no hotkey
+     */
+    getPaletteLayers() {
+      if (!this.paletteHotkey) {
+        return [];
+      }
+      return [{
+        name: 'command palette hotkey',
+        content: `\\bind ${parser.lexer.quote(this.paletteHotkey)} "command-execute"`,
+        context: 'any'
+      }];
+    }
+    
+    /**
+     * Warn about bindings that take the command palette hotkey in any context
+     * @param {Map} bindings - Parsed bindings by binding key
+     */
+    reportPaletteClashes(bindings) {
+      if (!this.paletteHotkey) {
+        return;
+      }
+      
+      const keySequence = parser.normalizeKeySequence(this.paletteHotkey);
+      for (const context of window.LyXParser.CONTEXTS) {
+        const existing = bindings.get(parser.bindingKey(keySequence, context));
+        if (existing && existing.lfun !== 'command-execute') {
+          const where = context === 'any' ? '' : ` in ${context}`;
+          logger.warn(`Command palette hotkey ${this.paletteHotkey} is bound to "${existing.command}"${where}`);
+        }
+      }
+    }
+    
+    /**
+     * Reload the bind file library and re-parse bindings that may include it
+     */
+    async reloadLibrary() {
+      try {
+        await bindLibrary.loadUserFiles();
+        
+        if (typeof this.loadedBindings === 'string') {
+          this.loadBindings(this.loadedBindings);
+        }
+      } catch (error) {
+        logger.error('Failed to reload bind library:', error);
+      }
+    }
+    
     /**
      * Show status message to user
      * @param {string} message - Status message
@@ -9,13 +9,30 @@ document.addEventListener('DOMContentLoaded', async function() {
     enableExtension: document.getElementById('enableExtension'),
     sequenceTimeout: document.getElementById('sequenceTimeout'),
     timeoutDisplay: document.getElementById('timeoutDisplay'),
+    prefixResolution: document.getElementById('prefixResolution'),
+    replaySwallowedKeys: document.getElementById('replaySwallowedKeys'),
+    keyMatchMode: document.getElementById('keyMatchMode'),
+    paletteHotkey: document.getElementById('paletteHotkey'),
     debugMode: document.getElementById('debugMode'),
+    outputFormat: document.getElementById('outputFormat'),
+    siteOutputFormats: document.getElementById('siteOutputFormats'),
+    bindingOutputFormats: document.getElementById('bindingOutputFormats'),
+    leftRightDelimiters: document.getElementById('leftRightDelimiters'),
+    mathInlineDelimiter: document.getElementById('mathInlineDelimiter'),
+    mathDisplayDelimiter: document.getElementById('mathDisplayDelimiter'),
+    mathDelimiterSites: document.getElementById('mathDelimiterSites'),
+    mathMacros: document.getElementById('mathMacros'),
+    quoteStyle: document.getElementById('quoteStyle'),
+    quoteStyleSites: document.getElementById('quoteStyleSites'),
     fileUpload: document.getElementById('fileUpload'),
     fileInput: document.getElementById('fileInput'),
     bindingsText: document.getElementById('bindingsText'),
+    bindingsBackdrop: document.getElementById('bindingsBackdrop'),
+    diagnosticsSummary: document.getElementById('diagnosticsSummary'),
     loadBindings: document.getElementById('loadBindings'),
     loadSample: document.getElementById('loadSample'),
     clearBindings: document.getElementById('clearBindings'),
+    exportBindFile: document.getElementById('exportBindFile'),
     totalBindings: document.getElementById('totalBindings'),
     multiStepBindings: document.getElementById('multiStepBindings'),
     conflictCount: document.getElementById('conflictCount'),
@@ -26,15 +43,28 @@ document.addEventListener('DOMContentLoaded', async function() {
     importSettings: document.getElementById('importSettings'),
     exportLogs: document.getElementById('exportLogs'),
     resetSettings: document.getElementById('resetSettings'),
-    importFile: document.getElementById('importFile')
+    importFile: document.getElementById('importFile'),
+    layerList: document.getElementById('layerList'),
+    libraryList: document.getElementById('libraryList'),
+    addLibraryFile: document.getElementById('addLibraryFile'),
+    libraryFileInput: document.getElementById('libraryFileInput')
   };
   
+  const bindLibrary = new window.LyXBindLibrary();
+  const parser = new window.LyXParser();
+  parser.setLibrary(bindLibrary);
+  const serializer = new window.LyXBindSerializer();
+  
   let currentBindings = {};
   let currentConflicts = [];
+  let bindLayers = window.LyXBindLibrary.DEFAULT_LAYERS;
+  let validationTimer = null;
   
   // Initialize the page
   await loadSettings();
   setupEventListeners();
+  await loadLibrary();
+  validateBindings();
   await updateBindingsList();
   
   function setupEventListeners() {
@@ -42,7 +72,21 @@ document.addEventListener('DOMContentLoaded', async function() {
     elements.enableExtension.addEventListener('change', saveSettings);
     elements.sequenceTimeout.addEventListener('input', updateTimeoutDisplay);
     elements.sequenceTimeout.addEventListener('change', saveSettings);
+    elements.prefixResolution.addEventListener('change', saveSettings);
+    elements.replaySwallowedKeys.addEventListener('change', saveSettings);
+    elements.keyMatchMode.addEventListener('change', saveSettings);
+    elements.paletteHotkey.addEventListener('change', saveSettings);
     elements.debugMode.addEventListener('change', saveSettings);
+    elements.outputFormat.addEventListener('change', saveSettings);
+    elements.siteOutputFormats.addEventListener('change', saveSettings);
+    elements.bindingOutputFormats.addEventListener('change', saveSettings);
+    elements.leftRightDelimiters.addEventListener('change', saveSettings);
+    elements.mathInlineDelimiter.addEventListener('change', saveSettings);
+    elements.mathDisplayDelimiter.addEventListener('change', saveSettings);
+    elements.mathDelimiterSites.addEventListener('change', saveSettings);
+    elements.mathMacros.addEventListener('change', saveSettings);
+    elements.quoteStyle.addEventListener('change', saveSettings);
+    elements.quoteStyleSites.addEventListener('change', saveSettings);
     
     // File upload
     elements.fileUpload.addEventListener('click', () => {
@@ -56,10 +100,25 @@ document.addEventListener('DOMContentLoaded', async function() {
     elements.fileUpload.addEventListener('drop', handleDrop);
     elements.fileUpload.addEventListener('dragleave', handleDragLeave);
     
+    // Bindings editor diagnostics
+    elements.bindingsText.addEventListener('input', scheduleValidation);
+    elements.bindingsText.addEventListener('scroll', syncBackdropScroll);
+    elements.diagnosticsSummary.addEventListener('click', jumpToDiagnostic);
+    
     // Bindings management
     elements.loadBindings.addEventListener('click', loadBindingsFromText);
     elements.loadSample.addEventListener('click', loadSampleBindings);
     elements.clearBindings.addEventListener('click', clearBindings);
+    elements.exportBindFile.addEventListener('click', exportBindFile);
+    
+    // Bind file library
+    elements.addLibraryFile.addEventListener('click', () => {
+      elements.libraryFileInput.click();
+    });
+    elements.libraryFileInput.addEventListener('change', addLibraryFiles);
+    elements.libraryList.addEventListener('click', handleLibraryAction);
+    elements.layerList.addEventListener('click', handleLayerAction);
+    elements.layerList.addEventListener('change', handleLayerChange);
     
     // Advanced features
     elements.exportSettings.addEventListener('click', exportSettings);
@@ -76,18 +135,60 @@ document.addEventListener('DOMContentLoaded', async function() {
       const settings = await chrome.storage.sync.get([
         'hotkeyEnabled',
         'sequenceTimeout',
+        'prefixResolution',
+        'replaySwallowedKeys',
+        'keyMatchMode',
+        'paletteHotkey',
         'debugMode',
-        'loadedBindings'
+        'loadedBindings',
+        'bindLayers',
+        'outputFormat',
+        'siteOutputFormats',
+        'bindingOutputFormats',
+        'leftRightDelimiters',
+        'mathDelimiters',
+        'mathMacros',
+        'quoteStyles'
       ]);
       
       elements.enableExtension.checked = settings.hotkeyEnabled !== false;
       elements.sequenceTimeout.value = settings.sequenceTimeout || 1500;
+      elements.prefixResolution.value = settings.prefixResolution || 'timeout';
+      elements.replaySwallowedKeys.checked = settings.replaySwallowedKeys !== false;
+      elements.keyMatchMode.value = settings.keyMatchMode || 'auto';
+      elements.paletteHotkey.value = settings.paletteHotkey ?? 'M-x';
       elements.debugMode.checked = settings.debugMode || false;
+      elements.outputFormat.value = settings.outputFormat || 'unicode';
+      elements.siteOutputFormats.value = Object.entries(settings.siteOutputFormats || {})
+        .map(([host, format]) => `${host} ${format}`)
+        .join('\n');
+      elements.bindingOutputFormats.value = Object.entries(settings.bindingOutputFormats || {})
+        .map(([keySequence, format]) => `${keySequence} ${format}`)
+        .join('\n');
+      elements.leftRightDelimiters.checked = settings.leftRightDelimiters || false;
+      
+      const mathDelimiters = settings.mathDelimiters || {};
+      elements.mathInlineDelimiter.value = mathDelimiters.inline || '$';
+      elements.mathDisplayDelimiter.value = mathDelimiters.display || '\\[';
+      elements.mathDelimiterSites.value = Object.entries(mathDelimiters.sites || {})
+        .map(([host, site]) => `${host} ${site.inline} ${site.display}`)
+        .join('\n');
+      elements.mathMacros.value = settings.mathMacros || '';
+      
+      const quoteStyles = settings.quoteStyles || {};
+      elements.quoteStyle.value = quoteStyles.style || 'auto';
+      elements.quoteStyleSites.value = Object.entries(quoteStyles.sites || {})
+        .map(([host, style]) => `${host} ${style}`)
+        .join('\n');
       
       if (settings.loadedBindings && typeof settings.loadedBindings === 'string') {
         elements.bindingsText.value = settings.loadedBindings;
       }
       
+      if (Array.isArray(settings.bindLayers)) {
+        bindLayers = settings.bindLayers;
+      }
+      
       updateTimeoutDisplay();
       
     } catch (error) {
@@ -101,7 +202,25 @@ document.addEventListener('DOMContentLoaded', async function() {
       const settings = {
         hotkeyEnabled: elements.enableExtension.checked,
         sequenceTimeout: parseInt(elements.sequenceTimeout.value),
-        debugMode: elements.debugMode.checked
+        prefixResolution: elements.prefixResolution.value,
+        replaySwallowedKeys: elements.replaySwallowedKeys.checked,
+        keyMatchMode: elements.keyMatchMode.value,
+        paletteHotkey: validatePaletteHotkey(elements.paletteHotkey.value),
+        debugMode: elements.debugMode.checked,
+        outputFormat: elements.outputFormat.value,
+        siteOutputFormats: parseOutputFormats(elements.siteOutputFormats.value, 'site'),
+        bindingOutputFormats: parseOutputFormats(elements.bindingOutputFormats.value, 'binding'),
+        leftRightDelimiters: elements.leftRightDelimiters.checked,
+        mathDelimiters: {
+          inline: elements.mathInlineDelimiter.value,
+          display: elements.mathDisplayDelimiter.value,
+          sites: parseMathDelimiterSites(elements.mathDelimiterSites.value)
+        },
+        mathMacros: validateMathMacros(elements.mathMacros.value),
+        quoteStyles: {
+          style: elements.quoteStyle.value,
+          sites: parseQuoteStyleSites(elements.quoteStyleSites.value)
+        }
       };
       
       await chrome.runtime.sendMessage({
@@ -117,6 +236,113 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   }
   
+  /**
+   * Check the key names of the command palette hotkey
+   * @param {string} text - Key sequence in bind file notation
+   * @returns {string|undefined} - The key sequence, or undefined to keep the saved one if it has unknown keys
+   */
+  function validatePaletteHotkey(text) {
+    const keySequence = text.trim();
+    const checker = new window.LyXParser();
+    if (keySequence && !checker.checkKeySequence(keySequence, { sourceFile: 'settings', line: 1, text: keySequence })) {
+      const [diagnostic] = checker.diagnostics;
+      showMessage(`Command palette hotkey: ${diagnostic.message}${diagnostic.fix ? `. ${diagnostic.fix}` : ''}`, 'error');
+      return undefined;
+    }
+    return keySequence;
+  }
+  
+  /**
+   * Check the math macro definitions, reporting the first error
+   * @param {string} text - Textarea content
+   * @returns {string} - The definitions, saved as written so comments are kept
+   */
+  function validateMathMacros(text) {
+    const errors = new window.LyXMacroTable().load(text);
+    if (errors.length > 0) {
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      showMessage(`Math macros line ${errors[0].line}: ${errors[0].message}${more}`, 'error');
+    }
+    return text;
+  }
+  
+  /**
+   * Parse the per-site quote style lines: "host style"
+   * @param {string} text - Textarea content
+   * @returns {Object} - Map of host name to style name
+   */
+  function parseQuoteStyleSites(text) {
+    const sites = {};
+    const styles = Object.keys(window.LyXQuoteStyles.STYLES);
+    
+    for (const line of text.split('\n')) {
+      const [host, style] = line.trim().split(/\s+/);
+      if (!host) continue;
+      
+      if (!styles.includes(style)) {
+        showMessage(`Ignoring quote style for ${host}: use one of ${styles.join(', ')}`, 'error');
+        continue;
+      }
+      sites[host] = style;
+    }
+    
+    return sites;
+  }
+  
+  /**
+   * Parse the per-site math delimiter lines: "host inline display"
+   * @param {string} text - Textarea content
+   * @returns {Object} - Map of host name to { inline, display }
+   */
+  function parseMathDelimiterSites(text) {
+    const sites = {};
+    const pairs = window.LyXMathContext.DELIMITER_PAIRS;
+    
+    for (const line of text.split('\n')) {
+      const [host, inline, display] = line.trim().split(/\s+/);
+      if (!host) continue;
+      
+      if (!(inline in pairs) || !(display in pairs)) {
+        showMessage(`Ignoring math delimiters for ${host}: use $ or \\( for inline and $$ or \\[ for display`, 'error');
+        continue;
+      }
+      sites[host] = { inline, display };
+    }
+    
+    return sites;
+  }
+  
+  /**
+   * Parse per-site or per-binding output format lines: "host format" or "key sequence format"
+   * @param {string} text - Textarea content
+   * @param {string} kind - 'site' or 'binding', for messages
+   * @returns {Object} - Map of host name or key sequence to format name
+   */
+  function parseOutputFormats(text, kind) {
+    const formats = {};
+    const known = window.LyXRenderers.formats();
+    
+    for (const line of text.split('\n')) {
+      // Key sequences contain spaces, so the format is the last word
+      const match = line.trim().match(/^(.+?)\s+(\S+)$/);
+      if (!match) {
+        if (line.trim()) {
+          showMessage(`Ignoring ${kind} output format "${line.trim()}": give a format after the ${kind}`, 'error');
+        }
+        continue;
+      }
+      
+      const [, key, format] = match;
+      if (!known.includes(format)) {
+        showMessage(`Ignoring output format "${format}" for ${key}: use ${known.join(', ')}`, 'error');
+        continue;
+      }
+      formats[key] = format;
+    }
+    
+    return formats;
+  }
+  
   function updateTimeoutDisplay() {
     elements.timeoutDisplay.textContent = `${elements.sequenceTimeout.value}ms`;
   }
@@ -152,6 +378,7 @@ document.addEventListener('DOMContentLoaded', async function() {
     try {
       const content = await readFileAsText(file);
       elements.bindingsText.value = content;
+      validateBindings();
       showMessage(`Loaded file: ${file.name}`, 'success');
     } catch (error) {
       console.error('Failed to read file:', error);
@@ -176,6 +403,15 @@ document.addEventListener('DOMContentLoaded', async function() {
         return;
       }
       
+      const diagnostics = validateBindings();
+      const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+      const warningCount = diagnostics.filter(d => d.severity === 'warning').length;
+      
+      if (errorCount > 0 &&
+          !confirm(`Found ${errorCount} error(s) and ${warningCount} warning(s). Lines with errors will be skipped. Load anyway?`)) {
+        return;
+      }
+      
       elements.loadBindings.disabled = true;
       elements.loadBindings.textContent = 'Loading...';
       
@@ -185,7 +421,9 @@ document.addEventListener('DOMContentLoaded', async function() {
       });
       
       if (response.success) {
-        showMessage('Bindings loaded successfully', 'success');
+        showMessage(diagnostics.length > 0 ?
+          `Bindings loaded with ${errorCount} error(s) and ${warningCount} warning(s)` :
+          'Bindings loaded successfully', 'success');
         await updateBindingsList();
       } else {
         showMessage('Failed to load bindings', 'error');
@@ -200,6 +438,288 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   }
   
+  async function loadLibrary() {
+    try {
+      await bindLibrary.load();
+      updateLibraryDisplay();
+      updateLayersDisplay();
+    } catch (error) {
+      console.error('Failed to load bind library:', error);
+      showMessage('Failed to load bind file library', 'error');
+    }
+  }
+  
+  function updateLibraryDisplay() {
+    const files = bindLibrary.list();
+    
+    if (files.length === 0) {
+      elements.libraryList.innerHTML = `
+        <div style="padding: 20px; text-align: center; color: #666;">
+          No bind files in library
+        </div>
+      `;
+      return;
+    }
+    
+    elements.libraryList.innerHTML = files.map(file => `
+      <div class="hotkey-item">
+        <span class="hotkey-sequence">${escapeHtml(file.name)}</span>
+        <span class="hotkey-action">
+          ${file.origin === 'user' ? 'Uploaded' : 'Bundled'}${file.overridden ? ' (overridden by upload)' : ''}
+        </span>
+        <button class="button secondary" data-action="add-layer" data-name="${escapeHtml(file.name)}">Add as Layer</button>
+        <button class="button secondary" data-action="open" data-name="${escapeHtml(file.name)}" data-origin="${file.origin}">Open</button>
+        ${file.origin === 'user' ? `<button class="button danger" data-action="remove" data-name="${escapeHtml(file.name)}">Remove</button>` : ''}
+      </div>
+    `).join('');
+  }
+  
+  async function addLibraryFiles(event) {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+    
+    try {
+      for (const file of files) {
+        const content = await readFileAsText(file);
+        await bindLibrary.addUserFile(file.name, content);
+      }
+      
+      updateLibraryDisplay();
+      updateLayersDisplay();
+      validateBindings();
+      showMessage(`Added ${files.length} file(s) to the bind library`, 'success');
+    } catch (error) {
+      console.error('Failed to add bind files:', error);
+      showMessage('Failed to add bind files to library', 'error');
+    } finally {
+      elements.libraryFileInput.value = '';
+    }
+  }
+  
+  async function handleLibraryAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const name = button.dataset.name;
+    
+    try {
+      if (button.dataset.action === 'add-layer') {
+        if (bindLayers.some(layer => layer.name === name)) {
+          showMessage(`${name} is already in the layer stack`, 'error');
+          return;
+        }
+        // New library layers go below the editor layer so personal bindings keep precedence
+        const editorIndex = bindLayers.findIndex(layer => layer.name === window.LyXBindLibrary.EDITOR_LAYER);
+        const insertAt = editorIndex === -1 ? bindLayers.length : editorIndex;
+        bindLayers = [...bindLayers.slice(0, insertAt), { name, enabled: true }, ...bindLayers.slice(insertAt)];
+        await saveLayers();
+      } else if (button.dataset.action === 'open') {
+        const content = button.dataset.origin === 'user' ?
+          bindLibrary.userFiles.get(name) :
+          bindLibrary.bundledFiles.get(name);
+        elements.bindingsText.value = content || '';
+        validateBindings();
+        showMessage(`Opened ${name}. Click "Load Bindings" to activate it.`, 'success');
+      } else if (button.dataset.action === 'remove') {
+        if (!confirm(`Remove ${name} from the bind library?`)) {
+          return;
+        }
+        await bindLibrary.removeUserFile(name);
+        updateLibraryDisplay();
+        updateLayersDisplay();
+        showMessage(`Removed ${name}`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to update bind library:', error);
+      showMessage('Failed to update bind library', 'error');
+    }
+  }
+  
+  function scheduleValidation() {
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(validateBindings, 300);
+  }
+  
+  /**
+   * Parse the editor content in the context of the layer stack and show its diagnostics
+   * @returns {Array} - Diagnostics reported by the parser
+   */
+  function validateBindings() {
+    clearTimeout(validationTimer);
+    
+    const content = elements.bindingsText.value;
+    
+    let diagnostics = [];
+    if (content.trim()) {
+      parser.parseLayers(resolveEditorLayers(content));
+      diagnostics = parser.getDiagnostics();
+    }
+    
+    renderBackdrop(content, diagnostics);
+    renderDiagnosticsSummary(diagnostics);
+    return diagnostics;
+  }
+  
+  /**
+   * Resolve the layer stack with the editor layer enabled, as the editor shows it
+   * @param {string} content - Editor content
+   * @returns {Array} - Array of { name, content } in priority order
+   */
+  function resolveEditorLayers(content) {
+    const layerConfig = bindLayers.map(layer =>
+      layer.name === window.LyXBindLibrary.EDITOR_LAYER ? { ...layer, enabled: true } : layer
+    );
+    return bindLibrary.resolveLayers(layerConfig, content);
+  }
+  
+  function renderBackdrop(content, diagnostics) {
+    const rank = { info: 0, warning: 1, error: 2 };
+    const lineSeverity = new Map();
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.sourceFile !== 'bindings') continue;
+      const current = lineSeverity.get(diagnostic.line);
+      if (!current || rank[diagnostic.severity] > rank[current]) {
+        lineSeverity.set(diagnostic.line, diagnostic.severity);
+      }
+    }
+    
+    // Trailing newline keeps the backdrop height in step with the textarea
+    elements.bindingsBackdrop.innerHTML = content.split('\n').map((line, index) => {
+      const severity = lineSeverity.get(index + 1);
+      return severity ?
+        `<span class="diag-line ${severity}">${escapeHtml(line) || ' '}</span>` :
+        escapeHtml(line);
+    }).join('\n') + '\n';
+    
+    syncBackdropScroll();
+  }
+  
+  function renderDiagnosticsSummary(diagnostics) {
+    if (diagnostics.length === 0) {
+      elements.diagnosticsSummary.classList.add('hidden');
+      elements.diagnosticsSummary.innerHTML = '';
+      return;
+    }
+    
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    const warningCount = diagnostics.filter(d => d.severity === 'warning').length;
+    const infoCount = diagnostics.length - errorCount - warningCount;
+    
+    elements.diagnosticsSummary.classList.remove('hidden');
+    elements.diagnosticsSummary.innerHTML = `
+      <div class="diagnostics-header">${errorCount} error(s), ${warningCount} warning(s)${infoCount ? `, ${infoCount} note(s)` : ''}</div>
+      ${diagnostics.map(diagnostic => `
+        <div class="diagnostic-item ${diagnostic.severity}" data-source="${escapeHtml(diagnostic.sourceFile)}" data-line="${diagnostic.line}">
+          <span class="severity">${diagnostic.severity}</span>
+          <span class="diagnostic-location">${diagnostic.sourceFile === 'bindings' ? '' : escapeHtml(diagnostic.sourceFile) + ' '}${diagnostic.line}:${diagnostic.column}</span>
+          ${escapeHtml(diagnostic.message)}
+          ${diagnostic.fix ? `<div class="diagnostic-fix">${escapeHtml(diagnostic.fix)}</div>` : ''}
+        </div>
+      `).join('')}
+    `;
+  }
+  
+  function syncBackdropScroll() {
+    elements.bindingsBackdrop.scrollTop = elements.bindingsText.scrollTop;
+  }
+  
+  function jumpToDiagnostic(event) {
+    const item = event.target.closest('.diagnostic-item');
+    if (!item || item.dataset.source !== 'bindings') return;
+    
+    const lines = elements.bindingsText.value.split('\n');
+    const lineIndex = parseInt(item.dataset.line) - 1;
+    const start = lines.slice(0, lineIndex).reduce((offset, line) => offset + line.length + 1, 0);
+    
+    elements.bindingsText.focus();
+    elements.bindingsText.setSelectionRange(start, start + (lines[lineIndex] || '').length);
+  }
+  
+  function updateLayersDisplay() {
+    elements.layerList.innerHTML = bindLayers.map((layer, index) => {
+      const isEditor = layer.name === window.LyXBindLibrary.EDITOR_LAYER;
+      const missing = !isEditor && !bindLibrary.resolve(layer.name);
+      
+      return `
+        <div class="hotkey-item${layer.enabled ? '' : ' disabled'}">
+          <input type="checkbox" data-index="${index}" ${layer.enabled ? 'checked' : ''} title="Enable layer">
+          <span class="hotkey-sequence">${isEditor ? 'Custom bindings (editor)' : escapeHtml(layer.name)}</span>
+          <span class="hotkey-action">${missing ? 'Not found in library' : ''}</span>
+          <select data-context-index="${index}" title="Where the bindings of this layer apply">
+            ${[['any', 'Everywhere'], ['math', 'In math'], ['text', 'In text']].map(([value, label]) =>
+              `<option value="${value}" ${(layer.context || 'any') === value ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+          <button class="button secondary" data-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="button secondary" data-action="down" data-index="${index}" ${index === bindLayers.length - 1 ? 'disabled' : ''}>↓</button>
+          ${isEditor ? '' : `<button class="button danger" data-action="remove" data-index="${index}">Remove</button>`}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  async function handleLayerAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const index = parseInt(button.dataset.index);
+    const layers = [...bindLayers];
+    
+    if (button.dataset.action === 'up' && index > 0) {
+      [layers[index - 1], layers[index]] = [layers[index], layers[index - 1]];
+    } else if (button.dataset.action === 'down' && index < layers.length - 1) {
+      [layers[index + 1], layers[index]] = [layers[index], layers[index + 1]];
+    } else if (button.dataset.action === 'remove') {
+      layers.splice(index, 1);
+    } else {
+      return;
+    }
+    
+    bindLayers = layers;
+    await saveLayers();
+  }
+  
+  async function handleLayerChange(event) {
+    if (event.target.matches('input[type="checkbox"][data-index]')) {
+      const index = parseInt(event.target.dataset.index);
+      bindLayers = bindLayers.map((layer, i) =>
+        i === index ? { ...layer, enabled: event.target.checked } : layer
+      );
+    } else if (event.target.matches('select[data-context-index]')) {
+      // Layers limited to math or text only apply where the caret is
+      const index = parseInt(event.target.dataset.contextIndex);
+      bindLayers = bindLayers.map((layer, i) =>
+        i === index ? { ...layer, context: event.target.value } : layer
+      );
+    } else {
+      return;
+    }
+    await saveLayers();
+  }
+  
+  async function saveLayers() {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: { bindLayers }
+      });
+      
+      updateLayersDisplay();
+      validateBindings();
+      showMessage('Keymap layers saved', 'success');
+      await updateBindingsList();
+    } catch (error) {
+      console.error('Failed to save keymap layers:', error);
+      showMessage('Failed to save keymap layers', 'error');
+    }
+  }
+  
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+  
   async function loadSampleBindings() {
     const sampleBindings = `# Sample LyX Math Bindings
 Format 4
@@ -231,6 +751,7 @@ Format 4
 \\bind "M-m ~S-equal"	"math-insert \\neq"`;
     
     elements.bindingsText.value = sampleBindings;
+    validateBindings();
     showMessage('Sample bindings loaded. Click "Load Bindings" to activate them.', 'success');
   }
   
@@ -242,6 +763,7 @@ Format 4
     try {
       await chrome.storage.sync.remove('loadedBindings');
       elements.bindingsText.value = '';
+      validateBindings();
       currentBindings = {};
       currentConflicts = [];
       
@@ -312,10 +834,46 @@ Format 4
     
     elements.conflictsList.classList.remove('hidden');
     elements.conflictsContent.innerHTML = currentConflicts
-      .map(conflict => `<div class="conflict-item">${conflict}</div>`)
+      .map(conflict => `<div class="conflict-item">${escapeHtml(conflict)}</div>`)
       .join('');
   }
   
+  /**
+   * Download the bindings of the layer stack as LyX bind files: one for the
+   * layers that apply everywhere, and one for each context layers are limited
+   * to, since a bind file cannot say where it applies
+   */
+  function exportBindFile() {
+    try {
+      const bindings = parser.parseLayers(resolveEditorLayers(elements.bindingsText.value));
+      if (bindings.size === 0) {
+        showMessage('No bindings to export', 'error');
+        return;
+      }
+      
+      const files = serializer.contexts(bindings).map(context => {
+        const name = context === 'any' ? 'lyx-hotkeys.bind' : `lyx-hotkeys-${context}.bind`;
+        const blob = new Blob([serializer.serialize(bindings, parser.getEntries(), context)], {
+          type: 'text/plain'
+        });
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+        return context === 'any' ? name : `${name} (add it as a layer limited to ${context})`;
+      });
+      showMessage(`Exported ${bindings.size} bindings to ${files.join(', ')}`, 'success');
+      
+    } catch (error) {
+      console.error('Failed to export bind file:', error);
+      showMessage('Failed to export bind file', 'error');
+    }
+  }
+  
   async function exportSettings() {
     try {
       const response = await chrome.runtime.sendMessage({ action: 'exportData' });
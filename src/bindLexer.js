@@ -0,0 +1,139 @@
+/**
+ * Lexer for LyX bind files
+ * Splits bind file lines into directives, quoted strings and comments
+ */
+class BindLexer {
+  /**
+   * Tokenize one line of a bind file
+   * @param {string} line - The line to tokenize
+   * @returns {Object} - { tokens, comment, error }; tokens are { type, value, column, end }
+   *   with type 'word' or 'string', column and end as 0-based offsets into the line.
+   *   error is { message, column, fix } or null.
+   */
+  tokenizeLine(line) {
+    return this.tokenize(line, { comments: true });
+  }
+  
+  /**
+   * Split the command string of a binding into its LFUN and arguments
+   * @param {string} command - Unescaped command, e.g. 'math-delim langle rangle'
+   * @returns {Object} - { lfun, args, argument }: args is the argument list with
+   *   quoted arguments unquoted, argument the raw text after the LFUN name
+   */
+  splitCommand(command) {
+    const trimmed = command.trim();
+    const match = trimmed.match(/^(\S+)\s*/);
+    if (!match) {
+      return { lfun: '', args: [], argument: '' };
+    }
+    
+    const argument = trimmed.slice(match[0].length);
+    // '#' is an ordinary character inside a command, e.g. "self-insert #"
+    const { tokens, error } = this.tokenize(argument, { comments: false });
+    const args = error ? argument.split(/\s+/).filter(Boolean) : tokens.map(token => token.value);
+    
+    return { lfun: match[1], args, argument };
+  }
+  
+  /**
+   * Quote a value as a bind file string, so that readString gives it back unchanged
+   * @param {string} value - Unescaped value, e.g. a key sequence or command
+   * @returns {string} - Quoted string
+   */
+  quote(value) {
+    // A backslash only needs escaping where it would otherwise start an escape
+    // or escape the closing quote
+    const escaped = value.replace(/\\(?=[\\"]|$)/g, '\\\\').replace(/"/g, '\\"');
+    return `"${escaped}"`;
+  }
+  
+  /**
+   * Tokenize a string
+   * @param {string} text - Text to tokenize
+   * @param {Object} options - { comments }: whether '#' starts a comment
+   * @returns {Object} - { tokens, comment, error }
+   */
+  tokenize(text, options) {
+    const tokens = [];
+    let comment = null;
+    let i = 0;
+    
+    while (i < text.length) {
+      const char = text[i];
+      
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      
+      // A '#' at the start of a token comments out the rest of the line
+      if (options.comments && char === '#') {
+        comment = { value: text.slice(i + 1), column: i };
+        break;
+      }
+      
+      if (char === '"') {
+        const token = this.readString(text, i);
+        if (token.error) {
+          return { tokens, comment, error: token.error };
+        }
+        tokens.push(token);
+        i = token.end;
+        continue;
+      }
+      
+      const start = i;
+      while (i < text.length && !/\s/.test(text[i]) && text[i] !== '"') {
+        i++;
+      }
+      tokens.push({ type: 'word', value: text.slice(start, i), column: start, end: i });
+    }
+    
+    return { tokens, comment, error: null };
+  }
+  
+  /**
+   * Read a quoted string starting at an opening quote
+   * @param {string} text - Text being tokenized
+   * @param {number} start - Offset of the opening quote
+   * @returns {Object} - String token, or { error } if the string is not terminated
+   */
+  readString(text, start) {
+    let value = '';
+    let i = start + 1;
+    
+    while (i < text.length) {
+      const char = text[i];
+      
+      if (char === '"') {
+        return { type: 'string', value, column: start, end: i + 1 };
+      }
+      
+      // Only \" and \\ are escapes; any other backslash is kept so that
+      // LaTeX arguments such as "math-insert \frac" survive unchanged
+      if (char === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+        value += text[i + 1];
+        i += 2;
+        continue;
+      }
+      
+      value += char;
+      i++;
+    }
+    
+    return {
+      error: {
+        message: 'Unterminated quoted string',
+        column: start,
+        fix: 'Add the missing closing " or escape quotes inside strings as \\"'
+      }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BindLexer };
+} else if (typeof window !== 'undefined') {
+  window.LyXBindLexer = BindLexer;
+}
\ No newline at end of file
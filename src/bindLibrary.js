@@ -0,0 +1,197 @@
+/**
+ * Bind File Library for LyX Hotkey Plugin
+ * Resolves \bind_file includes against the bind files shipped with the
+ * extension and the ones the user has uploaded
+ */
+class BindLibrary {
+  constructor() {
+    this.bundledFiles = new Map();
+    this.userFiles = new Map();
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Bind files shipped in the extension's bind/ directory
+   */
+  static get BUNDLED_FILES() {
+    return ['mac.bind', 'math.bind'];
+  }
+  
+  /**
+   * Bind files LyX includes from mac.bind that are not shipped, and why: they
+   * bind X11 keysyms and menus, which the browser handles itself
+   */
+  static get OMITTED_FILES() {
+    return {
+      'menus.bind': 'it opens LyX menus, which have no counterpart in the browser',
+      'latinkeys.bind': 'it binds Latin-1 keysyms to self-insert, which the browser already types',
+      'cyrkeys.bind': 'it binds Cyrillic keysyms to self-insert, which the browser already types',
+      'greekkeys.bind': 'it binds Greek keysyms to self-insert, which the browser already types'
+    };
+  }
+  
+  /**
+   * Layer name standing for the bindings typed into the settings editor
+   */
+  static get EDITOR_LAYER() {
+    return '(editor)';
+  }
+  
+  /**
+   * Keymap layer stack used when none has been configured
+   */
+  static get DEFAULT_LAYERS() {
+    return [{ name: BindLibrary.EDITOR_LAYER, enabled: true }];
+  }
+  
+  /**
+   * Load bundled and user bind files
+   */
+  async load() {
+    await Promise.all([this.loadBundledFiles(), this.loadUserFiles()]);
+    this.logger?.info(`Bind library loaded: ${this.bundledFiles.size} bundled, ${this.userFiles.size} user files`);
+  }
+  
+  async loadBundledFiles() {
+    this.bundledFiles.clear();
+    
+    for (const name of BindLibrary.BUNDLED_FILES) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(`bind/${name}`));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        this.bundledFiles.set(name, await response.text());
+      } catch (error) {
+        this.logger?.warn(`Failed to load bundled bind file ${name}:`, error);
+      }
+    }
+  }
+  
+  async loadUserFiles() {
+    try {
+      // Bind files easily exceed the sync storage item quota
+      const result = await chrome.storage.local.get(['userBindFiles']);
+      this.userFiles = new Map(Object.entries(result.userBindFiles || {}));
+    } catch (error) {
+      this.logger?.warn('Failed to load user bind files:', error);
+    }
+  }
+  
+  async saveUserFiles() {
+    await chrome.storage.local.set({
+      userBindFiles: Object.fromEntries(this.userFiles)
+    });
+  }
+  
+  /**
+   * Add or replace a user bind file
+   * @param {string} name - File name
+   * @param {string} content - Bind file content
+   */
+  async addUserFile(name, content) {
+    this.userFiles.set(this.normalizeName(name), content);
+    await this.saveUserFiles();
+  }
+  
+  /**
+   * Remove a user bind file
+   * @param {string} name - File name
+   */
+  async removeUserFile(name) {
+    this.userFiles.delete(this.normalizeName(name));
+    await this.saveUserFiles();
+  }
+  
+  /**
+   * Normalize a \bind_file argument to a library file name
+   * @param {string} name - Name as written in the bind file
+   * @returns {string} - Normalized file name
+   */
+  normalizeName(name) {
+    // LyX resolves includes relative to its bind directories and allows
+    // the extension to be omitted
+    const baseName = name.trim().split(/[\\/]/).pop();
+    return baseName.endsWith('.bind') ? baseName : `${baseName}.bind`;
+  }
+  
+  /**
+   * Resolve a bind file by name, preferring user files over bundled ones
+   * @param {string} name - File name
+   * @returns {Object|null} - { name, content, origin } or null
+   */
+  resolve(name) {
+    const normalized = this.normalizeName(name);
+    
+    if (this.userFiles.has(normalized)) {
+      return { name: normalized, content: this.userFiles.get(normalized), origin: 'user' };
+    }
+    if (this.bundledFiles.has(normalized)) {
+      return { name: normalized, content: this.bundledFiles.get(normalized), origin: 'bundled' };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Tell why a LyX bind file is not shipped with the extension
+   * @param {string} name - File name
+   * @returns {string|null} - Reason, or null if the file is not a known omission
+   */
+  omissionReason(name) {
+    return BindLibrary.OMITTED_FILES[this.normalizeName(name)] || null;
+  }
+  
+  /**
+   * Resolve the enabled layers of a keymap stack to parser input
+   * @param {Array} layerConfig - Array of { name, enabled, context } in priority order;
+   *   context 'math' or 'text' limits a layer to math or text, and is 'any' by default
+   * @param {string} editorContent - Content of the editor layer
+   * @returns {Array} - Array of { name, content, context } in priority order
+   */
+  resolveLayers(layerConfig, editorContent) {
+    const layers = [];
+    
+    for (const layer of layerConfig) {
+      if (!layer.enabled) continue;
+      
+      if (layer.name === BindLibrary.EDITOR_LAYER) {
+        layers.push({ name: 'bindings', content: editorContent || '', context: layer.context });
+        continue;
+      }
+      
+      const file = this.resolve(layer.name);
+      if (!file) {
+        this.logger?.warn(`Keymap layer not found in bind library: ${layer.name}`);
+        continue;
+      }
+      layers.push({ name: file.name, content: file.content, context: layer.context });
+    }
+    
+    return layers;
+  }
+  
+  /**
+   * List all files in the library
+   * @returns {Array} - Array of { name, origin, overridden }
+   */
+  list() {
+    const files = [];
+    
+    for (const name of this.userFiles.keys()) {
+      files.push({ name, origin: 'user', overridden: false });
+    }
+    for (const name of this.bundledFiles.keys()) {
+      files.push({ name, origin: 'bundled', overridden: this.userFiles.has(name) });
+    }
+    
+    return files;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BindLibrary };
+} else if (typeof window !== 'undefined') {
+  window.LyXBindLibrary = BindLibrary;
+}
\ No newline at end of file
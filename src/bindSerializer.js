@@ -0,0 +1,138 @@
+/**
+ * Bind file serializer for LyX Hotkey Plugin
+ * Writes bindings back out as a LyX bind file, keeping the comments, layout
+ * and order of the file they were parsed from
+ */
+class BindSerializer {
+  constructor() {
+    this.lexer = new window.LyXBindLexer();
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Bind file format written in the header
+   */
+  static get FORMAT() {
+    return 4;
+  }
+  
+  /**
+   * Serialize bindings to bind file content
+   * @param {Map} bindings - Bindings by binding key, as from LyXParser.getBindings
+   * @param {Array} entries - Source lines from LyXParser.getEntries; empty for bindings
+   *   that were not parsed from a bind file
+   * @param {string} context - Only write the bindings and lines of layers limited to
+   *   this context; a bind file itself has no context
+   * @returns {string} - Bind file content
+   */
+  serialize(bindings, entries = [], context = 'any') {
+    const inContext = item => (item.context || 'any') === context;
+    const layerBindings = new Map([...bindings].filter(([, binding]) => inContext(binding)));
+    const layerEntries = entries.filter(inContext);
+    
+    const lines = [];
+    const written = new Set();
+    const topLevelFiles = new Set(layerEntries.map(entry => entry.sourceFile));
+    let hasHeader = false;
+    
+    // Only the last \bind or \unbind of a key decides its command
+    const last = new Map();
+    layerEntries.forEach((entry, index) => {
+      if (entry.type === 'bind' || entry.type === 'unbind') {
+        last.set(entry.key, index);
+      }
+    });
+    
+    layerEntries.forEach((entry, index) => {
+      switch (entry.type) {
+        case 'format':
+          // The output is always in our format, whatever the source declared
+          if (!hasHeader) {
+            lines.push(`Format ${BindSerializer.FORMAT}`);
+            hasHeader = true;
+          }
+          break;
+          
+        case 'bind': {
+          // Rewrite the line if the binding was changed after parsing; a
+          // binding from an included file is kept by its \bind_file line
+          const current = layerBindings.get(entry.key);
+          const changed = current && topLevelFiles.has(current.sourceFile) && current.command !== entry.command;
+          if (last.get(entry.key) === index && changed) {
+            lines.push(this.formatDirective('\\bind', entry.originalKeySequence, current.command, entry));
+          } else {
+            lines.push(entry.text);
+          }
+          written.add(entry.key);
+          break;
+        }
+        
+        default:
+          lines.push(entry.text);
+      }
+    });
+    
+    // Bindings from included files come back through their \bind_file line;
+    // anything else was added without a source line and goes at the end
+    const added = [...layerBindings].filter(([key, binding]) =>
+      !written.has(key) &&
+      (topLevelFiles.has(binding.sourceFile) || !layerEntries.some(entry => /^\s*\\bind_file\b/.test(entry.text)))
+    ).map(([, binding]) => binding);
+    
+    // Keys the source binds last that have since been removed
+    const removed = [...last.values()]
+      .map(index => layerEntries[index])
+      .filter(entry => entry.type === 'bind' && !layerBindings.has(entry.key));
+      
+    if (added.length > 0 || removed.length > 0) {
+      if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+        lines.push('');
+      }
+      for (const binding of added) {
+        lines.push(this.formatDirective('\\bind', binding.originalKeySequence || binding.keySequence, binding.command));
+      }
+      for (const entry of removed) {
+        lines.push(this.formatDirective('\\unbind', entry.originalKeySequence, entry.command));
+      }
+    }
+    
+    if (!hasHeader) {
+      lines.unshift(`Format ${BindSerializer.FORMAT}`, '');
+    }
+    
+    this.logger?.info(`Serialized ${layerBindings.size} bindings (${added.length} without a source line)`);
+    return lines.join('\n');
+  }
+  
+  /**
+   * Get the contexts that have bindings, to write one bind file for each
+   * @param {Map} bindings - Bindings by binding key
+   * @returns {Array} - Contexts in LyXParser.CONTEXTS order, e.g. ['any', 'math']
+   */
+  contexts(bindings) {
+    const used = new Set([...bindings.values()].map(binding => binding.context || 'any'));
+    return window.LyXParser.CONTEXTS.filter(context => used.has(context));
+  }
+  
+  /**
+   * Format a \bind or \unbind line
+   * @param {string} directive - '\\bind' or '\\unbind'
+   * @param {string} keySequence - Key sequence as written in LyX, e.g. 'M-m g a'
+   * @param {string} command - Command of the binding
+   * @param {Object} layout - { spacing, trailing } of the source line, to keep
+   *   alignment and trailing comments
+   * @returns {string} - Bind file line
+   */
+  formatDirective(directive, keySequence, command, layout = {}) {
+    const spacing = layout.spacing || ' ';
+    const trailing = layout.trailing || '';
+    return `${directive} ${this.lexer.quote(keySequence)}${spacing}${this.lexer.quote(command)}${trailing}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BindSerializer };
+} else if (typeof window !== 'undefined') {
+  window.LyXBindSerializer = BindSerializer;
+}
\ No newline at end of file
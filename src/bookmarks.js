@@ -0,0 +1,266 @@
+/**
+ * Bookmarks for LyX Hotkey Plugin
+ * Remembers numbered caret positions in text fields for bookmark-save and
+ * bookmark-goto, keeps them in place while the text is edited and marks them
+ * in the margin of the field
+ */
+class CaretBookmarks {
+  constructor() {
+    // Bookmark number -> { element, offset } in inputs and textareas, or
+    // { element, range } in rich text, where the live range follows edits
+    this.bookmarks = new Map();
+    this.values = new WeakMap();
+    this.markers = new Map();
+    this.listening = false;
+    this.logger = window.LyXLogger?.logger;
+    
+    // Bind event handlers
+    this.handleInput = this.handleInput.bind(this);
+    this.updateMarkers = this.updateMarkers.bind(this);
+  }
+  
+  /**
+   * Save the caret position of the focused field as a bookmark
+   * @param {number} number - Bookmark number
+   * @param {Element} target - Element the key was pressed in
+   * @returns {boolean} - Success status
+   */
+  save(number, target) {
+    const element = this.findField(target);
+    if (!element) {
+      return false;
+    }
+    
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      this.bookmarks.set(number, { element, offset: element.selectionStart });
+      this.values.set(element, element.value);
+    } else {
+      const selection = window.getSelection();
+      if (selection.rangeCount === 0) {
+        return false;
+      }
+      const range = selection.getRangeAt(0).cloneRange();
+      range.collapse(true);
+      this.bookmarks.set(number, { element, range });
+    }
+    
+    this.startListening();
+    this.updateMarkers();
+    this.logger?.debug(`Saved bookmark ${number} in ${element.tagName}`);
+    
+    return true;
+  }
+  
+  /**
+   * Move the caret to a bookmark, focusing its field
+   * @param {number} number - Bookmark number
+   * @param {Element} target - Element the key was pressed in
+   * @returns {boolean} - Success status; false if the bookmark is not set
+   */
+  goto(number, target) {
+    const bookmark = this.bookmarks.get(number);
+    if (!bookmark || !bookmark.element.isConnected) {
+      this.logger?.debug(`Bookmark ${number} is not set`);
+      this.remove(number);
+      return false;
+    }
+    
+    // Like LyX, bookmark 0 remembers where the last jump started
+    if (number !== 0 && target) {
+      this.save(0, target);
+    }
+    
+    const { element } = bookmark;
+    element.focus();
+    
+    if (bookmark.range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(bookmark.range.cloneRange());
+      bookmark.range.startContainer.parentElement?.scrollIntoView({ block: 'nearest' });
+    } else {
+      const offset = Math.min(bookmark.offset, element.value.length);
+      element.setSelectionRange(offset, offset);
+      // Scroll the bookmarked line to the middle of the field
+      const { top } = window.LyXCaret.measureOffset(element, offset);
+      element.scrollTop = Math.max(0, top - element.clientHeight / 2);
+    }
+    
+    this.updateMarkers();
+    this.logger?.debug(`Went to bookmark ${number}`);
+    
+    return true;
+  }
+  
+  /**
+   * Remove all bookmarks
+   * @returns {boolean} - Success status
+   */
+  clear() {
+    for (const number of [...this.bookmarks.keys()]) {
+      this.remove(number);
+    }
+    this.stopListening();
+    return true;
+  }
+  
+  /**
+   * Remove a bookmark and its marker
+   * @param {number} number - Bookmark number
+   */
+  remove(number) {
+    this.bookmarks.delete(number);
+    this.markers.get(number)?.remove();
+    this.markers.delete(number);
+  }
+  
+  /**
+   * Find the text field an element belongs to
+   * @param {Element} target - Element the key was pressed in
+   * @returns {Element|null} - Input, textarea or contentEditable element
+   */
+  findField(target) {
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      return target;
+    }
+    return target.closest?.('[contenteditable=""], [contenteditable="true"]') || null;
+  }
+  
+  /**
+   * Start following edits and scrolling
+   */
+  startListening() {
+    if (this.listening) return;
+    document.addEventListener('input', this.handleInput, true);
+    document.addEventListener('scroll', this.updateMarkers, true);
+    window.addEventListener('resize', this.updateMarkers);
+    this.listening = true;
+  }
+  
+  /**
+   * Stop following edits and scrolling
+   */
+  stopListening() {
+    if (!this.listening) return;
+    document.removeEventListener('input', this.handleInput, true);
+    document.removeEventListener('scroll', this.updateMarkers, true);
+    window.removeEventListener('resize', this.updateMarkers);
+    this.listening = false;
+  }
+  
+  /**
+   * Shift the bookmarks of a field past text inserted or deleted before them
+   * @param {InputEvent} event - Input event
+   */
+  handleInput(event) {
+    const element = event.target;
+    const previous = this.values.get(element);
+    if (previous === undefined) {
+      this.updateMarkers();
+      return;
+    }
+    
+    // The edit is what lies between the common start and the common end
+    const value = element.value;
+    let start = 0;
+    while (start < previous.length && start < value.length && previous[start] === value[start]) {
+      start++;
+    }
+    let oldEnd = previous.length;
+    let newEnd = value.length;
+    while (oldEnd > start && newEnd > start && previous[oldEnd - 1] === value[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+    
+    for (const bookmark of this.bookmarks.values()) {
+      if (bookmark.element !== element) continue;
+      if (bookmark.offset >= oldEnd) {
+        bookmark.offset += newEnd - oldEnd;
+      } else if (bookmark.offset > start) {
+        // Text around the bookmark was replaced
+        bookmark.offset = start;
+      }
+    }
+    
+    this.values.set(element, value);
+    this.updateMarkers();
+  }
+  
+  /**
+   * Place a marker in the margin of each bookmarked field, hiding markers
+   * scrolled out of their field
+   */
+  updateMarkers() {
+    for (const [number, bookmark] of this.bookmarks) {
+      if (!bookmark.element.isConnected) {
+        this.remove(number);
+        continue;
+      }
+      
+      const position = this.getScreenPosition(bookmark);
+      const field = bookmark.element.getBoundingClientRect();
+      const marker = this.markers.get(number) || this.createMarker(number);
+      const visible = position && position.top >= field.top && position.top < field.bottom;
+      
+      marker.style.display = visible ? 'block' : 'none';
+      if (visible) {
+        marker.style.top = `${position.top}px`;
+        marker.style.left = `${Math.max(0, field.left - 16)}px`;
+      }
+    }
+  }
+  
+  /**
+   * Create the marker of a bookmark
+   * @param {number} number - Bookmark number
+   * @returns {Element} - Marker element
+   */
+  createMarker(number) {
+    const marker = document.createElement('div');
+    marker.className = 'lyx-hotkey-bookmark';
+    marker.style.cssText = `
+      position: fixed;
+      width: 14px;
+      height: 14px;
+      background: #4a90d9;
+      color: #fff;
+      border-radius: 7px 0 0 7px;
+      font: bold 10px/14px Arial, sans-serif;
+      text-align: center;
+      pointer-events: none;
+      z-index: 10000;
+    `;
+    marker.textContent = String(number);
+    document.body.appendChild(marker);
+    this.markers.set(number, marker);
+    return marker;
+  }
+  
+  /**
+   * Get the viewport position of a bookmark
+   * @param {Object} bookmark - Bookmark
+   * @returns {Object|null} - { top } of the bookmarked line, or null if unknown
+   */
+  getScreenPosition(bookmark) {
+    if (bookmark.range) {
+      const rect = bookmark.range.getClientRects()[0] || bookmark.range.startContainer.parentElement?.getBoundingClientRect();
+      return rect ? { top: rect.top } : null;
+    }
+    
+    const element = bookmark.element;
+    const field = element.getBoundingClientRect();
+    const { top } = window.LyXCaret.measureOffset(element, Math.min(bookmark.offset, element.value.length));
+    return { top: field.top + top - element.scrollTop };
+  }
+}
+
+// Create global instance
+const caretBookmarks = new CaretBookmarks();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CaretBookmarks, caretBookmarks };
+} else if (typeof window !== 'undefined') {
+  window.LyXBookmarks = caretBookmarks;
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Caret geometry for LyX Hotkey Plugin
+ * Measures where the caret is drawn in text fields and rich text, for the
+ * bookmark markers and the sequence overlay
+ */
+class CaretGeometry {
+  /**
+   * Styles copied to the mirror element that measures caret positions in text fields
+   */
+  static get MIRROR_PROPERTIES() {
+    return [
+      'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+      'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight',
+      'fontFamily', 'textAlign', 'textTransform', 'textIndent', 'letterSpacing',
+      'wordSpacing', 'tabSize', 'whiteSpace', 'wordWrap', 'overflowWrap'
+    ];
+  }
+  
+  /**
+   * Measure where an offset of a text field's value is drawn, by laying the
+   * text out in a hidden copy of the field
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Text field
+   * @param {number} offset - Offset in the value
+   * @returns {Object} - { top, left } relative to the field's border box, ignoring scrolling
+   */
+  measureOffset(element, offset) {
+    const style = window.getComputedStyle(element);
+    const mirror = document.createElement('div');
+    for (const property of CaretGeometry.MIRROR_PROPERTIES) {
+      mirror.style[property] = style[property];
+    }
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.top = '0';
+    mirror.style.left = '-9999px';
+    // Textareas wrap long lines; inputs never do
+    mirror.style.whiteSpace = element.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
+    
+    mirror.textContent = element.value.substring(0, offset);
+    const caret = document.createElement('span');
+    caret.textContent = element.value.substring(offset) || '.';
+    mirror.appendChild(caret);
+    document.body.appendChild(mirror);
+    
+    const top = caret.offsetTop + parseInt(style.borderTopWidth, 10);
+    const left = caret.offsetLeft + parseInt(style.borderLeftWidth, 10);
+    mirror.remove();
+    
+    return { top, left };
+  }
+  
+  /**
+   * Get the viewport rectangle of the caret, or of the target if it cannot be measured
+   * @param {Element} target - Text field or element in rich text
+   * @returns {Object} - { top, bottom, left }
+   */
+  getCaretRect(target) {
+    const field = target.getBoundingClientRect();
+    
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      const offset = this.measureOffset(target, target.selectionStart ?? 0);
+      const top = field.top + offset.top - target.scrollTop;
+      const lineHeight = parseFloat(window.getComputedStyle(target).lineHeight) || 16;
+      return { top, bottom: top + lineHeight, left: field.left + offset.left - target.scrollLeft };
+    }
+    
+    const selection = window.getSelection();
+    const rect = selection.rangeCount > 0 ? selection.getRangeAt(0).getClientRects()[0] : null;
+    return rect || { top: field.top, bottom: field.bottom, left: field.left };
+  }
+}
+
+// Create global instance
+const caretGeometry = new CaretGeometry();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CaretGeometry, caretGeometry };
+} else if (typeof window !== 'undefined') {
+  window.LyXCaret = caretGeometry;
+}
\ No newline at end of file
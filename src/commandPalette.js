@@ -0,0 +1,417 @@
+/**
+ * Command palette for LyX Hotkey Plugin
+ * Opens a search box over the focused field for command-execute, finds bound
+ * commands, LaTeX symbols and user macros by name, and inserts the one chosen
+ * into the field
+ */
+class CommandPalette {
+  constructor() {
+    this.element = null;
+    this.input = null;
+    this.list = null;
+    this.entries = [];
+    this.results = [];
+    this.selected = 0;
+    // Field the palette was opened over, and its selection at the time
+    this.target = null;
+    this.selection = null;
+    this.manager = null;
+    this.logger = window.LyXLogger?.logger;
+    
+    // Bind event handlers
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+  }
+  
+  /**
+   * Most results listed at once
+   */
+  static get MAX_RESULTS() {
+    return 50;
+  }
+  
+  /**
+   * Open the palette over a field
+   * @param {Element} target - Element the palette inserts into
+   * @param {HotkeyManager} manager - Hotkey manager whose bindings are searched
+   * @returns {boolean} - Success status
+   */
+  open(target, manager) {
+    if (!target) {
+      return false;
+    }
+    
+    this.target = target;
+    this.manager = manager;
+    this.selection = this.saveSelection(target);
+    this.entries = this.buildEntries(manager.bindings);
+    
+    const palette = this.element || this.createElement();
+    this.place(palette, target);
+    palette.style.display = 'block';
+    this.input.value = '';
+    this.update();
+    this.input.focus();
+    
+    this.logger?.debug(`Opened command palette with ${this.entries.length} entries`);
+    return true;
+  }
+  
+  /**
+   * Close the palette
+   * @param {boolean} restore - Give the focus and selection back to the field
+   */
+  close(restore = true) {
+    if (!this.element || this.element.style.display === 'none') return;
+    this.element.style.display = 'none';
+    
+    if (restore && this.target?.isConnected) {
+      this.target.focus();
+      this.restoreSelection(this.target, this.selection);
+    }
+  }
+  
+  /**
+   * Check whether an element belongs to the palette
+   * @param {Element} element - Element to check
+   * @returns {boolean} - True if the element is inside the palette
+   */
+  contains(element) {
+    return !!this.element && this.element.contains(element);
+  }
+  
+  /**
+   * Collect what can be searched: bindings by command, and LaTeX symbols and
+   * user macros by name
+   * @param {Map} bindings - Bindings by normalized key sequence
+   * @returns {Array} - Entries as { title, detail, preview, keys, search, binding | latex }
+   */
+  buildEntries(bindings) {
+    const entries = [];
+    const symbols = window.LyXSymbols || new Map();
+    const keysByLatex = new Map();
+    
+    for (const binding of bindings.values()) {
+      const action = binding.action || {};
+      if (action.type === 'palette') continue;
+      
+      if (action.type === 'math' && !keysByLatex.has(action.latex)) {
+        keysByLatex.set(action.latex, binding.keySequence);
+      }
+      // Bound symbols are listed once, with their symbol entry
+      if (action.type === 'math' && symbols.has(action.latex)) continue;
+      
+      // Commands that insert nothing are described by their name alone
+      const preview = window.LyXSequenceOverlay?.describe(binding) ?? '';
+      entries.push({
+        title: binding.command,
+        detail: '',
+        preview: preview === binding.command ? '' : preview,
+        keys: binding.keySequence,
+        search: binding.command.toLowerCase(),
+        binding
+      });
+    }
+    
+    for (const [latex, { char, name }] of symbols) {
+      entries.push({
+        title: latex,
+        detail: name.toLowerCase(),
+        preview: /^\p{M}/u.test(char) ? `◌${char}` : char,
+        keys: keysByLatex.get(latex) || '',
+        search: `${latex} ${name}`.toLowerCase(),
+        latex
+      });
+    }
+    
+    for (const name of window.LyXInserter?.macros?.macros.keys() || []) {
+      entries.push({
+        title: name,
+        detail: 'macro',
+        preview: '',
+        keys: keysByLatex.get(name) || '',
+        search: name.toLowerCase(),
+        latex: name
+      });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Score how well a query matches a text: every word of the query must appear
+   * in the text, whole or as letters in order
+   * @param {string} query - Lowercase query
+   * @param {string} text - Lowercase text to search
+   * @returns {number|null} - Score, higher is better, or null if the text does not match
+   */
+  score(query, text) {
+    let total = 0;
+    for (const word of query.split(/\s+/).filter(Boolean)) {
+      const score = this.scoreWord(word, text);
+      if (score === null) {
+        return null;
+      }
+      total += score;
+    }
+    return total;
+  }
+  
+  /**
+   * Score one word of a query
+   * @param {string} word - Query word
+   * @param {string} text - Text to search
+   * @returns {number|null} - Score, or null if the letters of the word are not in the text
+   */
+  scoreWord(word, text) {
+    const isWordStart = index => index === 0 || /[\s\\\-_]/.test(text[index - 1]);
+    
+    const index = text.indexOf(word);
+    if (index !== -1) {
+      return 100 + (isWordStart(index) ? 50 : 0);
+    }
+    
+    // Letters in order, counting runs and word starts
+    let score = 0;
+    let last = -1;
+    for (const char of word) {
+      const next = text.indexOf(char, last + 1);
+      if (next === -1) {
+        return null;
+      }
+      if (next === last + 1) score += 5;
+      if (isWordStart(next)) score += 3;
+      last = next;
+    }
+    return score;
+  }
+  
+  /**
+   * Filter the entries by the query and redraw the list
+   */
+  update() {
+    const query = this.input.value.trim().toLowerCase();
+    
+    if (query) {
+      this.results = this.entries
+        .map(entry => ({ entry, score: this.score(query, entry.search) }))
+        .filter(result => result.score !== null)
+        .sort((a, b) => b.score - a.score || a.entry.title.length - b.entry.title.length)
+        .slice(0, CommandPalette.MAX_RESULTS)
+        .map(result => result.entry);
+    } else {
+      this.results = this.entries.slice(0, CommandPalette.MAX_RESULTS);
+    }
+    
+    this.selected = 0;
+    this.render();
+  }
+  
+  /**
+   * Draw the results
+   */
+  render() {
+    this.list.textContent = '';
+    
+    this.results.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        gap: 8px;
+        padding: 3px 10px;
+        cursor: pointer;
+        background: ${index === this.selected ? '#555' : 'transparent'};
+      `;
+      
+      const preview = document.createElement('span');
+      preview.style.cssText = 'flex: 0 0 3em; overflow: hidden; text-overflow: ellipsis;';
+      preview.textContent = entry.preview;
+      
+      const title = document.createElement('span');
+      title.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      title.textContent = entry.title;
+      if (entry.detail) {
+        const detail = document.createElement('span');
+        detail.style.cssText = 'color: #aaa; margin-left: 8px;';
+        detail.textContent = entry.detail;
+        title.appendChild(detail);
+      }
+      
+      const keys = document.createElement('span');
+      keys.style.cssText = 'color: #8fc1ff; white-space: nowrap;';
+      keys.textContent = entry.keys;
+      
+      row.append(preview, title, keys);
+      // Keep the focus in the search box while clicking
+      row.addEventListener('mousedown', event => {
+        event.preventDefault();
+        this.choose(entry);
+      });
+      this.list.appendChild(row);
+    });
+    
+    this.list.children[this.selected]?.scrollIntoView({ block: 'nearest' });
+  }
+  
+  /**
+   * Insert an entry into the field the palette was opened over
+   * @param {Object} entry - Entry to insert
+   */
+  choose(entry) {
+    this.close();
+    
+    const target = this.target;
+    if (entry.binding) {
+      this.manager.runAction(entry.binding.action, target, entry.binding.outputFormat);
+    } else {
+      window.LyXInserter?.insertMath(entry.latex, target);
+    }
+    this.logger?.debug(`Command palette inserted ${entry.title}`);
+  }
+  
+  /**
+   * Refilter as the query changes
+   */
+  handleInput() {
+    this.update();
+  }
+  
+  /**
+   * Move through the results, choose one, or close the palette
+   * @param {KeyboardEvent} event - Keydown event in the search box
+   */
+  handleKeyDown(event) {
+    const count = this.results.length;
+    
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (count > 0) {
+          this.selected = (this.selected + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+          this.render();
+        }
+        break;
+      case 'Enter':
+        if (this.results[this.selected]) {
+          this.choose(this.results[this.selected]);
+        }
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        // Typing stays in the search box
+        event.stopPropagation();
+        return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+  }
+  
+  /**
+   * Close the palette when the focus goes elsewhere
+   */
+  handleBlur() {
+    this.close(false);
+  }
+  
+  /**
+   * Create the palette elements
+   * @returns {Element} - Palette element
+   */
+  createElement() {
+    const palette = document.createElement('div');
+    palette.className = 'lyx-hotkey-palette';
+    palette.style.cssText = `
+      position: fixed;
+      background: #333;
+      color: #fff;
+      border-radius: 5px;
+      font: 13px/1.5 Arial, sans-serif;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+      z-index: 10002;
+    `;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Search commands and symbols';
+    input.style.cssText = `
+      box-sizing: border-box;
+      width: 100%;
+      padding: 6px 10px;
+      border: none;
+      border-bottom: 1px solid #555;
+      background: transparent;
+      color: #fff;
+      font: inherit;
+      outline: none;
+    `;
+    input.addEventListener('input', this.handleInput);
+    input.addEventListener('keydown', this.handleKeyDown);
+    input.addEventListener('blur', this.handleBlur);
+    
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 300px; overflow-y: auto;';
+    
+    palette.append(input, list);
+    document.body.appendChild(palette);
+    this.element = palette;
+    this.input = input;
+    this.list = list;
+    return palette;
+  }
+  
+  /**
+   * Move the palette over the top of a field, keeping it on screen
+   * @param {Element} palette - Palette element
+   * @param {Element} target - Field
+   */
+  place(palette, target) {
+    const field = target.getBoundingClientRect();
+    const width = Math.min(window.innerWidth, Math.max(field.width, 360), 560);
+    palette.style.width = `${width}px`;
+    palette.style.top = `${Math.max(0, Math.min(field.top, window.innerHeight - 340))}px`;
+    palette.style.left = `${Math.max(0, Math.min(field.left, window.innerWidth - width))}px`;
+  }
+  
+  /**
+   * Remember the selection of a field, which moving the focus to the palette loses
+   * @param {Element} target - Field
+   * @returns {Object|null} - { start, end } in inputs and textareas, or { range } in rich text
+   */
+  saveSelection(target) {
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      return { start: target.selectionStart, end: target.selectionEnd };
+    }
+    const selection = window.getSelection();
+    return selection.rangeCount > 0 ? { range: selection.getRangeAt(0).cloneRange() } : null;
+  }
+  
+  /**
+   * Put a saved selection back
+   * @param {Element} target - Field
+   * @param {Object|null} saved - Selection from saveSelection
+   */
+  restoreSelection(target, saved) {
+    if (!saved) return;
+    if (saved.range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(saved.range);
+    } else {
+      target.setSelectionRange(saved.start, saved.end);
+    }
+  }
+}
+
+// Create global instance
+const commandPalette = new CommandPalette();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CommandPalette, commandPalette };
+} else if (typeof window !== 'undefined') {
+  window.LyXCommandPalette = commandPalette;
+}
\ No newline at end of file
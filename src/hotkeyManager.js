@@ -5,9 +5,22 @@
 class HotkeyManager {
   constructor() {
     this.bindings = new Map();
+    // Key tries of math and text, the same one unless some bindings are limited
+    // to one of them, and the trie of the sequence being typed
+    this.trie = new window.LyXKeyTrie();
+    this.tries = { math: this.trie, text: this.trie };
     this.currentSequence = [];
     this.sequenceTimeout = 1500; // Default 1.5 seconds
     this.timeoutId = null;
+    this.prefixResolution = 'timeout';
+    this.keyMatchMode = 'auto';
+    // Binding of the current sequence, waiting to see if a longer one follows
+    this.pendingBinding = null;
+    this.pendingEvent = null;
+    // Keydown events held back while a sequence was being typed
+    this.swallowedKeys = [];
+    this.replaySwallowedKeys = true;
+    this.replayedEvents = new WeakSet();
     this.enabled = true;
     this.conflicts = new Set();
     this.logger = window.LyXLogger?.logger;
@@ -51,6 +64,55 @@ class HotkeyManager {
     this.logger?.info(`Sequence timeout set to ${this.sequenceTimeout}ms`);
   }
   
+  /**
+   * Ways of resolving a sequence that is both bound and the start of longer bindings:
+   * 'immediate' runs the shorter binding at once, 'timeout' runs it if no longer
+   * sequence is typed before the timeout, and 'lyx' keeps only the binding
+   * defined last, as LyX does
+   */
+  static get PREFIX_RESOLUTIONS() {
+    return ['immediate', 'timeout', 'lyx'];
+  }
+  
+  /**
+   * Set how sequences that are also prefixes are resolved
+   * @param {string} mode - One of PREFIX_RESOLUTIONS; anything else selects 'timeout'
+   */
+  setPrefixResolution(mode) {
+    this.prefixResolution = HotkeyManager.PREFIX_RESOLUTIONS.includes(mode) ? mode : 'timeout';
+    this.buildTries();
+    this.detectConflicts();
+    this.logger?.info(`Prefix resolution set to ${this.prefixResolution}`);
+  }
+  
+  /**
+   * Ways of matching keys: 'logical' by the character the layout types,
+   * 'physical' by the position of the key on a US keyboard, and 'auto' by the
+   * character first and the position second
+   */
+  static get KEY_MATCH_MODES() {
+    return ['logical', 'physical', 'auto'];
+  }
+  
+  /**
+   * Set how keys are matched against the bindings
+   * @param {string} mode - One of KEY_MATCH_MODES; anything else selects 'auto'
+   */
+  setKeyMatchMode(mode) {
+    this.keyMatchMode = HotkeyManager.KEY_MATCH_MODES.includes(mode) ? mode : 'auto';
+    this.resetSequence();
+    this.logger?.info(`Key match mode set to ${this.keyMatchMode}`);
+  }
+  
+  /**
+   * Set whether keys held back by a sequence that fails are typed after all
+   * @param {boolean} enabled - Whether to replay them; anything but false enables it
+   */
+  setReplaySwallowedKeys(enabled) {
+    this.replaySwallowedKeys = enabled !== false;
+    this.logger?.info(`Replaying swallowed keys ${this.replaySwallowedKeys ? 'enabled' : 'disabled'}`);
+  }
+  
   /**
    * Enable or disable hotkey processing
    * @param {boolean} enabled - Whether hotkeys should be enabled
@@ -72,53 +134,88 @@ class HotkeyManager {
    */
   loadBindings(bindings) {
     this.bindings = new Map(bindings);
+    this.buildTries();
     this.detectConflicts();
     this.logger?.info(`Loaded ${this.bindings.size} key bindings`);
   }
   
   /**
-   * Detect conflicts between key sequences
+   * Build the key tries of math and text from the bindings
    */
-  detectConflicts() {
-    this.conflicts.clear();
-    const sequences = Array.from(this.bindings.keys());
+  buildTries() {
+    const exclusive = this.prefixResolution === 'lyx';
+    this.resetSequence();
     
-    for (let i = 0; i < sequences.length; i++) {
-      for (let j = i + 1; j < sequences.length; j++) {
-        const seq1 = sequences[i];
-        const seq2 = sequences[j];
-        
-        if (this.hasConflict(seq1, seq2)) {
-          this.conflicts.add(`${seq1} <-> ${seq2}`);
-          this.logger?.warn(`Hotkey conflict detected: ${seq1} conflicts with ${seq2}`);
-        }
+    if (![...this.bindings.values()].some(binding => binding.context && binding.context !== 'any')) {
+      const trie = new window.LyXKeyTrie();
+      trie.build(this.bindings, exclusive);
+      this.tries = { math: trie, text: trie };
+    } else {
+      this.tries = {};
+      for (const context of ['math', 'text']) {
+        this.tries[context] = new window.LyXKeyTrie();
+        this.tries[context].build(this.getContextBindings(context), exclusive);
       }
     }
-    
-    if (this.conflicts.size > 0) {
-      this.logger?.warn(`Found ${this.conflicts.size} hotkey conflicts`);
+    this.trie = this.tries.text;
+  }
+  
+  /**
+   * Get the bindings that apply in a context
+   * @param {string} context - 'math' or 'text'
+   * @returns {Map} - Bindings by normalized key sequence; the context's own
+   *   bindings override the ones for any context
+   */
+  getContextBindings(context) {
+    const bindings = new Map();
+    for (const binding of this.bindings.values()) {
+      if (!binding.context || binding.context === 'any') {
+        bindings.set(binding.keySequence, binding);
+      }
     }
+    for (const binding of this.bindings.values()) {
+      if (binding.context === context) {
+        bindings.set(binding.keySequence, binding);
+      }
+    }
+    return bindings;
   }
   
   /**
-   * Check if two sequences conflict
-   * @param {string} seq1 - First sequence
-   * @param {string} seq2 - Second sequence
-   * @returns {boolean} - True if they conflict
+   * Detect bindings that can never run under the current prefix resolution
    */
-  hasConflict(seq1, seq2) {
-    const parts1 = seq1.split(' ');
-    const parts2 = seq2.split(' ');
+  detectConflicts() {
+    this.conflicts.clear();
     
-    // One sequence is a prefix of another
-    const minLength = Math.min(parts1.length, parts2.length);
-    for (let i = 0; i < minLength; i++) {
-      if (parts1[i] !== parts2[i]) {
-        return false;
+    const shared = this.tries.math === this.tries.text;
+    for (const [context, trie] of Object.entries(this.tries)) {
+      if (shared && context === 'text') continue;
+      // Name the context only when math and text have keymaps of their own
+      const label = shared ? '' : `In ${context}: `;
+      
+      if (this.prefixResolution === 'lyx') {
+        // The trie dropped the bindings a later one replaced
+        for (const { binding, by } of trie.dropped) {
+          this.conflicts.add(`${label}${binding.keySequence} is unreachable: overridden by ${by}`);
+        }
+      } else {
+        // Only sequences on the same path of the trie can conflict
+        for (const [shorter, longer] of trie.findConflicts()) {
+          if (this.prefixResolution === 'immediate') {
+            this.conflicts.add(`${label}${longer} is unreachable: ${shorter} runs first`);
+          } else {
+            this.logger?.debug(`${label}${shorter} waits for the timeout because ${longer} starts with it`);
+          }
+        }
       }
     }
     
-    return parts1.length !== parts2.length;
+    for (const conflict of this.conflicts) {
+      this.logger?.warn(`Hotkey conflict detected: ${conflict}`);
+    }
+    if (this.conflicts.size > 0) {
+      this.logger?.warn(`Found ${this.conflicts.size} hotkey conflicts`);
+    }
   }
   
   /**
@@ -143,15 +240,34 @@ class HotkeyManager {
    * @param {KeyboardEvent} event - The keyboard event
    */
   handleKeyDown(event) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.replayedEvents.has(event)) return;
+    
+    // Keys typed in the command palette's search box are its own
+    if (window.LyXCommandPalette?.contains(event.target)) return;
     
     // Skip if inside non-editable content and not a special key
     if (!this.isEditableContext(event.target) && !this.isSpecialKey(event)) {
       return;
     }
     
-    const keyString = this.eventToKeyString(event);
-    if (!keyString) return;
+    // Of the keys the event can stand for, take the first that continues a binding
+    const keyStrings = this.eventToKeyStrings(event);
+    if (keyStrings.length === 0) return;
+    
+    // A sequence uses the keymap of where it starts; the caret is only looked
+    // at for keys that start a binding in math or text
+    if (this.currentSequence.length === 0 && this.tries.math !== this.tries.text) {
+      const starts = keyStrings.some(key => this.tries.math.root.children.has(key) || this.tries.text.root.children.has(key));
+      this.trie = starts ? this.tries[this.detectContext(event.target)] : this.tries.text;
+    }
+    const keyString = keyStrings.find(key => this.trie.find([...this.currentSequence, key])) || keyStrings[0];
+    
+    // Keys typed in a Unicode superscript or subscript are converted by the inserter
+    if (this.currentSequence.length === 0 && window.LyXInserter?.handleScriptKey(event)) {
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
     
     this.logger?.debug(`Key pressed: ${keyString}`, {
       currentSequence: this.currentSequence,
@@ -161,9 +277,41 @@ class HotkeyManager {
     // Add to current sequence
     this.currentSequence.push(keyString);
     const currentSequenceString = this.currentSequence.join(' ');
+    const node = this.trie.find(this.currentSequence);
+    
+    // Escape cancels a sequence, typing the keys held back so far
+    if (!node && keyString === 'Escape' && this.currentSequence.length > 1) {
+      this.logger?.debug(`Sequence cancelled: ${currentSequenceString}`);
+      this.currentSequence.pop();
+      this.abandonSequence();
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+    
+    // A key that does not continue the sequence runs the binding waiting for
+    // it, then starts a sequence of its own
+    if (!node && this.pendingBinding) {
+      this.currentSequence.pop();
+      this.runPendingBinding();
+      this.handleKeyDown(event);
+      return;
+    }
     
     // Check for exact match
-    const exactMatch = this.bindings.get(currentSequenceString);
+    const exactMatch = node?.binding;
+    const hasPrefix = node?.children.size > 0;
+    if (exactMatch && hasPrefix && this.prefixResolution !== 'immediate') {
+      this.logger?.debug(`Sequence ${currentSequenceString} is bound, waiting for a longer one`);
+      this.pendingBinding = exactMatch;
+      this.pendingEvent = event;
+      this.swallowedKeys.push(event);
+      this.startSequenceTimeout();
+      window.LyXSequenceOverlay?.show(this.currentSequence, node, event.target);
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
     if (exactMatch) {
       this.logger?.info(`Hotkey sequence completed: ${currentSequenceString}`, exactMatch);
       this.executeAction(exactMatch, event);
@@ -174,12 +322,22 @@ class HotkeyManager {
     }
     
     // Check if current sequence is a prefix of any binding
-    const hasPrefix = this.hasMatchingPrefix(currentSequenceString);
     if (hasPrefix) {
       this.logger?.debug(`Partial sequence match: ${currentSequenceString}`);
+      this.pendingBinding = null;
+      this.pendingEvent = null;
+      this.swallowedKeys.push(event);
       this.startSequenceTimeout();
+      window.LyXSequenceOverlay?.show(this.currentSequence, node, event.target);
       event.preventDefault();
       event.stopPropagation();
+    } else if (this.currentSequence.length > 1) {
+      // The keys before this one were held back for nothing: type them, then
+      // handle this key as if no sequence had been started
+      this.logger?.debug(`No sequence match for: ${currentSequenceString}`);
+      this.currentSequence.pop();
+      this.abandonSequence();
+      this.handleKeyDown(event);
     } else {
       // No match, reset sequence
       this.logger?.debug(`No sequence match for: ${currentSequenceString}`);
@@ -187,58 +345,94 @@ class HotkeyManager {
     }
   }
   
+  /**
+   * Get the key strings a keyboard event can match under the key match mode
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {Array} - Key strings in order of preference; empty for modifier keys
+   */
+  eventToKeyStrings(event) {
+    const logical = this.eventToKeyString(event);
+    if (!logical || this.keyMatchMode === 'logical') {
+      return logical ? [logical] : [];
+    }
+    
+    // Keys missing from the layout map, such as arrows, are the same on every layout
+    const physical = this.eventToKeyString(event, true) || logical;
+    if (this.keyMatchMode === 'physical' || physical === logical) {
+      return [physical];
+    }
+    return [logical, physical];
+  }
+  
   /**
    * Convert keyboard event to key string
    * @param {KeyboardEvent} event - Keyboard event
+   * @param {boolean} physical - Name the key by its position on a US keyboard
+   *   (event.code) instead of the character it types
    * @returns {string|null} - Key string or null
    */
-  eventToKeyString(event) {
+  eventToKeyString(event, physical = false) {
     const parts = [];
     
-    // Add modifiers
-    if (event.ctrlKey) parts.push('Ctrl');
-    if (event.altKey) parts.push('Alt');
-    if (event.shiftKey) parts.push('Shift');
-    if (event.metaKey) parts.push('Meta');
-    
     // Add main key
     let key = event.key;
     
+    // Modifier keys on their own never complete a key, and must not break
+    // a pending sequence while the user reaches for Shift
+    if (!key || HotkeyManager.MODIFIER_KEYS.includes(key)) {
+      return null;
+    }
+    
+    if (physical) {
+      const characters = window.LyXPhysicalKeys?.[event.code];
+      if (!characters) {
+        return null;
+      }
+      key = characters[event.shiftKey ? 1 : 0];
+    }
+    
     // Handle special cases
     if (key === ' ') key = 'Space';
     
-    // For single character keys, use the event.key as-is when shift is pressed
-    // This preserves the correct case (e.g., 'D' for Shift+D)
+    let shift = event.shiftKey;
+    
     if (key.length === 1) {
-      if (event.shiftKey && key.match(/[A-Z]/)) {
-        // Keep uppercase when shift produces an uppercase letter
-        // (this is the expected case)
-      } else if (!event.shiftKey && key.match(/[a-z]/)) {
-        // Keep lowercase when no shift produces a lowercase letter
-        // (this is the expected case)
+      if (key.toLowerCase() !== key.toUpperCase()) {
+        // Letters: keep the case Shift produces (e.g., 'D' for Shift+D) and
+        // ignore Caps Lock, matching the parser's normalized keys
+        key = shift ? key.toUpperCase() : key.toLowerCase();
       } else {
-        // For other cases, normalize to lowercase
-        key = key.toLowerCase();
+        // Other characters already encode the Shift state (e.g., '(' or '+'),
+        // so Shift is not part of the key string
+        shift = false;
       }
     }
     
+    // Add modifiers
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (shift) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    
     parts.push(key);
     
     return parts.join('+');
   }
   
+  /**
+   * KeyboardEvent key values of the modifier keys themselves
+   */
+  static get MODIFIER_KEYS() {
+    return ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'Hyper', 'Super', 'CapsLock', 'Fn'];
+  }
+  
   /**
    * Check if current sequence is a prefix of any binding
    * @param {string} sequence - Current sequence
    * @returns {boolean} - True if it's a prefix
    */
   hasMatchingPrefix(sequence) {
-    for (const binding of this.bindings.keys()) {
-      if (binding.startsWith(sequence + ' ')) {
-        return true;
-      }
-    }
-    return false;
+    return this.trie.hasContinuation(sequence.split(' '));
   }
   
   /**
@@ -248,10 +442,26 @@ class HotkeyManager {
     this.clearSequenceTimeout();
     this.timeoutId = setTimeout(() => {
       this.logger?.debug(`Sequence timeout after ${this.sequenceTimeout}ms: ${this.currentSequence.join(' ')}`);
-      this.resetSequence();
+      if (this.pendingBinding) {
+        this.runPendingBinding();
+      } else {
+        this.abandonSequence();
+      }
     }, this.sequenceTimeout);
   }
   
+  /**
+   * Run the binding that was waiting for a longer sequence, and reset the sequence
+   */
+  runPendingBinding() {
+    const binding = this.pendingBinding;
+    const event = this.pendingEvent;
+    this.resetSequence();
+    
+    this.logger?.info(`Hotkey sequence completed: ${binding.keySequence}`, binding);
+    this.executeAction(binding, event);
+  }
+  
   /**
    * Clear sequence timeout
    */
@@ -262,12 +472,101 @@ class HotkeyManager {
     }
   }
   
+  /**
+   * Give up on the current sequence, replaying the keys it held back if configured
+   */
+  abandonSequence() {
+    const events = this.swallowedKeys;
+    this.resetSequence();
+    
+    if (this.replaySwallowedKeys && events.length > 0) {
+      this.replayKeys(events);
+    }
+  }
+  
+  /**
+   * Deliver held-back keys after all: keys that type a character are inserted
+   * into the field as text, and other keys are dispatched again for the page
+   * @param {Array} events - Keydown events in the order they were typed
+   */
+  replayKeys(events) {
+    let text = '';
+    let textTarget = null;
+    const flush = () => {
+      if (text) {
+        window.LyXInserter?.insertText(text, textTarget, text.length);
+        text = '';
+      }
+    };
+    
+    for (const event of events) {
+      const character = this.eventToText(event);
+      if (character !== null && event.target === textTarget) {
+        text += character;
+        continue;
+      }
+      
+      flush();
+      if (character !== null) {
+        text = character;
+        textTarget = event.target;
+        continue;
+      }
+      
+      // Synthetic events reach the page's own handlers, but the browser does
+      // not act on them
+      const replayed = new KeyboardEvent('keydown', {
+        key: event.key,
+        code: event.code,
+        ctrlKey: event.ctrlKey,
+        altKey: event.altKey,
+        shiftKey: event.shiftKey,
+        metaKey: event.metaKey,
+        bubbles: true,
+        cancelable: true
+      });
+      this.replayedEvents.add(replayed);
+      event.target.dispatchEvent(replayed);
+    }
+    flush();
+    
+    this.logger?.debug(`Replayed ${events.length} swallowed keys`);
+  }
+  
+  /**
+   * Get the text a keydown event would have typed
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {string|null} - Typed text, or null for keys that do not type
+   */
+  eventToText(event) {
+    // Option on the Mac and AltGr (reported as Ctrl+Alt on Windows) type
+    // characters such as µ or @. Other Ctrl, Alt and Cmd keys are shortcuts:
+    // replayKeys dispatches them again, but the browser does not act on
+    // synthetic events, so e.g. a held-back Ctrl+V does not paste. Dead keys
+    // and input method composition cannot be replayed either.
+    const option = event.altKey && !event.ctrlKey && !event.metaKey &&
+      window.LyXParser?.detectPlatform() === 'mac';
+    const altGraph = event.getModifierState?.('AltGraph');
+    if ((event.ctrlKey || event.altKey || event.metaKey) && !option && !altGraph) {
+      return null;
+    }
+    if (event.key === 'Enter' && event.target.tagName !== 'INPUT') {
+      return '\n';
+    }
+    // Printable keys are named by the character they type
+    return [...event.key].length === 1 ? event.key : null;
+  }
+  
   /**
    * Reset current sequence
    */
   resetSequence() {
     this.currentSequence = [];
+    this.pendingBinding = null;
+    this.pendingEvent = null;
+    this.swallowedKeys = [];
     this.clearSequenceTimeout();
+    window.LyXSequenceOverlay?.hide();
     this.logger?.debug('Sequence reset');
   }
   
@@ -301,6 +600,36 @@ class HotkeyManager {
     return false;
   }
   
+  /**
+   * Elements of rendered math in rich text editors
+   */
+  static get MATH_SELECTORS() {
+    return '.MathJax, .MathJax_Display, mjx-container, .katex, .katex-display, math';
+  }
+  
+  /**
+   * Decide whether the caret is in math: inside math delimiters or a math
+   * environment in the text of the field, or inside MathJax or KaTeX output
+   * @param {Element} target - Element the key was pressed in
+   * @returns {string} - 'math' or 'text'
+   */
+  detectContext(target) {
+    if (target.tagName !== 'INPUT' && target.tagName !== 'TEXTAREA') {
+      const node = window.getSelection()?.anchorNode;
+      const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+      if (element?.closest?.(HotkeyManager.MATH_SELECTORS)) {
+        return 'math';
+      }
+    }
+    
+    const inserter = window.LyXInserter;
+    const source = inserter?.getMathSource(target);
+    if (source && inserter.mathContext?.findEnclosing(source.text, source.start, source.end)) {
+      return 'math';
+    }
+    return 'text';
+  }
+  
   /**
    * Check if this is a special key that should always be processed
    * @param {KeyboardEvent} event - Keyboard event
@@ -318,19 +647,9 @@ class HotkeyManager {
    */
   executeAction(binding, event) {
     try {
-      if (binding.action.type === 'insert') {
-        // Use the inserter to insert text
-        if (window.LyXInserter) {
-          window.LyXInserter.insertText(binding.action.text, event.target);
-        } else {
-          this.logger?.error('LyXInserter not available');
-        }
-      } else if (binding.action.type === 'command') {
-        this.logger?.info(`Executing command: ${binding.action.command}`);
-        // Handle custom commands here if needed
-      }
+      const applied = this.runAction(binding.action, event.target, binding.outputFormat);
       
-      this.logger?.info(`Action executed: ${binding.command}`, {
+      this.logger?.info(`Action ${applied ? 'executed' : 'not applicable'}: ${binding.command}`, {
         keySequence: binding.keySequence,
         action: binding.action
       });
@@ -339,6 +658,105 @@ class HotkeyManager {
     }
   }
   
+  /**
+   * Run a parsed action
+   * @param {Object} action - Action from LyXParser.parseCommand
+   * @param {Element} target - Element the key was pressed in
+   * @param {string} format - Math output format of the binding, if it has its own
+   * @returns {boolean} - True if the action applied in this context
+   */
+  runAction(action, target, format) {
+    const inserter = window.LyXInserter;
+    if (!inserter && !['command', 'none', 'sequence', 'alternatives', 'bookmark'].includes(action.type)) {
+      this.logger?.error('LyXInserter not available');
+      return false;
+    }
+    
+    switch (action.type) {
+      case 'insert':
+        return inserter.insertText(action.text, target);
+        
+      case 'quote':
+        return inserter.insertQuote(action, target);
+        
+      case 'math':
+        return inserter.insertMath(action.latex, target, format);
+        
+      case 'hull':
+        return inserter.applyMathHull(action, target);
+        
+      case 'macro':
+        return inserter.applyMacroFold(action.fold, target, format);
+        
+      case 'tabular':
+        return inserter.applyTabularFeature(action.feature, target);
+        
+      case 'matrix':
+        return inserter.insertMatrix(action.args, target);
+        
+      case 'script':
+        return inserter.insertScript(action.script, target, format);
+        
+      case 'delim':
+        return inserter.insertDelimiters(action.left, action.right, target, format);
+        
+      case 'bookmark':
+        return this.runBookmarkAction(action, target);
+        
+      case 'palette':
+        return window.LyXCommandPalette?.open(target, this) ?? false;
+        
+      case 'sequence': {
+        // Like LyX, run every command even if an earlier one did not apply
+        let applied = false;
+        for (const step of action.actions) {
+          applied = this.runAction(step, target, format) || applied;
+        }
+        return applied;
+      }
+      
+      case 'alternatives':
+        return action.actions.some(alternative => this.runAction(alternative, target, format));
+        
+      case 'command':
+        if (inserter?.getEditCommand(action.lfun)) {
+          return inserter.executeEditCommand(action.lfun, target);
+        }
+        this.logger?.info(`Command not available in the browser: ${action.command}`);
+        return false;
+        
+      case 'none':
+        return true;
+        
+      default:
+        this.logger?.warn(`Unknown action type: ${action.type}`);
+        return false;
+    }
+  }
+  
+  /**
+   * Run a bookmark-save, bookmark-goto or bookmark-clear action
+   * @param {Object} action - Bookmark action: { operation, number }
+   * @param {Element} target - Element the key was pressed in
+   * @returns {boolean} - True if the action applied
+   */
+  runBookmarkAction(action, target) {
+    const bookmarks = window.LyXBookmarks;
+    if (!bookmarks) {
+      this.logger?.error('LyXBookmarks not available');
+      return false;
+    }
+    
+    switch (action.operation) {
+      case 'save':
+        return bookmarks.save(action.number, target);
+      case 'goto':
+        return bookmarks.goto(action.number, target);
+      default:
+        return bookmarks.clear();
+    }
+  }
+  
   /**
    * Get current sequence
    * @returns {Array} - Current key sequence
@@ -369,7 +787,10 @@ class HotkeyManager {
       multiStepBindings: multiStepBindings.length,
       conflicts: this.conflicts.size,
       enabled: this.enabled,
-      sequenceTimeout: this.sequenceTimeout
+      sequenceTimeout: this.sequenceTimeout,
+      prefixResolution: this.prefixResolution,
+      keyMatchMode: this.keyMatchMode,
+      replaySwallowedKeys: this.replaySwallowedKeys
     };
   }
 }
@@ -0,0 +1,916 @@
+/**
+ * Shortcut importers for LyX Hotkey Plugin
+ * Convert VS Code keybindings, Emacs key definitions and AutoHotkey hotstrings
+ * into LyX key sequences and commands, so that LyXParser can build the same
+ * binding objects it builds from bind files.
+ *
+ * An importer implements:
+ *   detect(content)         -> true if the content is in its format
+ *   import(content, report) -> array of { keySequence, command, line }
+ * where report(severity, line, message, options) records a diagnostic for
+ * anything that cannot be mapped, with options as in LyXParser.addDiagnostic.
+ */
+
+/**
+ * Base class with the helpers shared by the importers
+ */
+class ShortcutImporter {
+  /**
+   * Get the LyX key name of a character
+   * @param {string} char - Character typed, e.g. 'a' or '\\'
+   * @returns {string} - Key name, e.g. 'a' or 'backslash'
+   */
+  keyName(char) {
+    if (char === ' ') {
+      return 'space';
+    }
+    if (/^[a-zA-Z0-9]$/.test(char)) {
+      return char;
+    }
+    const name = Object.keys(window.LyXKeyNames || {}).find(name =>
+      name.length > 1 && !name.startsWith('KP_') && window.LyXKeyNames[name] === char
+    );
+    return name || char;
+  }
+  
+  /**
+   * Get the LyX command that inserts a text
+   * @param {string} text - Text to insert
+   * @returns {string} - math-insert for a LaTeX command, self-insert otherwise
+   */
+  textCommand(text) {
+    return /^\\[a-zA-Z]+$/.test(text) ? `math-insert ${text}` : `self-insert ${text}`;
+  }
+  
+  /**
+   * Combine the steps of a binding into one command
+   * @param {Array} steps - LyX commands in order
+   * @returns {string|null} - The command, or null if the steps cannot be combined
+   */
+  joinSteps(steps) {
+    if (steps.length === 1) {
+      return steps[0];
+    }
+    // command-sequence separates its steps with semicolons
+    if (steps.length === 0 || steps.some(step => step.includes(';'))) {
+      return null;
+    }
+    return `command-sequence ${steps.join('; ')}`;
+  }
+}
+
+/**
+ * VS Code keybindings.json: [{ "key": "ctrl+alt+a", "command": "type", "args": { "text": "α" } }]
+ */
+class VSCodeImporter extends ShortcutImporter {
+  get label() {
+    return 'VS Code keybindings';
+  }
+  
+  /**
+   * VS Code key names that differ from the LyX ones
+   */
+  static get KEYS() {
+    const keys = {
+      enter: 'Return', escape: 'Escape', tab: 'Tab', space: 'space', backspace: 'BackSpace',
+      delete: 'Delete', insert: 'Insert', home: 'Home', end: 'End', pageup: 'Prior',
+      pagedown: 'Next', up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+      numpad_add: 'KP_Add', numpad_subtract: 'KP_Subtract', numpad_multiply: 'KP_Multiply',
+      numpad_divide: 'KP_Divide', numpad_decimal: 'KP_Decimal'
+    };
+    for (let i = 0; i <= 9; i++) {
+      keys[`numpad${i}`] = `KP_${i}`;
+    }
+    for (let i = 1; i <= 19; i++) {
+      keys[`f${i}`] = `F${i}`;
+    }
+    return keys;
+  }
+  
+  /**
+   * VS Code modifiers and the LyX prefixes they map to
+   */
+  static get MODIFIERS() {
+    return { ctrl: 'C-', alt: 'M-', shift: 'S-' };
+  }
+  
+  /**
+   * VS Code commands with a LyX function of the same meaning
+   */
+  static get COMMANDS() {
+    return {
+      cursorLeft: 'char-backward', cursorRight: 'char-forward', cursorUp: 'up', cursorDown: 'down',
+      cursorLeftSelect: 'char-backward-select', cursorRightSelect: 'char-forward-select',
+      cursorUpSelect: 'up-select', cursorDownSelect: 'down-select',
+      cursorWordLeft: 'word-backward', cursorWordRight: 'word-forward',
+      cursorWordLeftSelect: 'word-backward-select', cursorWordRightSelect: 'word-forward-select',
+      cursorHome: 'line-begin', cursorEnd: 'line-end', cursorHomeSelect: 'line-begin-select',
+      cursorEndSelect: 'line-end-select', cursorTop: 'buffer-begin', cursorBottom: 'buffer-end',
+      cursorTopSelect: 'buffer-begin-select', cursorBottomSelect: 'buffer-end-select',
+      cursorPageUp: 'screen-up', cursorPageDown: 'screen-down',
+      deleteLeft: 'char-delete-backward', deleteRight: 'char-delete-forward',
+      deleteWordLeft: 'word-delete-backward', deleteWordRight: 'word-delete-forward',
+      deleteAllRight: 'line-delete-forward',
+      undo: 'undo', redo: 'redo',
+      'editor.action.clipboardCopyAction': 'copy', 'editor.action.clipboardCutAction': 'cut',
+      'editor.action.clipboardPasteAction': 'paste',
+      'editor.action.transposeLetters': 'chars-transpose',
+      'editor.action.transformToUppercase': 'word-upcase',
+      'editor.action.transformToLowercase': 'word-lowcase',
+      'editor.action.transformToTitlecase': 'word-capitalize',
+      'workbench.action.files.save': 'buffer-write',
+      'workbench.action.showCommands': 'command-execute'
+    };
+  }
+  
+  detect(content) {
+    const json = this.stripComments(content).trim();
+    return json.startsWith('[') && /"key"\s*:/.test(json);
+  }
+  
+  import(content, report) {
+    const json = this.stripComments(content);
+    let items;
+    try {
+      // keybindings.json allows trailing commas
+      items = JSON.parse(json.replace(/,(\s*[\]}])/g, '$1'));
+    } catch (error) {
+      report('error', 1, `Invalid keybindings.json: ${error.message}`,
+        { fix: 'Check the file for missing commas or quotes' });
+      return [];
+    }
+    if (!Array.isArray(items)) {
+      report('error', 1, 'keybindings.json must contain an array of keybindings');
+      return [];
+    }
+    
+    // JSON.parse has no positions; the n-th "key" property belongs to the n-th keybinding
+    const lines = [...json.matchAll(/"key"\s*:/g)].map(match =>
+      json.slice(0, match.index).split('\n').length
+    );
+    
+    const records = [];
+    items.forEach((item, index) => {
+      const line = lines[index] || 1;
+      if (!item || typeof item.key !== 'string' || typeof item.command !== 'string') {
+        report('warning', line, 'Keybinding without "key" and "command" ignored');
+        return;
+      }
+      
+      const keySequence = this.convertKeys(item.key, line, report);
+      const command = keySequence && this.convertCommand(item, line, report);
+      if (!keySequence || !command) {
+        return;
+      }
+      
+      if (item.when) {
+        report('info', line, `Condition "when": "${item.when}" ignored`,
+          { fragment: item.when, fix: 'The binding applies in every editable field' });
+      }
+      records.push({ keySequence, command, line });
+    });
+    
+    return records;
+  }
+  
+  /**
+   * Blank out // and /* comments, keeping offsets and line breaks
+   * @param {string} content - keybindings.json content
+   * @returns {string} - JSON without comments
+   */
+  stripComments(content) {
+    return content.replace(/"(?:[^"\\]|\\.)*"|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, match =>
+      match.startsWith('"') ? match : match.replace(/[^\n]/g, ' ')
+    );
+  }
+  
+  /**
+   * Convert a VS Code key, e.g. 'ctrl+k ctrl+c', to a LyX key sequence
+   * @param {string} key - VS Code key
+   * @param {number} line - Line of the keybinding
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX key sequence, or null if it cannot be mapped
+   */
+  convertKeys(key, line, report) {
+    const chords = [];
+    
+    for (const chord of key.trim().toLowerCase().split(/\s+/)) {
+      // '+' separates modifiers, but is also a key of its own: 'ctrl++'
+      const parts = chord.split(/\+(?!$)/);
+      let name = parts.pop();
+      let prefix = '';
+      
+      for (const modifier of parts) {
+        if (!VSCodeImporter.MODIFIERS[modifier]) {
+          report('warning', line, `Modifier "${modifier}" has no LyX equivalent; binding skipped`,
+            { fragment: key, fix: 'LyX bindings use Ctrl, Alt and Shift' });
+          return null;
+        }
+        prefix += VSCodeImporter.MODIFIERS[modifier];
+      }
+      
+      // VS Code names keys by their place on a US keyboard, but a digit or
+      // punctuation key is matched by the character it types, which already
+      // includes Shift: shift+; is the key that types ':'
+      if (parts.includes('shift') && name.length === 1 && !/[a-z]/.test(name)) {
+        const shifted = this.shiftedChar(name);
+        if (!shifted) {
+          report('warning', line, `"shift+${name}" types no known character; binding skipped`,
+            { fragment: key, fix: 'Bind the character Shift types instead' });
+          return null;
+        }
+        report('info', line, `"shift+${name}" imported as "${shifted}", the character it types on a US keyboard`,
+          { fragment: key });
+        prefix = prefix.replace('S-', '');
+        name = shifted;
+      }
+      
+      const keyName = VSCodeImporter.KEYS[name] || (name.length === 1 ? this.keyName(name) : null);
+      if (!keyName) {
+        report('warning', line, `Unknown VS Code key "${name}"; binding skipped`, { fragment: key });
+        return null;
+      }
+      chords.push(prefix + keyName);
+    }
+    
+    return chords.join(' ');
+  }
+  
+  /**
+   * Get the character a key types with Shift on a US keyboard
+   * @param {string} char - Character the key types without Shift, e.g. ';'
+   * @returns {string|null} - Shifted character, e.g. ':', or null if no key types char
+   */
+  shiftedChar(char) {
+    const characters = Object.values(window.LyXPhysicalKeys || {}).find(([plain]) => plain === char);
+    return characters ? characters[1] : null;
+  }
+  
+  /**
+   * Convert the command of a keybinding to a LyX command
+   * @param {Object} item - Keybinding with command and args
+   * @param {number} line - Line of the keybinding
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX command, or null if it cannot be mapped
+   */
+  convertCommand(item, line, report) {
+    const { command, args } = item;
+    
+    if (command.startsWith('-')) {
+      report('warning', line, `Removal of the default binding of "${command.slice(1)}" ignored`,
+        { fragment: command, fix: 'Only bindings that add a command are imported' });
+      return null;
+    }
+    
+    if (command === 'type') {
+      if (typeof args?.text !== 'string' || !args.text) {
+        report('warning', line, 'The "type" command needs args.text; binding skipped', { fragment: command });
+        return null;
+      }
+      return this.textCommand(args.text);
+    }
+    
+    if (command === 'editor.action.insertSnippet' && typeof args?.snippet === 'string') {
+      // Tab stops have no equivalent; keep the text of their placeholders
+      const text = args.snippet
+        .replace(/\$\{\d+:([^}]*)\}/g, '$1')
+        .replace(/\$\{\d+\}|\$\d+/g, '')
+        .replace(/\\([$}\\])/g, '$1');
+      if (text !== args.snippet.replace(/\\([$}\\])/g, '$1')) {
+        report('info', line, 'Snippet tab stops dropped', { fragment: 'insertSnippet' });
+      }
+      return text ? this.textCommand(text) : null;
+    }
+    
+    if (VSCodeImporter.COMMANDS[command]) {
+      return VSCodeImporter.COMMANDS[command];
+    }
+    
+    report('warning', line, `No LyX function for VS Code command "${command}"; binding skipped`,
+      { fragment: command, fix: 'Use "type" or "editor.action.insertSnippet" to insert text' });
+    return null;
+  }
+}
+
+/**
+ * Emacs Lisp key definitions: global-set-key, local-set-key, define-key,
+ * keymap-global-set and keymap-set, with kbd or string key syntax
+ */
+class EmacsImporter extends ShortcutImporter {
+  get label() {
+    return 'Emacs key definitions';
+  }
+  
+  /**
+   * Functions that define keys, and the position of their key argument
+   */
+  static get DEFINERS() {
+    return {
+      'global-set-key': 1, 'local-set-key': 1, 'define-key': 2,
+      'keymap-global-set': 1, 'keymap-local-set': 1, 'keymap-set': 2
+    };
+  }
+  
+  /**
+   * Emacs key names that differ from the LyX ones
+   */
+  static get KEYS() {
+    const keys = {
+      RET: 'Return', TAB: 'Tab', SPC: 'space', ESC: 'Escape', DEL: 'BackSpace',
+      '<return>': 'Return', '<tab>': 'Tab', '<escape>': 'Escape', '<backspace>': 'BackSpace',
+      '<delete>': 'Delete', '<insert>': 'Insert', '<home>': 'Home', '<end>': 'End',
+      '<prior>': 'Prior', '<next>': 'Next', '<up>': 'Up', '<down>': 'Down', '<left>': 'Left',
+      '<right>': 'Right'
+    };
+    for (let i = 1; i <= 24; i++) {
+      keys[`<f${i}>`] = `F${i}`;
+    }
+    return keys;
+  }
+  
+  /**
+   * Emacs modifiers and the LyX prefixes they map to
+   */
+  static get MODIFIERS() {
+    return { C: 'C-', M: 'M-', S: 'S-', A: 'A-' };
+  }
+  
+  /**
+   * Emacs commands with a LyX function of the same meaning
+   */
+  static get COMMANDS() {
+    return {
+      'forward-char': 'char-forward', 'backward-char': 'char-backward',
+      'forward-word': 'word-forward', 'backward-word': 'word-backward',
+      'next-line': 'down', 'previous-line': 'up',
+      'beginning-of-line': 'line-begin', 'move-beginning-of-line': 'line-begin',
+      'end-of-line': 'line-end', 'move-end-of-line': 'line-end',
+      'beginning-of-buffer': 'buffer-begin', 'end-of-buffer': 'buffer-end',
+      'scroll-up-command': 'screen-down', 'scroll-down-command': 'screen-up',
+      'delete-char': 'char-delete-forward', 'delete-backward-char': 'char-delete-backward',
+      'kill-word': 'word-delete-forward', 'backward-kill-word': 'word-delete-backward',
+      'kill-line': 'line-delete-forward', 'transpose-chars': 'chars-transpose',
+      'upcase-word': 'word-upcase', 'downcase-word': 'word-lowcase',
+      'capitalize-word': 'word-capitalize', 'kill-region': 'cut', 'kill-ring-save': 'copy',
+      'yank': 'paste', 'undo': 'undo', 'undo-redo': 'redo', 'keyboard-quit': 'cancel',
+      'set-mark-command': 'mark-toggle', 'save-buffer': 'buffer-write',
+      'execute-extended-command': 'command-execute', 'newline': 'newline-insert'
+    };
+  }
+  
+  detect(content) {
+    return /\((global-set-key|local-set-key|define-key|keymap-global-set|keymap-local-set|keymap-set)\s/.test(content);
+  }
+  
+  import(content, report) {
+    const forms = this.read(content, report);
+    const records = [];
+    
+    const visit = node => {
+      if (node.type !== 'list') return;
+      
+      const head = node.items[0];
+      const keyIndex = head?.type === 'symbol' ? EmacsImporter.DEFINERS[head.value] : undefined;
+      if (keyIndex === undefined) {
+        node.items.forEach(visit);
+        return;
+      }
+      
+      const keySequence = this.convertKeys(node.items[keyIndex], head.value, node.line, report);
+      const command = keySequence && this.convertCommand(node.items[keyIndex + 1], node.line, report);
+      if (keySequence && command) {
+        records.push({ keySequence, command, line: node.line });
+      }
+    };
+    forms.forEach(visit);
+    
+    return records;
+  }
+  
+  /**
+   * Read Emacs Lisp forms
+   * @param {string} content - Emacs Lisp source
+   * @param {Function} report - Diagnostic callback
+   * @returns {Array} - Nodes { type, line, ... }: 'list' and 'vector' with items,
+   *   'string' with value, 'symbol' and 'char' with value
+   */
+  read(content, report) {
+    const stack = [{ type: 'list', items: [], line: 1 }];
+    let line = 1;
+    let i = 0;
+    
+    // A quote closes as soon as the form it quotes is complete
+    const add = node => {
+      let top = stack[stack.length - 1];
+      top.items.push(node);
+      while (top.quote && top.items.length === 2) {
+        const quote = stack.pop();
+        top = stack[stack.length - 1];
+        top.items.push(quote);
+      }
+    };
+    
+    while (i < content.length) {
+      const char = content[i];
+      
+      if (char === '\n') {
+        line++;
+        i++;
+      } else if (/\s/.test(char)) {
+        i++;
+      } else if (char === ';') {
+        while (i < content.length && content[i] !== '\n') i++;
+      } else if (char === '(' || char === '[') {
+        stack.push({ type: char === '(' ? 'list' : 'vector', items: [], line });
+        i++;
+      } else if (char === ')' || char === ']') {
+        if (stack.length === 1 || stack[stack.length - 1].quote) {
+          report('error', line, `Unbalanced "${char}"`, { fix: 'Remove the extra parenthesis' });
+          return [];
+        }
+        add(stack.pop());
+        i++;
+      } else if (char === '"') {
+        const start = line;
+        let value = '';
+        i++;
+        while (i < content.length && content[i] !== '"') {
+          if (content[i] === '\n') line++;
+          // Keep escapes for the key parser; \" and \\ are resolved in strings
+          value += content[i] === '\\' ? content.slice(i, i + 2) : content[i];
+          i += content[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        add({ type: 'string', value, line: start });
+      } else if (char === '\'' || content.startsWith('#\'', i)) {
+        // 'x and #'x: read the next form as (quote x)
+        stack.push({ type: 'list', items: [{ type: 'symbol', value: 'quote', line }], line, quote: true });
+        i += char === '\'' ? 1 : 2;
+      } else {
+        const match = content.slice(i).match(/^(\?\\?.|[^\s()[\]";']+)/);
+        const token = match[0];
+        add({ type: token.startsWith('?') ? 'char' : 'symbol', value: token, line });
+        i += token.length;
+      }
+    }
+    
+    if (stack.length > 1) {
+      report('error', stack[stack.length - 1].line, 'Unclosed parenthesis', { fix: 'Add the missing ")"' });
+      return [];
+    }
+    return stack[0].items;
+  }
+  
+  /**
+   * Resolve the \" and \\ escapes of an Emacs string
+   * @param {string} value - String as read
+   * @returns {string} - String value
+   */
+  stringValue(value) {
+    return value.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\\(.)/g, '$1');
+  }
+  
+  /**
+   * Convert the key argument of a key definition to a LyX key sequence
+   * @param {Object} node - Key argument: (kbd "C-c a"), "C-c a" or "\C-ca"
+   * @param {string} definer - Function defining the key
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX key sequence, or null if it cannot be mapped
+   */
+  convertKeys(node, definer, line, report) {
+    // keymap-set and friends always take kbd syntax
+    if (node?.type === 'string' && definer.startsWith('keymap-')) {
+      return this.convertKbd(node.value, line, report);
+    }
+    if (node?.type === 'list' && node.items[0]?.value === 'kbd' && node.items[1]?.type === 'string') {
+      return this.convertKbd(node.items[1].value, line, report);
+    }
+    if (node?.type === 'string') {
+      return this.convertKeyString(node.value, line, report);
+    }
+    
+    report('warning', line, 'Key vectors and computed keys are not supported; binding skipped',
+      { fix: 'Write the key as (kbd "C-c a")' });
+    return null;
+  }
+  
+  /**
+   * Convert kbd syntax, e.g. 'C-c <f5>', to a LyX key sequence
+   * @param {string} keys - Keys in kbd syntax
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX key sequence, or null if it cannot be mapped
+   */
+  convertKbd(keys, line, report) {
+    const chords = [];
+    
+    for (const chord of this.stringValue(keys).trim().split(/\s+/)) {
+      let name = chord;
+      let prefix = '';
+      let match;
+      
+      while ((match = name.match(/^([A-Za-z])-(?=.)/))) {
+        const modifier = EmacsImporter.MODIFIERS[match[1]];
+        if (!modifier) {
+          report('warning', line, `Modifier "${match[1]}-" has no LyX equivalent; binding skipped`,
+            { fragment: chord, fix: 'LyX bindings use C-, M-, A- and S-' });
+          return null;
+        }
+        prefix += modifier;
+        name = name.slice(2);
+      }
+      
+      const keyName = EmacsImporter.KEYS[name] || (name.length === 1 ? this.keyName(name) : null);
+      if (!keyName) {
+        report('warning', line, `Unknown Emacs key "${name}"; binding skipped`, { fragment: chord });
+        return null;
+      }
+      chords.push(prefix + keyName);
+    }
+    
+    return chords.join(' ');
+  }
+  
+  /**
+   * Convert a key string in Emacs string syntax, e.g. '\C-ca', to a LyX key sequence
+   * @param {string} keys - Key string as read
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX key sequence, or null if it cannot be mapped
+   */
+  convertKeyString(keys, line, report) {
+    const chords = [];
+    let i = 0;
+    
+    while (i < keys.length) {
+      let prefix = '';
+      let match;
+      while ((match = keys.slice(i).match(/^\\([CM])-/))) {
+        prefix += EmacsImporter.MODIFIERS[match[1]];
+        i += match[0].length;
+      }
+      
+      let char = keys[i];
+      if (char === '\\') {
+        char = keys[i + 1];
+        i++;
+      }
+      if (char === undefined) {
+        report('warning', line, `Incomplete key string "${keys}"; binding skipped`);
+        return null;
+      }
+      chords.push(prefix + this.keyName(char));
+      i++;
+    }
+    
+    return chords.join(' ');
+  }
+  
+  /**
+   * Convert the command argument of a key definition to a LyX command
+   * @param {Object} node - 'symbol, #'symbol, a lambda or a keyboard macro string
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX command, or null if it cannot be mapped
+   */
+  convertCommand(node, line, report) {
+    if (node?.type === 'string') {
+      return this.textCommand(this.stringValue(node.value));
+    }
+    
+    const quoted = node?.type === 'list' && node.items[0]?.value === 'quote' ? node.items[1] : null;
+    if (quoted?.type === 'symbol') {
+      return this.convertFunction(quoted.value, line, report);
+    }
+    if (quoted?.type === 'list' && quoted.items[0]?.value === 'lambda') {
+      return this.convertLambda(quoted, line, report);
+    }
+    if (node?.type === 'list' && node.items[0]?.value === 'lambda') {
+      return this.convertLambda(node, line, report);
+    }
+    if (node?.type === 'symbol' && node.value === 'nil') {
+      report('warning', line, 'Unsetting a key has no LyX equivalent; definition skipped');
+      return null;
+    }
+    
+    report('warning', line, 'Command is not a quoted function, lambda or string; binding skipped',
+      { fix: 'Bind a function such as \'forward-word or (lambda () (interactive) (insert "α"))' });
+    return null;
+  }
+  
+  /**
+   * Convert an Emacs function name to a LyX function
+   * @param {string} name - Emacs function
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX function, or null if there is none
+   */
+  convertFunction(name, line, report) {
+    if (EmacsImporter.COMMANDS[name]) {
+      return EmacsImporter.COMMANDS[name];
+    }
+    report('warning', line, `No LyX function for Emacs command "${name}"; binding skipped`, { fragment: name });
+    return null;
+  }
+  
+  /**
+   * Convert a lambda made of insert calls and mapped commands
+   * @param {Object} node - (lambda (args) body...)
+   * @param {number} line - Line of the definition
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX command, or null if the body cannot be mapped
+   */
+  convertLambda(node, line, report) {
+    const steps = [];
+    
+    for (const call of node.items.slice(2)) {
+      const name = call.type === 'list' ? call.items[0]?.value : null;
+      const args = call.type === 'list' ? call.items.slice(1) : [];
+      
+      if (name === 'interactive') continue;
+      
+      if (name === 'insert' && args.every(arg => arg.type === 'string')) {
+        steps.push(this.textCommand(args.map(arg => this.stringValue(arg.value)).join('')));
+      } else if (name && EmacsImporter.COMMANDS[name] && args.every(arg => /^\d+$/.test(arg.value))) {
+        // (backward-char 2) repeats the command
+        const count = args.length ? parseInt(args[0].value, 10) : 1;
+        steps.push(...Array(count).fill(EmacsImporter.COMMANDS[name]));
+      } else {
+        report('warning', line, `Cannot convert "(${name || '…'} …)" in lambda; binding skipped`,
+          { fragment: name || undefined, fix: 'Only insert calls and basic editing commands are converted' });
+        return null;
+      }
+    }
+    
+    const command = this.joinSteps(steps);
+    if (!command) {
+      report('warning', line, 'Lambda has no convertible body, or inserts text containing ";"; binding skipped');
+    }
+    return command;
+  }
+}
+
+/**
+ * AutoHotkey hotstrings (::\alpha::α) and one-line Send hotkeys (^!a::Send α)
+ */
+class AutoHotkeyImporter extends ShortcutImporter {
+  get label() {
+    return 'AutoHotkey script';
+  }
+  
+  /**
+   * AutoHotkey key names that differ from the LyX ones
+   */
+  static get KEYS() {
+    const keys = {
+      enter: 'Return', return: 'Return', esc: 'Escape', escape: 'Escape', tab: 'Tab',
+      space: 'space', backspace: 'BackSpace', bs: 'BackSpace', delete: 'Delete', del: 'Delete',
+      insert: 'Insert', ins: 'Insert', home: 'Home', end: 'End', pgup: 'Prior', pgdn: 'Next',
+      up: 'Up', down: 'Down', left: 'Left', right: 'Right'
+    };
+    for (let i = 0; i <= 9; i++) {
+      keys[`numpad${i}`] = `KP_${i}`;
+    }
+    for (let i = 1; i <= 24; i++) {
+      keys[`f${i}`] = `F${i}`;
+    }
+    return keys;
+  }
+  
+  /**
+   * AutoHotkey modifier symbols and the LyX prefixes they map to
+   */
+  static get MODIFIERS() {
+    return { '^': 'C-', '!': 'M-', '+': 'S-' };
+  }
+  
+  /**
+   * Send keys with a LyX function of the same meaning
+   */
+  static get SEND_KEYS() {
+    return {
+      left: 'char-backward', right: 'char-forward', up: 'up', down: 'down', home: 'line-begin',
+      end: 'line-end', backspace: 'char-delete-backward', bs: 'char-delete-backward',
+      delete: 'char-delete-forward', del: 'char-delete-forward', enter: 'newline-insert'
+    };
+  }
+  
+  /**
+   * Characters that Send keys such as {Space} stand for
+   */
+  static get SEND_CHARS() {
+    return { space: ' ', tab: '\t', '{': '{', '}': '}', '!': '!', '^': '^', '+': '+', '#': '#' };
+  }
+  
+  detect(content) {
+    return content.split('\n').some(line =>
+      /^\s*:[^:\s]*:[^:].*?::/.test(line) || /^\s*[~*$<>^!+#]*[^\s:;]+::/.test(line)
+    );
+  }
+  
+  import(content, report) {
+    const records = [];
+    
+    content.split('\n').forEach((text, index) => {
+      const line = index + 1;
+      const hotstring = text.match(/^\s*:([^:\s]*):(.+?)::(.*)$/);
+      const hotkey = hotstring ? null : text.match(/^\s*([~*$<>^!+#]*)([^\s:;]+)::(.*)$/);
+      
+      if (hotstring) {
+        const record = this.convertHotstring(hotstring, line, report);
+        if (record) records.push(record);
+      } else if (hotkey) {
+        const record = this.convertHotkey(hotkey, line, report);
+        if (record) records.push(record);
+      }
+    });
+    
+    return records;
+  }
+  
+  /**
+   * Convert a hotstring: the trigger becomes a sequence of plain keys
+   * @param {Array} match - [line, options, trigger, replacement]
+   * @param {number} line - Line number
+   * @param {Function} report - Diagnostic callback
+   * @returns {Object|null} - { keySequence, command, line } or null
+   */
+  convertHotstring([, options, trigger, replacement], line, report) {
+    if (/x/i.test(options)) {
+      report('warning', line, 'Hotstrings that run code (X option) are not supported; skipped',
+        { fragment: trigger });
+      return null;
+    }
+    
+    const text = this.stripComment(replacement);
+    if (!text) {
+      report('warning', line, 'Multi-line hotstrings are not supported; skipped',
+        { fragment: trigger, fix: 'Put the replacement on the same line as the trigger' });
+      return null;
+    }
+    
+    const keySequence = [...this.unescape(trigger)].map(char => this.keyName(char)).join(' ');
+    const raw = /[rt]/i.test(options.replace(/r0|t0/gi, ''));
+    const command = raw ? this.textCommand(this.unescape(text)) : this.convertSend(text, line, report);
+    return command ? { keySequence, command, line } : null;
+  }
+  
+  /**
+   * Convert a hotkey whose action is a one-line Send
+   * @param {Array} match - [line, modifiers, key, action]
+   * @param {number} line - Line number
+   * @param {Function} report - Diagnostic callback
+   * @returns {Object|null} - { keySequence, command, line } or null
+   */
+  convertHotkey([, modifiers, key, action], line, report) {
+    if (modifiers.includes('#')) {
+      report('warning', line, 'The Windows key (#) has no LyX equivalent; hotkey skipped', { fragment: key });
+      return null;
+    }
+    
+    const name = AutoHotkeyImporter.KEYS[key.toLowerCase()] || (key.length === 1 ? this.keyName(key) : null);
+    if (!name) {
+      report('warning', line, `Unknown AutoHotkey key "${key}"; hotkey skipped`, { fragment: key });
+      return null;
+    }
+    const prefix = [...modifiers].map(symbol => AutoHotkeyImporter.MODIFIERS[symbol] || '').join('');
+    
+    // Send text, SendInput, text; SendText("text") and friends
+    const send = this.stripComment(action).match(/^(Send|SendInput|SendRaw|SendText)\b\s*(?:,\s*|\(\s*"(.*)"\s*\)\s*$|\s)(.*)$/i);
+    if (!send) {
+      report('warning', line, 'Only hotkeys that Send text on the same line are imported; hotkey skipped',
+        { fragment: key, fix: 'Use a hotstring or a one-line Send' });
+      return null;
+    }
+    
+    const text = send[2] ?? send[3];
+    const raw = /^Send(Raw|Text)$/i.test(send[1]);
+    const command = raw ? this.textCommand(this.unescape(text)) : this.convertSend(text, line, report);
+    return command ? { keySequence: prefix + name, command, line } : null;
+  }
+  
+  /**
+   * Convert Send text, with {Key} and {U+XXXX} escapes, to a LyX command
+   * @param {string} text - Text as written after the hotstring or Send
+   * @param {number} line - Line number
+   * @param {Function} report - Diagnostic callback
+   * @returns {string|null} - LyX command, or null if it cannot be mapped
+   */
+  convertSend(text, line, report) {
+    const steps = [];
+    let pending = '';
+    
+    for (const [, braced, plain] of text.matchAll(/\{([^}]+|\})\}|([^{]+|\{)/g)) {
+      if (plain !== undefined) {
+        pending += this.unescape(plain);
+        continue;
+      }
+      
+      const [name, count = '1'] = braced.split(/\s+/);
+      const lower = name.toLowerCase();
+      const unicode = name.match(/^U\+([0-9a-f]{4,6})$/i);
+      
+      if (unicode) {
+        pending += String.fromCodePoint(parseInt(unicode[1], 16));
+      } else if (AutoHotkeyImporter.SEND_CHARS[lower] !== undefined || name.length === 1) {
+        pending += (AutoHotkeyImporter.SEND_CHARS[lower] ?? name).repeat(parseInt(count, 10) || 1);
+      } else if (AutoHotkeyImporter.SEND_KEYS[lower]) {
+        if (pending) {
+          steps.push(this.textCommand(pending));
+          pending = '';
+        }
+        steps.push(...Array(parseInt(count, 10) || 1).fill(AutoHotkeyImporter.SEND_KEYS[lower]));
+      } else {
+        report('warning', line, `Cannot send {${braced}}; skipped`, { fragment: `{${braced}}` });
+        return null;
+      }
+    }
+    if (pending) {
+      steps.push(this.textCommand(pending));
+    }
+    
+    const command = this.joinSteps(steps);
+    if (!command) {
+      report('warning', line, 'Replacement mixes keys with text containing ";"; skipped');
+    }
+    return command;
+  }
+  
+  /**
+   * Remove a trailing ; comment
+   * @param {string} text - Text after ::
+   * @returns {string} - Text without the comment
+   */
+  stripComment(text) {
+    return text.replace(/(^|\s+);.*$/, '').trim();
+  }
+  
+  /**
+   * Resolve AutoHotkey escape sequences such as `; and `n
+   * @param {string} text - Escaped text
+   * @returns {string} - Text
+   */
+  unescape(text) {
+    const escapes = { n: '\n', t: '\t', s: ' ' };
+    return text.replace(/`(.)/g, (match, char) => escapes[char] ?? char);
+  }
+}
+
+/**
+ * Registry of importers with format detection
+ */
+class ShortcutImporters {
+  constructor() {
+    this.importers = new Map();
+    this.register('vscode', new VSCodeImporter());
+    this.register('emacs', new EmacsImporter());
+    this.register('autohotkey', new AutoHotkeyImporter());
+  }
+  
+  /**
+   * Add or replace an importer
+   * @param {string} format - Format name
+   * @param {Object} importer - Object implementing detect and import
+   */
+  register(format, importer) {
+    this.importers.set(format, importer);
+  }
+  
+  /**
+   * Get the importer for a format
+   * @param {string} format - Format name
+   * @returns {Object|null} - Importer or null
+   */
+  get(format) {
+    return this.importers.get(format) || null;
+  }
+  
+  /**
+   * Detect the format of shortcut file content
+   * @param {string} content - File content
+   * @returns {string} - Format name, or 'lyx' for bind files and anything unrecognized
+   */
+  detect(content) {
+    // Anything with LyX directives is a bind file, whatever else it contains
+    if (/^\s*(\\bind|\\unbind|\\bind_file|Format)\b/m.test(content)) {
+      return 'lyx';
+    }
+    for (const [format, importer] of this.importers) {
+      if (importer.detect(content)) {
+        return format;
+      }
+    }
+    return 'lyx';
+  }
+}
+
+// Create global instance
+const shortcutImporters = new ShortcutImporters();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ShortcutImporters, shortcutImporters, VSCodeImporter, EmacsImporter, AutoHotkeyImporter };
+} else if (typeof window !== 'undefined') {
+  window.LyXImporters = shortcutImporters;
+}
\ No newline at end of file
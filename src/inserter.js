@@ -4,16 +4,176 @@
  */
 class TextInserter {
   constructor() {
+    this.outputFormat = 'unicode';
+    this.siteOutputFormat = null;
+    this.leftRightDelimiters = false;
+    this.scriptMode = null;
+    this.mathContext = window.LyXMathContext ? new window.LyXMathContext() : null;
+    this.macros = window.LyXMacroTable ? new window.LyXMacroTable() : null;
+    this.matrixEditor = window.LyXMatrixEditor ? new window.LyXMatrixEditor() : null;
+    this.quoteStyles = window.LyXQuoteStyles ? new window.LyXQuoteStyles() : null;
     this.logger = window.LyXLogger?.logger;
   }
   
+  /**
+   * Text-editing LFUNs: the unit moved over, named after the Selection.modify
+   * granularities, and the direction. Each movement also has a -select variant
+   * that extends the selection, e.g. word-right-select.
+   */
+  static get EDIT_COMMANDS() {
+    return {
+      'char-forward': { unit: 'character', direction: 'forward' },
+      'char-backward': { unit: 'character', direction: 'backward' },
+      'char-right': { unit: 'character', direction: 'forward' },
+      'char-left': { unit: 'character', direction: 'backward' },
+      'word-forward': { unit: 'word', direction: 'forward' },
+      'word-backward': { unit: 'word', direction: 'backward' },
+      'word-right': { unit: 'word', direction: 'forward' },
+      'word-left': { unit: 'word', direction: 'backward' },
+      'down': { unit: 'line', direction: 'forward' },
+      'up': { unit: 'line', direction: 'backward' },
+      'line-end': { unit: 'lineboundary', direction: 'forward' },
+      'line-begin': { unit: 'lineboundary', direction: 'backward' },
+      'paragraph-down': { unit: 'paragraph', direction: 'forward' },
+      'paragraph-up': { unit: 'paragraph', direction: 'backward' },
+      'buffer-end': { unit: 'documentboundary', direction: 'forward' },
+      'buffer-begin': { unit: 'documentboundary', direction: 'backward' },
+      // The text field is the inset being edited
+      'inset-end': { unit: 'documentboundary', direction: 'forward' },
+      'inset-begin': { unit: 'documentboundary', direction: 'backward' },
+      
+      'char-delete-forward': { unit: 'character', direction: 'forward', delete: true },
+      'char-delete-backward': { unit: 'character', direction: 'backward', delete: true },
+      'word-delete-forward': { unit: 'word', direction: 'forward', delete: true },
+      'word-delete-backward': { unit: 'word', direction: 'backward', delete: true },
+      'line-delete-forward': { unit: 'lineboundary', direction: 'forward', delete: true },
+      
+      'inset-select-all': { selectAll: true },
+      'chars-transpose': { transpose: true }
+    };
+  }
+  
+  /**
+   * Set the format math is inserted in
+   * @param {string} format - Name of an output renderer: 'unicode', 'latex', 'mathml' or 'asciimath'
+   */
+  setOutputFormat(format) {
+    this.outputFormat = window.LyXRenderers?.has(format) ? format : 'unicode';
+    this.logger?.debug(`Math output format set to ${this.outputFormat}`);
+  }
+  
+  /**
+   * Set the output formats of individual sites, applying the one for this site
+   * @param {Object} sites - Map of host name to format name
+   */
+  setSiteOutputFormats(sites) {
+    const hostname = window.location?.hostname || '';
+    const site = Object.entries(sites || {}).find(([host]) =>
+      hostname === host || hostname.endsWith(`.${host}`)
+    );
+    this.siteOutputFormat = site && window.LyXRenderers?.has(site[1]) ? site[1] : null;
+    if (this.siteOutputFormat) {
+      this.logger?.debug(`Math output format for ${hostname}: ${this.siteOutputFormat}`);
+    }
+  }
+  
+  /**
+   * Get the renderer for a math action
+   * @param {string} format - Format requested by the binding, if any
+   * @returns {Object} - Renderer; a binding's format wins over the site's, which wins over the global one
+   */
+  getRenderer(format) {
+    return window.LyXRenderers.get(format || this.siteOutputFormat || this.outputFormat);
+  }
+  
+  /**
+   * Set whether math-delim emits \left( … \right) in LaTeX output
+   * @param {boolean} enabled - Use sized delimiters
+   */
+  setLeftRightDelimiters(enabled) {
+    this.leftRightDelimiters = !!enabled;
+  }
+  
+  /**
+   * Set the inline and display math delimiters, applying the overrides for this site
+   * @param {Object} config - { inline, display, sites }
+   */
+  setMathDelimiters(config) {
+    this.mathContext?.setDelimiters(config, window.location?.hostname);
+  }
+  
+  /**
+   * Set the quote style, applying the override for this site
+   * @param {Object} config - { style, sites }
+   */
+  setQuoteStyles(config) {
+    this.quoteStyles?.setStyles(config, window.location?.hostname);
+  }
+  
+  /**
+   * Set the user-defined math macros
+   * @param {string} definitions - \newcommand and \def definitions
+   */
+  setMacros(definitions) {
+    this.macros?.load(definitions || '');
+  }
+  
+  /**
+   * Insert a math symbol or construct, rendered in the output format
+   * @param {string} latex - LaTeX from math-insert, e.g. '\alpha', or a call of a user macro
+   * @param {Element} target - Target element
+   * @param {string} format - Format requested by the binding, if any
+   * @returns {boolean} - Success status
+   */
+  insertMath(latex, target, format) {
+    const renderer = this.getRenderer(format);
+    const expanded = this.macros ? this.macros.expand(latex) : latex;
+    // Macros expand to whole expressions; the caret goes to the first missing argument
+    const rendered = expanded === latex ? renderer.renderSymbol(latex) : renderer.renderLatex(expanded);
+    if (!rendered) {
+      return this.insertAccent(latex, target);
+    }
+    return this.insertText(rendered.text, target, rendered.cursor);
+  }
+  
+  /**
+   * Put a Unicode accent on the character typed next, as LyX puts it on the
+   * argument that follows
+   * @param {string} latex - Accent command, e.g. '\hat'
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status
+   */
+  insertAccent(latex, target) {
+    const mark = window.LyXSymbols?.get(latex)?.char;
+    if (!mark || !this.canInsertText(target)) {
+      return false;
+    }
+    this.scriptMode = { script: 'accent', mark, target, caret: this.getCaretMarker(target) };
+    this.logger?.debug(`Waiting for the character under ${latex}`);
+    return true;
+  }
+  
+  /**
+   * Insert an opening or closing quotation mark in the quote style of the site or page
+   * @param {Object} quote - Quote action: { level, side, style }
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status
+   */
+  insertQuote(quote, target) {
+    const source = this.getMathSource(target);
+    const before = source ? source.text.substring(0, source.start) : this.getTextBeforeSelection();
+    const text = this.quoteStyles ? this.quoteStyles.getQuote(quote, before, source?.element || target) : '"';
+    return this.insertText(text, target);
+  }
+  
   /**
    * Insert text at cursor position in editable element
    * @param {string} text - Text to insert
    * @param {Element} target - Target element
+   * @param {number|null} cursor - Caret offset in the text; null to place it automatically
    * @returns {boolean} - Success status
    */
-  insertText(text, target) {
+  insertText(text, target, cursor = null) {
     if (!text || !target) {
       this.logger?.warn('Invalid parameters for text insertion', { text, target });
       return false;
@@ -22,14 +182,14 @@ class TextInserter {
     try {
       // Handle different types of editable elements
       if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
-        return this.insertIntoInputElement(text, target);
+        return this.insertIntoInputElement(text, target, cursor);
       } else if (this.isContentEditable(target)) {
-        return this.insertIntoContentEditable(text, target);
+        return this.insertIntoContentEditable(text, target, cursor);
       } else {
         // Try to find the nearest editable element
         const editableParent = this.findEditableParent(target);
         if (editableParent) {
-          return this.insertText(text, editableParent);
+          return this.insertText(text, editableParent, cursor);
         }
       }
       
@@ -45,13 +205,751 @@ class TextInserter {
     }
   }
   
+  /**
+   * Insert a pair of math delimiters around the selection, or with the caret
+   * between them if nothing is selected
+   * @param {string} left - LyX name of the left delimiter, e.g. '(' or 'langle'
+   * @param {string} right - LyX name of the right delimiter
+   * @param {Element} target - Target element
+   * @param {string} format - Format requested by the binding, if any
+   * @returns {boolean} - Success status
+   */
+  insertDelimiters(left, right, target, format) {
+    const { before, after } = this.getRenderer(format).renderDelimiters(left, right, {
+      leftRight: this.leftRightDelimiters
+    });
+    return this.wrapSelection(before, after, target);
+  }
+  
+  /**
+   * Start a superscript or subscript at the caret
+   * @param {string} script - 'super' or 'sub'
+   * @param {Element} target - Target element
+   * @param {string} format - Format requested by the binding, if any
+   * @returns {boolean} - Success status
+   */
+  insertScript(script, target, format) {
+    const rendered = this.getRenderer(format).renderScript(script);
+    if (rendered) {
+      return this.insertText(rendered.text, target, rendered.cursor);
+    }
+    if (!this.canInsertText(target)) {
+      return false;
+    }
+    
+    // Plain text has no script container, so convert the keys typed next
+    // until a key leaves the script
+    this.scriptMode = { script, target, caret: this.getCaretMarker(target) };
+    this.logger?.debug(`Entered ${script}script mode`);
+    return true;
+  }
+  
+  /**
+   * Handle a key typed while a Unicode superscript, subscript or accent is active
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} - True if the key was consumed
+   */
+  handleScriptKey(event) {
+    const mode = this.scriptMode;
+    if (!mode) {
+      return false;
+    }
+    
+    // Focus or caret moved elsewhere: the script was left without us
+    if (event.target !== mode.target ||
+        !this.isSameCaret(mode.caret, this.getCaretMarker(mode.target))) {
+      this.exitScriptMode();
+      return false;
+    }
+    
+    // Escape only leaves the script; Right and Space leave it and still move
+    // the caret or type the space
+    if (['Escape', 'ArrowRight', ' '].includes(event.key)) {
+      this.exitScriptMode();
+      return event.key === 'Escape';
+    }
+    
+    const typed = !event.ctrlKey && !event.altKey && !event.metaKey ? event.key : '';
+    const scripts = mode.script === 'super' ? TextInserter.SUPERSCRIPTS : TextInserter.SUBSCRIPTS;
+    // An accent goes on one typed character, keys such as Tab or Backspace drop it
+    const char = mode.script === 'accent'
+      ? ([...typed].length === 1 ? `${typed}${mode.mark}` : undefined)
+      : scripts[typed];
+    
+    // Anything without a script form leaves the script and is handled normally
+    if (!char) {
+      this.exitScriptMode();
+      return false;
+    }
+    
+    this.insertText(char, mode.target);
+    if (mode.script === 'accent') {
+      this.exitScriptMode();
+    } else {
+      mode.caret = this.getCaretMarker(mode.target);
+    }
+    return true;
+  }
+  
+  /**
+   * Leave Unicode superscript, subscript or accent mode
+   */
+  exitScriptMode() {
+    if (this.scriptMode) {
+      const script = this.scriptMode.script;
+      this.logger?.debug(`Left ${script === 'accent' ? 'accent' : `${script}script`} mode`);
+      this.scriptMode = null;
+    }
+  }
+  
+  /**
+   * Get a marker of the caret position to detect moves between keystrokes
+   * @param {Element} target - Target element
+   * @returns {Object} - Caret marker
+   */
+  getCaretMarker(target) {
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      return { start: target.selectionStart, end: target.selectionEnd };
+    }
+    
+    const selection = window.getSelection();
+    return { node: selection.focusNode, offset: selection.focusOffset };
+  }
+  
+  /**
+   * Compare two caret markers
+   * @param {Object} a - First marker
+   * @param {Object} b - Second marker
+   * @returns {boolean} - True if the caret has not moved
+   */
+  isSameCaret(a, b) {
+    return a.start === b.start && a.end === b.end && a.node === b.node && a.offset === b.offset;
+  }
+  
+  /**
+   * Unicode superscript characters by the key that produces them
+   */
+  static get SUPERSCRIPTS() {
+    return TextInserter.zipScripts(
+      '0123456789+-=()abcdefghijklmnoprstuvwxyzABDEGHIJKLMNOPRTUVWαβγδθφχ',
+      '⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁼⁽⁾ᵃᵇᶜᵈᵉᶠᵍʰⁱʲᵏˡᵐⁿᵒᵖʳˢᵗᵘᵛʷˣʸᶻᴬᴮᴰᴱᴳᴴᴵᴶᴷᴸᴹᴺᴼᴾᴿᵀᵁⱽᵂᵅᵝᵞᵟᶿᵠᵡ'
+    );
+  }
+  
+  /**
+   * Unicode subscript characters by the key that produces them
+   */
+  static get SUBSCRIPTS() {
+    return TextInserter.zipScripts(
+      '0123456789+-=()aehijklmnoprstuvxβγρφχ',
+      '₀₁₂₃₄₅₆₇₈₉₊₋₌₍₎ₐₑₕᵢⱼₖₗₘₙₒₚᵣₛₜᵤᵥₓᵦᵧᵨᵩᵪ'
+    );
+  }
+  
+  /**
+   * Pair up the characters of two equally long strings
+   * @param {string} keys - Characters typed
+   * @param {string} scripts - Script characters they produce
+   * @returns {Object} - Map from typed character to script character
+   */
+  static zipScripts(keys, scripts) {
+    const scriptChars = [...scripts];
+    return Object.fromEntries([...keys].map((key, i) => [key, scriptChars[i]]));
+  }
+  
+  /**
+   * Wrap the selection in text, or insert both parts with the caret between them
+   * @param {string} before - Text to insert before the selection
+   * @param {string} after - Text to insert after the selection
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status
+   */
+  wrapSelection(before, after, target) {
+    if (!target) {
+      this.logger?.warn('Invalid parameters for wrapping selection', { before, after, target });
+      return false;
+    }
+    
+    try {
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+        return this.wrapInputSelection(before, after, target);
+      } else if (this.isContentEditable(target)) {
+        return this.wrapContentEditableSelection(before, after, target);
+      } else {
+        const editableParent = this.findEditableParent(target);
+        if (editableParent) {
+          return this.wrapSelection(before, after, editableParent);
+        }
+      }
+      
+      this.logger?.warn('Target is not editable', {
+        target: target.tagName || 'unknown element'
+      });
+      return false;
+    } catch (error) {
+      this.logger?.error('Failed to wrap selection:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Wrap the selection of an input or textarea element
+   * @param {string} before - Text to insert before the selection
+   * @param {string} after - Text to insert after the selection
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Input element
+   * @returns {boolean} - Success status
+   */
+  wrapInputSelection(before, after, element) {
+    const startPos = element.selectionStart;
+    const endPos = element.selectionEnd;
+    const currentValue = element.value;
+    const selected = currentValue.substring(startPos, endPos);
+    
+    element.value = currentValue.substring(0, startPos) +
+                    before + selected + after +
+                    currentValue.substring(endPos);
+                    
+    // Keep a wrapped selection selected; otherwise put the caret between the delimiters
+    const innerStart = startPos + before.length;
+    element.setSelectionRange(innerStart, innerStart + selected.length);
+    
+    this.triggerInputEvents(element);
+    
+    this.logger?.debug(`Wrapped selection in ${element.tagName}:`, { before, after, selected });
+    
+    return true;
+  }
+  
+  /**
+   * Wrap the selection of a contentEditable element
+   * @param {string} before - Text to insert before the selection
+   * @param {string} after - Text to insert after the selection
+   * @param {Element} element - ContentEditable element
+   * @returns {boolean} - Success status
+   */
+  wrapContentEditableSelection(before, after, element) {
+    const selection = window.getSelection();
+    
+    if (selection.rangeCount === 0) {
+      element.focus();
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      range.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    
+    const range = selection.getRangeAt(0);
+    const contents = range.extractContents();
+    const beforeNode = document.createTextNode(before);
+    const afterNode = document.createTextNode(after);
+    
+    // insertNode inserts at the start of the range, so insert in reverse order
+    range.insertNode(afterNode);
+    range.insertNode(contents);
+    range.insertNode(beforeNode);
+    
+    // Select the wrapped content, which is empty when nothing was selected
+    const newRange = document.createRange();
+    newRange.setStartAfter(beforeNode);
+    newRange.setEndBefore(afterNode);
+    selection.removeAllRanges();
+    selection.addRange(newRange);
+    
+    this.triggerInputEvents(element);
+    
+    this.logger?.debug('Wrapped selection in contentEditable:', { before, after });
+    
+    return true;
+  }
+  
+  /**
+   * Wrap the selection or caret in math, or convert the enclosing math to another hull
+   * @param {Object} action - Hull action: { hull, toggle }; hull is 'inline', 'display',
+   *   an environment name, or null for no math
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status
+   */
+  applyMathHull(action, target) {
+    if (!this.mathContext) {
+      this.logger?.error('LyXMathContext not available');
+      return false;
+    }
+    
+    const source = this.getMathSource(target);
+    const found = source && this.mathContext.findEnclosing(source.text, source.start, source.end);
+    
+    if (found) {
+      const hull = action.toggle ? (found.hull === 'display' ? 'inline' : 'display') : action.hull;
+      if (hull === found.hull) {
+        this.logger?.debug(`Already in ${hull} math`);
+        return true;
+      }
+      return this.replaceMathHull(source, found, hull);
+    }
+    
+    if (!action.hull) {
+      this.logger?.debug('Caret is not in math; nothing to remove');
+      return false;
+    }
+    
+    const [open, close] = this.mathContext.getHullDelimiters(action.hull);
+    return this.wrapSelection(open, close, target);
+  }
+  
+  /**
+   * Fold the selected expansion of a user macro into a call of the macro, or
+   * unfold the selected call, or the call ending at the caret, into its expansion
+   * @param {boolean} fold - Fold rather than unfold
+   * @param {Element} target - Target element
+   * @param {string} format - Format requested by the binding, if any
+   * @returns {boolean} - Success status; false if there is nothing to fold or unfold
+   */
+  applyMacroFold(fold, target, format) {
+    const source = this.macros && this.getMathSource(target);
+    if (!source) {
+      return false;
+    }
+    
+    const renderer = this.getRenderer(format);
+    const selected = source.text.substring(source.start, source.end);
+    
+    if (fold) {
+      const call = selected && this.macros.fold(selected, renderer);
+      if (!call) {
+        this.logger?.debug('Selection is not the expansion of a math macro');
+        return false;
+      }
+      return this.replaceSourceRange(source, source.start, source.end, call, null);
+    }
+    
+    const range = selected ? { start: source.start, end: source.end } : this.macros.findCall(source.text, source.start);
+    const call = range && source.text.substring(range.start, range.end);
+    const expanded = call && this.macros.expand(call);
+    if (!call || expanded === call) {
+      this.logger?.debug('No math macro to unfold');
+      return false;
+    }
+    
+    const { text, cursor } = renderer.renderLatex(expanded);
+    return this.replaceSourceRange(source, range.start, range.end, text, cursor);
+  }
+  
+  /**
+   * Replace a range of the source text
+   * @param {Object} source - Source text from getMathSource
+   * @param {number} start - Start offset of the range
+   * @param {number} end - End offset of the range
+   * @param {string} text - Replacement text
+   * @param {number|null} cursor - Caret offset in the replacement; null to select the replacement
+   * @returns {boolean} - Success status
+   */
+  replaceSourceRange(source, start, end, text, cursor) {
+    const newText = source.text.substring(0, start) + text + source.text.substring(end);
+    if (cursor === null) {
+      this.setSourceText(source, newText, start, start + text.length);
+    } else {
+      this.setSourceText(source, newText, start + cursor, start + cursor);
+    }
+    
+    this.logger?.debug(`Replaced "${source.text.substring(start, end)}" with "${text}"`);
+    
+    return true;
+  }
+  
+  /**
+   * Set the source text and select a range of it
+   * @param {Object} source - Source text from getMathSource
+   * @param {string} newText - New text
+   * @param {number} start - Start offset of the selection
+   * @param {number} end - End offset of the selection
+   */
+  setSourceText(source, newText, start, end) {
+    if (source.node) {
+      source.node.data = newText;
+      const range = document.createRange();
+      range.setStart(source.node, start);
+      range.setEnd(source.node, end);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } else {
+      source.element.value = newText;
+      source.element.setSelectionRange(start, end);
+    }
+    
+    this.triggerInputEvents(source.element);
+  }
+  
+  /**
+   * Run a tabular-feature operation on the matrix or table around the caret
+   * @param {string} feature - tabular-feature argument, e.g. 'append-row', or 'cell-split'
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status; false if the caret is not in a grid
+   */
+  applyTabularFeature(feature, target) {
+    if (!this.matrixEditor?.supports(feature)) {
+      this.logger?.info(`tabular-feature ${feature} is not available in the browser`);
+      return false;
+    }
+    
+    const source = this.getMathSource(target);
+    const edit = source && this.matrixEditor.apply(feature, source.text, source.start);
+    if (!edit) {
+      return false;
+    }
+    
+    this.setSourceText(source, edit.text, edit.caret, edit.caret);
+    this.logger?.debug(`Applied tabular-feature ${feature}`);
+    
+    return true;
+  }
+  
+  /**
+   * Insert an empty matrix, asking for its size when the binding does not give it
+   * @param {Array} args - math-matrix arguments: columns, rows and optionally the environment
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status
+   */
+  insertMatrix(args, target) {
+    if (!this.matrixEditor) {
+      this.logger?.error('LyXMatrixEditor not available');
+      return false;
+    }
+    
+    let [columns, rows, environment] = args;
+    if (!columns) {
+      const answer = window.prompt('Matrix columns, rows and environment (matrix, pmatrix, bmatrix, vmatrix, array, ...)', '2 2 pmatrix');
+      if (answer === null) {
+        return false;
+      }
+      [columns, rows, environment] = answer.trim().split(/\s+/);
+    }
+    
+    columns = parseInt(columns, 10);
+    rows = parseInt(rows, 10) || columns;
+    if (!(columns >= 1 && columns <= 50 && rows >= 1 && rows <= 50)) {
+      this.logger?.warn(`Invalid matrix size: ${args.join(' ') || 'from prompt'}`);
+      return false;
+    }
+    
+    // LyX's own third argument is a vertical alignment, which LaTeX source has no use for
+    if (!window.LyXMatrixEditor.GRID_ENVIRONMENTS.includes(environment)) {
+      environment = 'pmatrix';
+    }
+    
+    const { text, cursor } = this.matrixEditor.buildMatrix(columns, rows, environment);
+    return this.insertText(text, target, cursor);
+  }
+  
+  /**
+   * Get the source text around the caret for math detection
+   * @param {Element} target - Target element
+   * @returns {Object|null} - { element, node, text, start, end } or null
+   */
+  getMathSource(target) {
+    const element = target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || this.isContentEditable(target)
+      ? target
+      : this.findEditableParent(target);
+    if (!element) {
+      return null;
+    }
+    
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      return {
+        element,
+        node: null,
+        text: element.value,
+        start: element.selectionStart,
+        end: element.selectionEnd
+      };
+    }
+    
+    // In rich text only the text node holding the caret is searched, which
+    // covers editors that keep each source line in its own node
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) {
+      return null;
+    }
+    const range = selection.getRangeAt(0);
+    if (range.startContainer !== range.endContainer || range.startContainer.nodeType !== Node.TEXT_NODE) {
+      return null;
+    }
+    
+    return {
+      element,
+      node: range.startContainer,
+      text: range.startContainer.data,
+      start: range.startOffset,
+      end: range.endOffset
+    };
+  }
+  
+  /**
+   * Get the rich text just before the selection when getMathSource cannot
+   * take it, e.g. when the selection spans several nodes
+   * @returns {string} - Text of the node where the selection starts, up to the selection
+   */
+  getTextBeforeSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) {
+      return '';
+    }
+    const { startContainer, startOffset } = selection.getRangeAt(0);
+    if (startContainer.nodeType === Node.TEXT_NODE) {
+      return startContainer.data.substring(0, startOffset);
+    }
+    // The selection starts between nodes: the text before it ends the node before it
+    return startContainer.childNodes[startOffset - 1]?.textContent ?? '';
+  }
+  
+  /**
+   * Replace the delimiters of an enclosing math environment
+   * @param {Object} source - Source text from getMathSource
+   * @param {Object} found - Enclosing math from MathContext.findEnclosing
+   * @param {string|null} hull - New hull, or null to remove the math delimiters
+   * @returns {boolean} - Success status
+   */
+  replaceMathHull(source, found, hull) {
+    const [open, close] = hull ? this.mathContext.getHullDelimiters(hull) : ['', ''];
+    const text = source.text;
+    const newText = text.substring(0, found.open.start) + open +
+                    text.substring(found.open.end, found.close.start) + close +
+                    text.substring(found.close.end);
+                    
+    // Keep the caret on the same characters inside the math
+    const shift = open.length - (found.open.end - found.open.start);
+    this.setSourceText(source, newText, source.start + shift, source.end + shift);
+    
+    this.logger?.debug(`Converted ${found.hull} math to ${hull || 'text'}`);
+    
+    return true;
+  }
+  
+  /**
+   * Get the text-editing operation of an LFUN
+   * @param {string} lfun - LyX function name, e.g. 'word-left-select'
+   * @returns {Object|null} - Entry of EDIT_COMMANDS, with select set for -select
+   *   variants, or null if the LFUN does not edit text
+   */
+  getEditCommand(lfun) {
+    const commands = TextInserter.EDIT_COMMANDS;
+    if (commands[lfun]) {
+      return commands[lfun];
+    }
+    
+    const base = commands[lfun.replace(/-select$/, '')];
+    return lfun.endsWith('-select') && base?.unit && !base.delete ? { ...base, select: true } : null;
+  }
+  
+  /**
+   * Run a text-editing LFUN: move the caret, extend the selection or delete text
+   * @param {string} lfun - LyX function name, e.g. 'line-end'
+   * @param {Element} target - Target element
+   * @returns {boolean} - Success status; false if the LFUN does not edit text or
+   *   there is no editable field
+   */
+  executeEditCommand(lfun, target) {
+    const command = this.getEditCommand(lfun);
+    const element = target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || this.isContentEditable(target)
+      ? target
+      : this.findEditableParent(target);
+    if (!command || !element) {
+      return false;
+    }
+    
+    const applied = element.tagName === 'INPUT' || element.tagName === 'TEXTAREA'
+      ? this.editInputElement(command, element)
+      : this.editContentEditable(command, element);
+      
+    this.logger?.debug(`${lfun} ${applied ? 'applied' : 'did nothing'} in ${element.tagName}`);
+    
+    return applied;
+  }
+  
+  /**
+   * Apply a text-editing operation to the selection range of an input or textarea
+   * @param {Object} command - Operation from getEditCommand
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Input element
+   * @returns {boolean} - Success status
+   */
+  editInputElement(command, element) {
+    const text = element.value;
+    const backward = element.selectionDirection === 'backward';
+    let anchor = backward ? element.selectionEnd : element.selectionStart;
+    let focus = backward ? element.selectionStart : element.selectionEnd;
+    
+    if (command.selectAll) {
+      element.setSelectionRange(0, text.length);
+      return true;
+    }
+    
+    if (command.transpose) {
+      // Swap the characters around the caret, or the last two at the end of the text
+      const position = focus === text.length ? this.findTextBoundary(text, focus, 'character', 'backward') : focus;
+      const previous = this.findTextBoundary(text, position, 'character', 'backward');
+      const next = this.findTextBoundary(text, position, 'character', 'forward');
+      if (anchor !== focus || previous === position || next === position) {
+        return false;
+      }
+      element.value = text.substring(0, previous) + text.substring(position, next) +
+                      text.substring(previous, position) + text.substring(next);
+      element.setSelectionRange(next, next);
+      this.triggerInputEvents(element);
+      return true;
+    }
+    
+    if (command.delete) {
+      // A selection is deleted as a whole, like in LyX
+      const boundary = anchor === focus ? this.findTextBoundary(text, focus, command.unit, command.direction) : anchor;
+      const start = Math.min(focus, boundary);
+      const end = Math.max(focus, boundary);
+      if (start === end) {
+        return false;
+      }
+      element.value = text.substring(0, start) + text.substring(end);
+      element.setSelectionRange(start, start);
+      this.triggerInputEvents(element);
+      return true;
+    }
+    
+    if (!command.select && anchor !== focus && command.unit === 'character') {
+      // Moving by a character collapses the selection to that side
+      focus = command.direction === 'forward' ? Math.max(anchor, focus) : Math.min(anchor, focus);
+    } else {
+      focus = this.findTextBoundary(text, focus, command.unit, command.direction);
+    }
+    if (!command.select) {
+      anchor = focus;
+    }
+    
+    element.setSelectionRange(Math.min(anchor, focus), Math.max(anchor, focus), focus < anchor ? 'backward' : 'forward');
+    return true;
+  }
+  
+  /**
+   * Find where moving by a unit of text from an offset ends
+   * @param {string} text - Text of the field
+   * @param {number} offset - Offset to move from
+   * @param {string} unit - Unit from EDIT_COMMANDS
+   * @param {string} direction - 'forward' or 'backward'
+   * @returns {number} - Offset after the move
+   */
+  findTextBoundary(text, offset, unit, direction) {
+    const forward = direction === 'forward';
+    const lineStart = position => position === 0 ? 0 : text.lastIndexOf('\n', position - 1) + 1;
+    const lineEnd = position => text.indexOf('\n', position) === -1 ? text.length : text.indexOf('\n', position);
+    
+    switch (unit) {
+      case 'character': {
+        // Step over surrogate pairs as one character
+        if (forward) {
+          return Math.min(text.length, offset + (text.codePointAt(offset) > 0xffff ? 2 : 1));
+        }
+        const pair = offset >= 2 && /[\udc00-\udfff]/.test(text[offset - 1]);
+        return Math.max(0, offset - (pair ? 2 : 1));
+      }
+      
+      case 'word': {
+        const isWord = char => /[\p{L}\p{N}_]/u.test(char);
+        let i = offset;
+        if (forward) {
+          while (i < text.length && !isWord(text[i])) i++;
+          while (i < text.length && isWord(text[i])) i++;
+        } else {
+          while (i > 0 && !isWord(text[i - 1])) i--;
+          while (i > 0 && isWord(text[i - 1])) i--;
+        }
+        return i;
+      }
+      
+      case 'line': {
+        // Keep the column where the target line is long enough
+        const start = lineStart(offset);
+        const column = offset - start;
+        if (forward) {
+          const end = lineEnd(offset);
+          return end === text.length ? text.length : Math.min(end + 1 + column, lineEnd(end + 1));
+        }
+        return start === 0 ? 0 : Math.min(lineStart(start - 1) + column, start - 1);
+      }
+      
+      case 'lineboundary':
+        return forward ? lineEnd(offset) : lineStart(offset);
+        
+      case 'paragraph': {
+        // Paragraphs are separated by blank lines
+        const starts = [0, ...[...text.matchAll(/\n[ \t]*\n\s*/g)].map(match => match.index + match[0].length)];
+        return forward
+          ? starts.find(start => start > offset) ?? text.length
+          : starts.reverse().find(start => start < offset) ?? 0;
+      }
+      
+      default:
+        return forward ? text.length : 0;
+    }
+  }
+  
+  /**
+   * Apply a text-editing operation to the DOM selection in a contentEditable element
+   * @param {Object} command - Operation from getEditCommand
+   * @param {Element} element - ContentEditable element
+   * @returns {boolean} - Success status
+   */
+  editContentEditable(command, element) {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !selection.modify) {
+      return false;
+    }
+    
+    if (command.selectAll) {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      return true;
+    }
+    
+    if (command.transpose) {
+      if (!selection.isCollapsed) {
+        return false;
+      }
+      selection.modify('move', 'backward', 'character');
+      selection.modify('extend', 'forward', 'character');
+      selection.modify('extend', 'forward', 'character');
+      const chars = [...selection.toString()];
+      if (chars.length !== 2) {
+        selection.collapseToEnd();
+        return false;
+      }
+      return this.insertIntoContentEditable(chars[1] + chars[0], element);
+    }
+    
+    if (command.delete) {
+      if (selection.isCollapsed) {
+        selection.modify('extend', command.direction, command.unit);
+      }
+      if (selection.isCollapsed) {
+        return false;
+      }
+      selection.getRangeAt(0).deleteContents();
+      this.triggerInputEvents(element);
+      return true;
+    }
+    
+    // The browser knows the visual lines and word boundaries of rich text
+    selection.modify(command.select ? 'extend' : 'move', command.direction, command.unit);
+    return true;
+  }
+  
   /**
    * Insert text into input or textarea element
    * @param {string} text - Text to insert
    * @param {HTMLInputElement|HTMLTextAreaElement} element - Input element
+   * @param {number|null} cursor - Caret offset in the text; null to place it automatically
    * @returns {boolean} - Success status
    */
-  insertIntoInputElement(text, element) {
+  insertIntoInputElement(text, element, cursor = null) {
     const startPos = element.selectionStart;
     const endPos = element.selectionEnd;
     const currentValue = element.value;
@@ -60,7 +958,7 @@ class TextInserter {
     let newCursorPos = startPos + text.length;
     
     // Handle special cursor positioning for LaTeX constructs
-    const cursorOffset = this.calculateCursorOffset(text);
+    const cursorOffset = cursor ?? this.calculateCursorOffset(text);
     if (cursorOffset !== null) {
       newCursorPos = startPos + cursorOffset;
     }
@@ -92,9 +990,10 @@ class TextInserter {
    * Insert text into contentEditable element
    * @param {string} text - Text to insert
    * @param {Element} element - ContentEditable element
+   * @param {number|null} cursor - Caret offset in the text; null to place it automatically
    * @returns {boolean} - Success status
    */
-  insertIntoContentEditable(text, element) {
+  insertIntoContentEditable(text, element, cursor = null) {
     const selection = window.getSelection();
     
     if (selection.rangeCount === 0) {
@@ -113,7 +1012,7 @@ class TextInserter {
     range.deleteContents();
     
     // Handle special LaTeX constructs
-    if (this.isLaTeXConstruct(text)) {
+    if (cursor === null && this.isLaTeXConstruct(text)) {
       return this.insertLaTeXConstruct(text, range);
     }
     
@@ -121,8 +1020,12 @@ class TextInserter {
     const textNode = document.createTextNode(text);
     range.insertNode(textNode);
     
-    // Move cursor to end of inserted text
-    range.setStartAfter(textNode);
+    // Move cursor to the requested offset or the end of inserted text
+    if (cursor !== null) {
+      range.setStart(textNode, cursor);
+    } else {
+      range.setStartAfter(textNode);
+    }
     range.collapse(true);
     selection.removeAllRanges();
     selection.addRange(range);
@@ -178,12 +1081,22 @@ class TextInserter {
       return true;
     }
     
-    // Default: insert as text
+    // Default: insert as text, with the caret in the first empty braces
     const textNode = document.createTextNode(text);
     range.insertNode(textNode);
-    range.setStartAfter(textNode);
+    
+    const cursorOffset = this.calculateCursorOffset(text);
+    if (cursorOffset !== null) {
+      range.setStart(textNode, cursorOffset);
+    } else {
+      range.setStartAfter(textNode);
+    }
     range.collapse(true);
     
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    
     return true;
   }
   
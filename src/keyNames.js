@@ -0,0 +1,145 @@
+/**
+ * X11 key names for LyX Hotkey Plugin
+ * Maps the keysym names used in LyX bind files to KeyboardEvent.key values.
+ * Single-character names (letters and digits) map to themselves and are not listed.
+ */
+const X11_KEY_NAMES = {
+  // TTY function keys
+  BackSpace: 'Backspace', Tab: 'Tab', ISO_Left_Tab: 'Tab', BackTab: 'Tab', Linefeed: 'Enter',
+  Clear: 'Clear', Return: 'Enter', Pause: 'Pause', Scroll_Lock: 'ScrollLock',
+  Sys_Req: 'PrintScreen', Escape: 'Escape', Delete: 'Delete',
+  
+  // Cursor control
+  Home: 'Home', Left: 'ArrowLeft', Up: 'ArrowUp', Right: 'ArrowRight', Down: 'ArrowDown',
+  Prior: 'PageUp', Page_Up: 'PageUp', Next: 'PageDown', Page_Down: 'PageDown', End: 'End',
+  Begin: 'Clear',
+  
+  // Miscellaneous functions
+  Select: 'Select', Print: 'PrintScreen', Execute: 'Execute', Insert: 'Insert', Undo: 'Undo',
+  Redo: 'Redo', Menu: 'ContextMenu', Find: 'Find', Cancel: 'Cancel', Help: 'Help',
+  Break: 'Pause', Mode_switch: 'ModeChange', Num_Lock: 'NumLock',
+  
+  // Modifiers
+  Shift_L: 'Shift', Shift_R: 'Shift', Control_L: 'Control', Control_R: 'Control',
+  Caps_Lock: 'CapsLock', Meta_L: 'Meta', Meta_R: 'Meta', Alt_L: 'Alt', Alt_R: 'Alt',
+  Super_L: 'Meta', Super_R: 'Meta', Hyper_L: 'Hyper', Hyper_R: 'Hyper',
+  ISO_Level3_Shift: 'AltGraph',
+  
+  // Keypad
+  KP_Space: 'Space', KP_Tab: 'Tab', KP_Enter: 'Enter', KP_F1: 'F1', KP_F2: 'F2', KP_F3: 'F3',
+  KP_F4: 'F4', KP_Home: 'Home', KP_Left: 'ArrowLeft', KP_Up: 'ArrowUp',
+  KP_Right: 'ArrowRight', KP_Down: 'ArrowDown', KP_Prior: 'PageUp', KP_Page_Up: 'PageUp',
+  KP_Next: 'PageDown', KP_Page_Down: 'PageDown', KP_End: 'End', KP_Begin: 'Clear',
+  KP_Insert: 'Insert', KP_Delete: 'Delete', KP_Equal: '=', KP_Multiply: '*', KP_Add: '+',
+  KP_Separator: ',', KP_Subtract: '-', KP_Decimal: '.', KP_Divide: '/',
+  
+  // Latin-1 punctuation
+  space: 'Space', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', apostrophe: "'", quoteright: "'", parenleft: '(', parenright: ')',
+  asterisk: '*', plus: '+', comma: ',', minus: '-', period: '.', slash: '/', colon: ':',
+  semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+  bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+  grave: '`', quoteleft: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  
+  // Latin-1 supplement
+  nobreakspace: '\u00a0', exclamdown: '¡', cent: '¢', sterling: '£', currency: '¤', yen: '¥',
+  brokenbar: '¦', section: '§', diaeresis: '¨', copyright: '©', ordfeminine: 'ª',
+  guillemotleft: '«', notsign: '¬', hyphen: '\u00ad', registered: '®', macron: '¯',
+  degree: '°', plusminus: '±', twosuperior: '²', threesuperior: '³', acute: '´', mu: 'µ',
+  paragraph: '¶', periodcentered: '·', cedilla: '¸', onesuperior: '¹', masculine: 'º',
+  guillemotright: '»', onequarter: '¼', onehalf: '½', threequarters: '¾', questiondown: '¿',
+  Agrave: 'À', Aacute: 'Á', Acircumflex: 'Â', Atilde: 'Ã', Adiaeresis: 'Ä', Aring: 'Å',
+  AE: 'Æ', Ccedilla: 'Ç', Egrave: 'È', Eacute: 'É', Ecircumflex: 'Ê', Ediaeresis: 'Ë',
+  Igrave: 'Ì', Iacute: 'Í', Icircumflex: 'Î', Idiaeresis: 'Ï', ETH: 'Ð', Ntilde: 'Ñ',
+  Ograve: 'Ò', Oacute: 'Ó', Ocircumflex: 'Ô', Otilde: 'Õ', Odiaeresis: 'Ö', multiply: '×',
+  Oslash: 'Ø', Ugrave: 'Ù', Uacute: 'Ú', Ucircumflex: 'Û', Udiaeresis: 'Ü', Yacute: 'Ý',
+  THORN: 'Þ', ssharp: 'ß', agrave: 'à', aacute: 'á', acircumflex: 'â', atilde: 'ã',
+  adiaeresis: 'ä', aring: 'å', ae: 'æ', ccedilla: 'ç', egrave: 'è', eacute: 'é',
+  ecircumflex: 'ê', ediaeresis: 'ë', igrave: 'ì', iacute: 'í', icircumflex: 'î',
+  idiaeresis: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocircumflex: 'ô',
+  otilde: 'õ', odiaeresis: 'ö', division: '÷', oslash: 'ø', ugrave: 'ù', uacute: 'ú',
+  ucircumflex: 'û', udiaeresis: 'ü', yacute: 'ý', thorn: 'þ', ydiaeresis: 'ÿ',
+  
+  // Legacy spellings of Latin-1 names
+  Eth: 'Ð', Thorn: 'Þ', Ooblique: 'Ø', ooblique: 'ø', guillemetleft: '«',
+  guillemetright: '»', ordmasculine: 'º',
+  
+  // Dead keys produce no character of their own
+  dead_grave: 'Dead', dead_acute: 'Dead', dead_circumflex: 'Dead', dead_tilde: 'Dead',
+  dead_macron: 'Dead', dead_breve: 'Dead', dead_abovedot: 'Dead', dead_diaeresis: 'Dead',
+  dead_abovering: 'Dead', dead_doubleacute: 'Dead', dead_caron: 'Dead', dead_cedilla: 'Dead',
+  dead_ogonek: 'Dead', dead_iota: 'Dead', dead_belowdot: 'Dead', dead_hook: 'Dead',
+  dead_horn: 'Dead'
+};
+
+// Function keys
+for (let i = 1; i <= 35; i++) {
+  X11_KEY_NAMES[`F${i}`] = `F${i}`;
+}
+
+// Keypad digits
+for (let i = 0; i <= 9; i++) {
+  X11_KEY_NAMES[`KP_${i}`] = `${i}`;
+}
+
+// Greek and Cyrillic keysyms: lowercase names give small letters, uppercase names capitals
+const SCRIPT_LETTERS = {
+  Greek: {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', iota: 'ι', kappa: 'κ', lamda: 'λ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+    omicron: 'ο', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ',
+    psi: 'ψ', omega: 'ω', alphaaccent: 'ά', epsilonaccent: 'έ', etaaccent: 'ή',
+    iotaaccent: 'ί', iotadieresis: 'ϊ', omicronaccent: 'ό', upsilonaccent: 'ύ',
+    upsilondieresis: 'ϋ', omegaaccent: 'ώ'
+  },
+  Cyrillic: {
+    a: 'а', be: 'б', ve: 'в', ghe: 'г', de: 'д', ie: 'е', io: 'ё', zhe: 'ж', ze: 'з', i: 'и',
+    shorti: 'й', ka: 'к', el: 'л', em: 'м', en: 'н', o: 'о', pe: 'п', er: 'р', es: 'с',
+    te: 'т', u: 'у', ef: 'ф', ha: 'х', tse: 'ц', che: 'ч', sha: 'ш', shcha: 'щ',
+    hardsign: 'ъ', yeru: 'ы', softsign: 'ь', e: 'э', yu: 'ю', ya: 'я', je: 'ј', lje: 'љ',
+    nje: 'њ', dzhe: 'џ', ghe_bar: 'ғ', ka_descender: 'қ', en_descender: 'ң',
+    u_straight: 'ү', ha_descender: 'ҳ', shha: 'һ', schwa: 'ә', o_bar: 'ө'
+  }
+};
+
+for (const [script, letters] of Object.entries(SCRIPT_LETTERS)) {
+  for (const [name, letter] of Object.entries(letters)) {
+    X11_KEY_NAMES[`${script}_${name}`] = letter;
+    X11_KEY_NAMES[`${script}_${name.toUpperCase()}`] = letter.toUpperCase();
+  }
+}
+
+Object.assign(X11_KEY_NAMES, {
+  Greek_finalsmallsigma: 'ς', Greek_accentdieresis: '΅', Greek_horizbar: '―',
+  Ukrainian_i: 'і', Ukrainian_I: 'І', Ukrainian_yi: 'ї', Ukrainian_YI: 'Ї',
+  Ukrainian_ie: 'є', Ukrainian_IE: 'Є', Ukrainian_ghe_with_upturn: 'ґ',
+  Ukrainian_GHE_WITH_UPTURN: 'Ґ', Byelorussian_shortu: 'ў', Byelorussian_SHORTU: 'Ў',
+  Serbian_dje: 'ђ', Serbian_DJE: 'Ђ', Serbian_tshe: 'ћ', Serbian_TSHE: 'Ћ',
+  Macedonia_gje: 'ѓ', Macedonia_GJE: 'Ѓ', Macedonia_kje: 'ќ', Macedonia_KJE: 'Ќ',
+  Macedonia_dse: 'ѕ', Macedonia_DSE: 'Ѕ', numerosign: '№'
+});
+
+/**
+ * Characters of the keys of a US keyboard by KeyboardEvent.code, as [unshifted,
+ * shifted], so keys can be matched by their position whatever the layout
+ */
+const PHYSICAL_KEYS = {
+  Backquote: ['`', '~'], Minus: ['-', '_'], Equal: ['=', '+'], BracketLeft: ['[', '{'],
+  BracketRight: [']', '}'], Backslash: ['\\', '|'], Semicolon: [';', ':'], Quote: ["'", '"'],
+  Comma: [',', '<'], Period: ['.', '>'], Slash: ['/', '?'], Space: [' ', ' ']
+};
+
+for (const letter of 'abcdefghijklmnopqrstuvwxyz') {
+  PHYSICAL_KEYS[`Key${letter.toUpperCase()}`] = [letter, letter.toUpperCase()];
+}
+[...')!@#$%^&*('].forEach((shifted, digit) => {
+  PHYSICAL_KEYS[`Digit${digit}`] = [String(digit), shifted];
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { X11_KEY_NAMES, PHYSICAL_KEYS };
+} else if (typeof window !== 'undefined') {
+  window.LyXKeyNames = X11_KEY_NAMES;
+  window.LyXPhysicalKeys = PHYSICAL_KEYS;
+}
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Key sequence trie for LyX Hotkey Plugin
+ * Compiles bindings into a tree of keys, so that each keydown looks up one
+ * child instead of scanning every binding
+ */
+class KeyTrie {
+  constructor() {
+    this.root = this.createNode();
+    this.size = 0;
+    // Bindings an exclusive build dropped, as { binding, by } where by is the
+    // sequence that replaced them
+    this.dropped = [];
+  }
+  
+  /**
+   * Create an empty node
+   * @returns {Object} - { children: Map of key string to node, binding }
+   */
+  createNode() {
+    return { children: new Map(), binding: null };
+  }
+  
+  /**
+   * Build the trie from a set of bindings, replacing its contents
+   * @param {Map} bindings - Bindings by normalized key sequence, e.g. 'Alt+m g a'
+   * @param {boolean} exclusive - Like LyX's keymaps, let a key either run a
+   *   binding or start longer ones, the binding defined later winning
+   */
+  build(bindings, exclusive = false) {
+    this.root = this.createNode();
+    this.size = 0;
+    this.dropped = [];
+    for (const [keySequence, binding] of bindings) {
+      this.insert(keySequence.split(' '), binding, exclusive);
+    }
+  }
+  
+  /**
+   * Add a binding
+   * @param {Array} keys - Key strings of the sequence
+   * @param {Object} binding - Binding to store at the end of the sequence
+   * @param {boolean} exclusive - Drop the bindings in the way of this one:
+   *   shorter bindings on its path and longer bindings behind it
+   */
+  insert(keys, binding, exclusive = false) {
+    const keySequence = keys.join(' ');
+    let node = this.root;
+    for (const key of keys) {
+      if (exclusive && node.binding) {
+        this.drop(node, keySequence);
+      }
+      if (!node.children.has(key)) {
+        node.children.set(key, this.createNode());
+      }
+      node = node.children.get(key);
+    }
+    
+    if (exclusive && node.children.size > 0) {
+      for (const child of node.children.values()) {
+        this.dropAll(child, keySequence);
+      }
+      node.children.clear();
+    }
+    
+    if (!node.binding) {
+      this.size++;
+    }
+    node.binding = binding;
+  }
+  
+  /**
+   * Remove the binding of a node, remembering what replaced it
+   * @param {Object} node - Node with a binding
+   * @param {string} by - Key sequence of the replacing binding
+   */
+  drop(node, by) {
+    this.dropped.push({ binding: node.binding, by });
+    node.binding = null;
+    this.size--;
+  }
+  
+  /**
+   * Remove the bindings of a node and everything behind it
+   * @param {Object} node - Node to empty
+   * @param {string} by - Key sequence of the replacing binding
+   */
+  dropAll(node, by) {
+    if (node.binding) {
+      this.drop(node, by);
+    }
+    for (const child of node.children.values()) {
+      this.dropAll(child, by);
+    }
+  }
+  
+  /**
+   * Find the node a sequence of keys leads to
+   * @param {Array} keys - Key strings typed so far
+   * @returns {Object|null} - Node, or null if no binding starts with the keys
+   */
+  find(keys) {
+    let node = this.root;
+    for (const key of keys) {
+      node = node.children.get(key);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+  
+  /**
+   * Get the binding of exactly this sequence
+   * @param {Array} keys - Key strings
+   * @returns {Object|null} - Binding or null
+   */
+  get(keys) {
+    return this.find(keys)?.binding || null;
+  }
+  
+  /**
+   * Check whether a longer binding starts with this sequence
+   * @param {Array} keys - Key strings
+   * @returns {boolean} - True if the sequence is a prefix of another binding
+   */
+  hasContinuation(keys) {
+    return (this.find(keys)?.children.size || 0) > 0;
+  }
+  
+  /**
+   * Find the bindings whose sequence is a prefix of another binding's
+   * @returns {Array} - Pairs [shorter, longer] of key sequences
+   */
+  findConflicts() {
+    const conflicts = [];
+    
+    // Walk the trie once, keeping the bound sequences on the current path
+    const walk = (node, path, bound) => {
+      if (node.binding) {
+        const sequence = path.join(' ');
+        for (const prefix of bound) {
+          conflicts.push([prefix, sequence]);
+        }
+        bound = [...bound, sequence];
+      }
+      for (const [key, child] of node.children) {
+        path.push(key);
+        walk(child, path, bound);
+        path.pop();
+      }
+    };
+    walk(this.root, [], []);
+    
+    return conflicts;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KeyTrie };
+} else if (typeof window !== 'undefined') {
+  window.LyXKeyTrie = KeyTrie;
+}
\ No newline at end of file
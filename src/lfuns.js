@@ -0,0 +1,112 @@
+/**
+ * Known LyX functions (LFUNs) for LyX Hotkey Plugin
+ * Used to validate the commands in bind files
+ */
+const KNOWN_LFUNS = new Set([
+  // Accents
+  'accent-acute', 'accent-breve', 'accent-caron', 'accent-cedilla', 'accent-circle',
+  'accent-circumflex', 'accent-dot', 'accent-grave', 'accent-hungarian-umlaut',
+  'accent-macron', 'accent-ogonek', 'accent-tilde', 'accent-umlaut', 'accent-underbar',
+  'accent-underdot',
+  
+  // Buffers and files
+  'buffer-auto-save', 'buffer-begin', 'buffer-begin-select', 'buffer-chktex', 'buffer-close',
+  'buffer-close-all', 'buffer-end', 'buffer-end-select', 'buffer-export', 'buffer-export-as',
+  'buffer-external-modification-clear', 'buffer-import', 'buffer-language', 'buffer-move-next',
+  'buffer-move-previous', 'buffer-new', 'buffer-new-template', 'buffer-next',
+  'buffer-params-apply', 'buffer-previous', 'buffer-print', 'buffer-reload',
+  'buffer-save-as-default', 'buffer-switch', 'buffer-toggle-compression',
+  'buffer-toggle-output-sync', 'buffer-toggle-read-only', 'buffer-update', 'buffer-view',
+  'buffer-view-cancel', 'buffer-write', 'buffer-write-all', 'buffer-write-as', 'buffer-zoom',
+  'buffer-zoom-in', 'buffer-zoom-out', 'build-program', 'file-insert', 'file-insert-plaintext',
+  'file-insert-plaintext-para', 'file-open', 'master-buffer-update', 'master-buffer-view',
+  'export-cancel', 'forward-search',
+  
+  // Cursor movement and selection
+  'char-backward', 'char-backward-select', 'char-delete-backward', 'char-delete-forward',
+  'char-forward', 'char-forward-select', 'char-left', 'char-left-select', 'char-right',
+  'char-right-select', 'chars-transpose', 'down', 'down-select', 'inset-begin',
+  'inset-begin-select', 'inset-end', 'inset-end-select', 'inset-select-all', 'line-begin',
+  'line-begin-select', 'line-delete-forward', 'line-end', 'line-end-select',
+  'paragraph-down', 'paragraph-down-select', 'paragraph-goto', 'paragraph-up',
+  'paragraph-up-select', 'screen-down', 'screen-down-select', 'screen-recenter',
+  'screen-show-cursor', 'screen-up', 'screen-up-select', 'scroll', 'up', 'up-select',
+  'word-backward', 'word-backward-select', 'word-capitalize', 'word-delete-backward',
+  'word-delete-forward', 'word-forward', 'word-forward-select', 'word-left',
+  'word-left-select', 'word-lowcase', 'word-right', 'word-right-select', 'word-select',
+  'word-upcase', 'mark-off', 'mark-on', 'mark-toggle',
+  
+  // Editing
+  'cancel', 'copy', 'cut', 'escape', 'paste', 'clipboard-paste', 'clipboard-paste-simple',
+  'primary-selection-paste', 'redo', 'repeat', 'self-insert', 'undo', 'unicode-insert',
+  'newline-insert', 'paragraph-break', 'paragraph-move-down', 'paragraph-move-up',
+  'paragraph-params', 'paragraph-params-apply', 'depth-decrement', 'depth-increment',
+  'environment-split', 'layout', 'layout-paragraph', 'layout-tabular', 'space-insert',
+  'specialchar-insert', 'quote-insert', 'hfill-insert', 'line-insert', 'word-find',
+  'word-find-backward', 'word-find-forward', 'word-replace', 'search-ignore',
+  'copy-label-as-reference', 'label-copy-as-reference', 'label-goto', 'label-insert',
+  'label-insert-as-reference', 'reference-next', 'error-next', 'note-next',
+  
+  // Fonts
+  'font-bold', 'font-boldsymbol', 'font-default', 'font-emph', 'font-frak', 'font-italic',
+  'font-noun', 'font-roman', 'font-sans', 'font-size', 'font-state', 'font-strikeout',
+  'font-typewriter', 'font-underline', 'font-underunderline', 'font-underwave',
+  'font-crossout', 'textstyle-apply', 'textstyle-update',
+  
+  // Insets
+  'argument-insert', 'box-insert', 'branch-activate', 'branch-add', 'branch-add-insert',
+  'branch-deactivate', 'branch-insert', 'caption-insert', 'citation-insert', 'ert-insert',
+  'flex-insert', 'float-insert', 'float-list-insert', 'float-wide-insert', 'footnote-insert',
+  'href-insert', 'index-insert', 'index-print', 'info-insert', 'inset-copy-as',
+  'inset-dissolve', 'inset-edit', 'inset-forall', 'inset-insert', 'inset-modify',
+  'inset-settings', 'inset-toggle', 'ipa-insert', 'ipamacro-insert', 'listing-insert',
+  'marginalnote-insert', 'nomencl-insert', 'nomencl-print', 'note-insert', 'notes-mutate',
+  'phantom-insert', 'preview-insert', 'script-insert', 'tabular-insert',
+  'tabular-style-insert', 'toc-insert', 'wrap-insert', 'newpage-insert',
+  'nomenclature-insert', 'bibtex-database-add', 'bibtex-database-del',
+  
+  // Tables
+  'cell-backward', 'cell-forward', 'cell-split', 'tabular-feature',
+  
+  // Math
+  'math-ams-matrix', 'math-array', 'math-big-delim', 'math-delim', 'math-display',
+  'math-extern', 'math-font-style', 'math-insert', 'math-limits', 'math-macro',
+  'math-macro-add-greedy-optional-param', 'math-macro-add-optional-param',
+  'math-macro-add-param', 'math-macro-append-greedy-param', 'math-macro-fold',
+  'math-macro-make-nonoptional', 'math-macro-make-optional',
+  'math-macro-remove-greedy-param', 'math-macro-remove-optional-param',
+  'math-macro-remove-param', 'math-macro-unfold', 'math-matrix', 'math-mode', 'math-mutate',
+  'math-number-line-toggle', 'math-number-toggle', 'math-space', 'math-subscript',
+  'math-superscript',
+  
+  // Changes, bookmarks and outline
+  'all-changes-accept', 'all-changes-reject', 'change-accept', 'change-next',
+  'change-previous', 'change-reject', 'changes-merge', 'changes-output', 'changes-track',
+  'bookmark-clear', 'bookmark-goto', 'bookmark-save', 'outline-down', 'outline-in',
+  'outline-out', 'outline-up',
+  
+  // Composite commands
+  'command-alternatives', 'command-execute', 'command-prefix', 'command-sequence',
+  'meta-prefix', 'completion-accept', 'completion-cancel', 'completion-complete',
+  'completion-inline', 'completion-popup',
+  
+  // Application and user interface
+  'appendix', 'dialog-disconnect-inset', 'dialog-hide', 'dialog-show', 'dialog-show-new-inset',
+  'dialog-toggle', 'dialog-update', 'keymap-off', 'keymap-primary', 'keymap-secondary',
+  'layout-module-add', 'layout-modules-clear', 'layout-reload', 'lyx-activate', 'lyx-quit',
+  'lyxrc-apply', 'menu-open', 'message', 'preferences-save', 'reconfigure',
+  'screen-font-update', 'set-color', 'spelling-add', 'spelling-continue', 'spelling-ignore',
+  'spelling-remove', 'statistics', 'tab-group-close', 'thesaurus-entry', 'toolbar-toggle',
+  'ui-toggle', 'view-split', 'window-close', 'window-new', 'server-get-filename',
+  'server-get-layout', 'server-goto-file-row', 'server-notify', 'server-set-xy',
+  'vc-check-in', 'vc-check-out', 'vc-command', 'vc-compare', 'vc-copy',
+  'vc-locking-toggle', 'vc-register', 'vc-rename', 'vc-repo-update', 'vc-revert',
+  'vc-undo-last', 'external-edit', 'graphics-reload', 'set-graphics-group'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KNOWN_LFUNS };
+} else if (typeof window !== 'undefined') {
+  window.LyXKnownLFUNs = KNOWN_LFUNS;
+}
\ No newline at end of file
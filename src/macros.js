@@ -0,0 +1,303 @@
+/**
+ * User-defined math macros for LyX Hotkey Plugin
+ * Reads \newcommand and \def definitions from the settings, expands macros in
+ * math-insert arguments and folds rendered expansions back to macro calls
+ */
+class MacroTable {
+  constructor() {
+    this.macros = new Map();
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Deepest nesting of macro expansions, which stops self-referencing macros
+   */
+  static get MAX_DEPTH() {
+    return 16;
+  }
+  
+  /**
+   * Replace the table with the definitions in a block of LaTeX
+   * @param {string} text - Definitions such as '\newcommand{\norm}[1]{\lVert #1 \rVert}'
+   * @returns {Array} - Errors as { line, message }; valid definitions are loaded regardless
+   */
+  load(text) {
+    this.macros.clear();
+    const errors = [];
+    
+    // Comments run from an unescaped % to the end of the line
+    const source = text.split('\n').map(line => line.replace(/(^|[^\\])%.*$/, '$1')).join('\n');
+    const lineAt = offset => source.slice(0, offset).split('\n').length;
+    const definitionRegex = /\\(?:(?:new|renew|provide)command\*?|def)(?![a-zA-Z])|\S/g;
+    let match;
+    
+    while ((match = definitionRegex.exec(source))) {
+      const line = lineAt(match.index);
+      if (match[0].length === 1) {
+        const word = /\S+/.exec(source.slice(match.index))[0];
+        errors.push({ line, message: `Expected \\newcommand or \\def, found "${word}"` });
+        // Skip to the next line
+        const next = source.indexOf('\n', match.index);
+        definitionRegex.lastIndex = next === -1 ? source.length : next;
+        continue;
+      }
+      
+      const definition = match[0] === '\\def'
+        ? this.readDef(source, definitionRegex.lastIndex)
+        : this.readNewCommand(source, definitionRegex.lastIndex);
+        
+      if (definition.error) {
+        errors.push({ line, message: definition.error });
+        const next = source.indexOf('\n', match.index);
+        definitionRegex.lastIndex = next === -1 ? source.length : next;
+        continue;
+      }
+      
+      // \providecommand keeps an existing definition
+      if (!(match[0].startsWith('\\providecommand') && this.macros.has(definition.name))) {
+        this.macros.set(definition.name, definition.macro);
+      }
+      definitionRegex.lastIndex = definition.end;
+    }
+    
+    for (const error of errors) {
+      this.logger?.warn(`Math macros line ${error.line}: ${error.message}`);
+    }
+    this.logger?.debug(`Loaded ${this.macros.size} math macros`);
+    return errors;
+  }
+  
+  /**
+   * Read the rest of a \newcommand: {\name}[args][default]{body}
+   * @param {string} source - Definitions
+   * @param {number} start - Offset after the command
+   * @returns {Object} - { name, macro, end } or { error }
+   */
+  readNewCommand(source, start) {
+    const nameMatch = /^\s*(?:\{\s*(\\[a-zA-Z]+)\s*\}|(\\[a-zA-Z]+))/.exec(source.slice(start));
+    if (!nameMatch) {
+      return { error: 'Missing macro name, e.g. {\\R}' };
+    }
+    let position = start + nameMatch[0].length;
+    
+    let args = 0;
+    const argsGroup = this.readGroup(source, position, '[', ']');
+    if (argsGroup) {
+      args = Number(argsGroup.value.trim());
+      if (!Number.isInteger(args) || args < 0 || args > 9) {
+        return { error: `Invalid number of arguments "${argsGroup.value}"` };
+      }
+      position = argsGroup.end;
+    }
+    
+    // An optional first argument with a default value
+    let optional = null;
+    const defaultGroup = args > 0 ? this.readGroup(source, position, '[', ']') : null;
+    if (defaultGroup) {
+      optional = defaultGroup.value;
+      position = defaultGroup.end;
+    }
+    
+    const body = this.readGroup(source, position, '{', '}');
+    if (!body) {
+      return { error: 'Missing or unbalanced macro body' };
+    }
+    
+    return { name: nameMatch[1] || nameMatch[2], macro: { args, optional, body: body.value.trim() }, end: body.end };
+  }
+  
+  /**
+   * Read the rest of a \def: \name#1#2{body}
+   * @param {string} source - Definitions
+   * @param {number} start - Offset after \def
+   * @returns {Object} - { name, macro, end } or { error }
+   */
+  readDef(source, start) {
+    const match = /^\s*(\\[a-zA-Z]+)((?:#\d)*)/.exec(source.slice(start));
+    if (!match) {
+      return { error: 'Missing macro name after \\def' };
+    }
+    
+    // Only plain parameter lists #1#2… are supported, not delimited ones
+    const params = match[2].match(/\d/g) || [];
+    if (params.some((digit, index) => Number(digit) !== index + 1)) {
+      return { error: `Parameters of ${match[1]} must be numbered #1, #2, … in order` };
+    }
+    
+    const body = this.readGroup(source, start + match[0].length, '{', '}');
+    if (!body) {
+      return { error: 'Missing or unbalanced macro body' };
+    }
+    
+    return { name: match[1], macro: { args: params.length, optional: null, body: body.value.trim() }, end: body.end };
+  }
+  
+  /**
+   * Read a balanced group after optional whitespace
+   * @param {string} text - Text to read from
+   * @param {number} start - Offset to start at
+   * @param {string} open - Opening bracket
+   * @param {string} close - Closing bracket
+   * @returns {Object|null} - { value, end } without the brackets, or null if there is no balanced group
+   */
+  readGroup(text, start, open, close) {
+    let i = start;
+    while (i < text.length && /\s/.test(text[i])) {
+      i++;
+    }
+    if (text[i] !== open) {
+      return null;
+    }
+    
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '\\') {
+        j++;
+        continue;
+      }
+      if (text[j] === open) {
+        depth++;
+      } else if (text[j] === close && --depth === 0) {
+        return { value: text.slice(i + 1, j), end: j + 1 };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Read one macro argument: a group, a control sequence or a single character
+   * @param {string} text - Text to read from
+   * @param {number} start - Offset to start at
+   * @returns {Object|null} - { value, end }, or null at the end of the text
+   */
+  readArgument(text, start) {
+    const group = this.readGroup(text, start, '{', '}');
+    if (group) {
+      return group;
+    }
+    const match = /^\s*(\\[a-zA-Z]+|\\.|[^\s{}])/u.exec(text.slice(start));
+    return match ? { value: match[1], end: start + match[0].length } : null;
+  }
+  
+  /**
+   * Expand the macros in a LaTeX expression, including macros used by macros
+   * @param {string} latex - LaTeX source, e.g. '\norm{\R}'
+   * @param {number} depth - Current nesting depth
+   * @returns {string} - Expanded source; arguments that are not given stay as #1 … #9
+   */
+  expand(latex, depth = 0) {
+    if (this.macros.size === 0) {
+      return latex;
+    }
+    
+    const commandRegex = /\\([a-zA-Z]+)|\\./g;
+    let result = '';
+    let last = 0;
+    let expanded = false;
+    let match;
+    
+    while ((match = commandRegex.exec(latex))) {
+      const macro = this.macros.get(match[0]);
+      if (!macro) continue;
+      
+      const args = [];
+      let position = commandRegex.lastIndex;
+      for (let index = 0; index < macro.args; index++) {
+        const argument = index === 0 && macro.optional !== null
+          ? this.readGroup(latex, position, '[', ']') || { value: macro.optional, end: position }
+          : this.readArgument(latex, position);
+        if (!argument) break;
+        args.push(argument.value);
+        position = argument.end;
+      }
+      
+      const body = macro.body.replace(/#(\d)/g, (placeholder, digit) => args[digit - 1] ?? placeholder);
+      result += latex.slice(last, match.index) + body;
+      last = position;
+      commandRegex.lastIndex = position;
+      expanded = true;
+    }
+    
+    if (!expanded) {
+      return latex;
+    }
+    result += latex.slice(last);
+    
+    if (depth >= MacroTable.MAX_DEPTH) {
+      this.logger?.warn(`Math macros nested more than ${MacroTable.MAX_DEPTH} deep in "${latex}"`);
+      return result;
+    }
+    return this.expand(result, depth + 1);
+  }
+  
+  /**
+   * Find a call of a macro from the table that ends at the caret
+   * @param {string} text - Source text
+   * @param {number} caret - Caret offset
+   * @returns {Object|null} - { start, end } of the call, or null
+   */
+  findCall(text, caret) {
+    const match = /\\[a-zA-Z]+(?:\s*(?:\{[^{}]*\}|\[[^\]]*\]))*$/.exec(text.slice(0, caret));
+    if (!match || !this.macros.has(match[0].match(/^\\[a-zA-Z]+/)[0])) {
+      return null;
+    }
+    return { start: match.index, end: caret };
+  }
+  
+  /**
+   * Turn the rendered expansion of a macro back into a call of the macro
+   * @param {string} text - Selected text in the output format
+   * @param {Object} renderer - Renderer of the output format
+   * @returns {string|null} - Macro call, e.g. '\norm{x}', or null if no macro renders as the text
+   */
+  fold(text, renderer) {
+    let best = null;
+    
+    for (const [name, macro] of this.macros) {
+      const template = renderer.renderLatex(this.expand(macro.body), { placeholders: true }).text;
+      if (!template.trim()) continue;
+      
+      // Each parameter matches any text; a repeated one must match the same text
+      const groups = [];
+      const pattern = template.trim().split(/(#\d)/).map(part => {
+        if (/^#\d$/.test(part)) {
+          const seen = groups.indexOf(part);
+          if (seen !== -1) {
+            return `\\s*\\${seen + 1}\\s*`;
+          }
+          groups.push(part);
+          return '\\s*([\\s\\S]+?)\\s*';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+      }).join('');
+      
+      const match = new RegExp(`^\\s*${pattern}\\s*$`).exec(text);
+      // The macro whose expansion covers the most fixed text is the most specific
+      if (match && (!best || template.length > best.template.length)) {
+        const args = Array.from({ length: macro.args }, (_, index) => {
+          const group = groups.indexOf(`#${index + 1}`);
+          return group === -1 ? '' : match[group + 1];
+        });
+        best = { name, macro, template, args };
+      }
+    }
+    
+    if (!best) {
+      return null;
+    }
+    
+    return best.name + best.args.map((value, index) => {
+      if (index === 0 && best.macro.optional !== null) {
+        return value === best.macro.optional ? '' : `[${value}]`;
+      }
+      return `{${value}}`;
+    }).join('');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MacroTable };
+} else if (typeof window !== 'undefined') {
+  window.LyXMacroTable = MacroTable;
+}
\ No newline at end of file
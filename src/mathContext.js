@@ -0,0 +1,143 @@
+/**
+ * Math context detection for LyX Hotkey Plugin
+ * Finds the math environment around the caret in LaTeX or Markdown source and
+ * knows the delimiters each site uses for inline and display math
+ */
+class MathContext {
+  constructor() {
+    this.delimiters = { ...MathContext.DEFAULT_DELIMITERS };
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Delimiters used when no site-specific ones are configured
+   */
+  static get DEFAULT_DELIMITERS() {
+    return { inline: '$', display: '\\[' };
+  }
+  
+  /**
+   * Opening math delimiters and the closing delimiters that match them
+   */
+  static get DELIMITER_PAIRS() {
+    return {
+      '$': '$',
+      '\\(': '\\)',
+      '$$': '$$',
+      '\\[': '\\]'
+    };
+  }
+  
+  /**
+   * LaTeX environments that start math mode
+   */
+  static get MATH_ENVIRONMENTS() {
+    return [
+      'math', 'displaymath', 'equation', 'eqnarray', 'align', 'alignat', 'flalign',
+      'gather', 'multline', 'xalignat', 'xxalignat'
+    ];
+  }
+  
+  /**
+   * Set the delimiters, applying the overrides for the current site
+   * @param {Object} config - { inline, display, sites: { hostname: { inline, display } } }
+   * @param {string} hostname - Host name of the current page
+   */
+  setDelimiters(config, hostname = '') {
+    const pairs = MathContext.DELIMITER_PAIRS;
+    const site = Object.entries(config?.sites || {}).find(([host]) =>
+      hostname === host || hostname.endsWith(`.${host}`)
+    );
+    const merged = { ...MathContext.DEFAULT_DELIMITERS, ...config, ...(site ? site[1] : {}) };
+    
+    this.delimiters = {
+      inline: merged.inline in pairs ? merged.inline : MathContext.DEFAULT_DELIMITERS.inline,
+      display: merged.display in pairs ? merged.display : MathContext.DEFAULT_DELIMITERS.display
+    };
+    this.logger?.debug(`Math delimiters for ${hostname || 'this page'}:`, this.delimiters);
+  }
+  
+  /**
+   * Get the opening and closing text of a math hull
+   * @param {string} hull - 'inline', 'display' or a math environment name
+   * @returns {Array} - [open, close]
+   */
+  getHullDelimiters(hull) {
+    if (hull === 'inline' || hull === 'display') {
+      const open = this.delimiters[hull];
+      return [open, MathContext.DELIMITER_PAIRS[open]];
+    }
+    return [`\\begin{${hull}}`, `\\end{${hull}}`];
+  }
+  
+  /**
+   * Find the math environment enclosing a range of text
+   * @param {string} text - Source text
+   * @param {number} start - Start offset of the selection or caret
+   * @param {number} end - End offset of the selection
+   * @returns {Object|null} - { hull, open: { start, end }, close: { start, end } } or null
+   */
+  findEnclosing(text, start, end = start) {
+    const tokenRegex = /\\\$|\$\$|\$|\\\(|\\\)|\\\[|\\\]|\\(begin|end)\{([a-zA-Z]+\*?)\}/g;
+    let open = null;
+    let match;
+    
+    while ((match = tokenRegex.exec(text))) {
+      const token = match[0];
+      const position = { start: match.index, end: match.index + token.length };
+      
+      // Escaped dollar signs are text
+      if (token === '\\$') continue;
+      
+      if (!open) {
+        if (position.start >= end) {
+          return null;
+        }
+        
+        const opening = this.classifyOpening(match);
+        if (opening) {
+          open = { ...position, ...opening };
+        }
+        continue;
+      }
+      
+      if (token !== open.closeToken) continue;
+      
+      if (open.end <= start && end <= position.start) {
+        return { hull: open.hull, open: { start: open.start, end: open.end }, close: position };
+      }
+      open = null;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Classify a token that may open math mode
+   * @param {Array} match - Regex match of the token
+   * @returns {Object|null} - { hull, closeToken } or null if the token does not open math
+   */
+  classifyOpening(match) {
+    const token = match[0];
+    
+    if (token in MathContext.DELIMITER_PAIRS) {
+      const hull = token === '$' || token === '\\(' ? 'inline' : 'display';
+      return { hull, closeToken: MathContext.DELIMITER_PAIRS[token] };
+    }
+    
+    if (match[1] === 'begin' && MathContext.MATH_ENVIRONMENTS.includes(match[2].replace(/\*$/, ''))) {
+      const name = match[2];
+      const hull = name === 'math' ? 'inline' : name === 'displaymath' ? 'display' : name;
+      return { hull, closeToken: `\\end{${name}}` };
+    }
+    
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MathContext };
+} else if (typeof window !== 'undefined') {
+  window.LyXMathContext = MathContext;
+}
\ No newline at end of file
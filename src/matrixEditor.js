@@ -0,0 +1,519 @@
+/**
+ * Matrix and table editing for LyX Hotkey Plugin
+ * Runs tabular-feature operations on the & / \\ grid of the LaTeX matrix,
+ * array or tabular environment around the caret, and builds new matrices
+ */
+class MatrixEditor {
+  constructor() {
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Environments whose body is a grid of cells
+   */
+  static get GRID_ENVIRONMENTS() {
+    return [
+      'matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'vmatrix', 'Vmatrix', 'smallmatrix',
+      'array', 'tabular', 'cases', 'aligned', 'alignedat', 'align', 'align*',
+      'alignat', 'alignat*', 'eqnarray', 'eqnarray*', 'split'
+    ];
+  }
+  
+  /**
+   * Environments with a column specification such as {c|cc}
+   */
+  static get SPEC_ENVIRONMENTS() {
+    return ['array', 'tabular'];
+  }
+  
+  /**
+   * tabular-feature arguments and the grid operations that implement them,
+   * as [method, ...arguments]
+   */
+  static get FEATURES() {
+    return {
+      'append-row': ['appendRow', false],
+      'copy-row': ['appendRow', true],
+      'delete-row': ['deleteRow'],
+      'swap-row': ['moveRow', 1],
+      'move-row-down': ['moveRow', 1],
+      'move-row-up': ['moveRow', -1],
+      'append-column': ['appendColumn', false],
+      'copy-column': ['appendColumn', true],
+      'delete-column': ['deleteColumn'],
+      'swap-column': ['moveColumn', 1],
+      'move-column-right': ['moveColumn', 1],
+      'move-column-left': ['moveColumn', -1],
+      'add-hline-above': ['changeHline', 0, 1],
+      'add-hline-below': ['changeHline', 1, 1],
+      'delete-hline-above': ['changeHline', 0, -1],
+      'delete-hline-below': ['changeHline', 1, -1],
+      'add-vline-left': ['changeVline', 0, 1],
+      'add-vline-right': ['changeVline', 1, 1],
+      'delete-vline-left': ['changeVline', 0, -1],
+      'delete-vline-right': ['changeVline', 1, -1],
+      'align-left': ['alignColumn', 'l'],
+      'align-center': ['alignColumn', 'c'],
+      'align-right': ['alignColumn', 'r'],
+      'cell-split': ['splitCell']
+    };
+  }
+  
+  /**
+   * Check whether a tabular-feature argument is supported
+   * @param {string} feature - e.g. 'append-row'
+   * @returns {boolean}
+   */
+  supports(feature) {
+    return feature in MatrixEditor.FEATURES;
+  }
+  
+  /**
+   * Apply a tabular-feature operation to the grid around the caret
+   * @param {string} feature - tabular-feature argument, or 'cell-split'
+   * @param {string} text - Source text
+   * @param {number} caret - Caret offset
+   * @returns {Object|null} - { text, caret } after the edit, or null if the caret is
+   *   not in a grid or the operation does not apply there
+   */
+  apply(feature, text, caret) {
+    const operation = MatrixEditor.FEATURES[feature];
+    const grid = operation && this.parseGrid(text, caret);
+    if (!grid) {
+      return null;
+    }
+    
+    // Operations change the grid in place and return false when they do not apply
+    const [method, ...args] = operation;
+    if (this[method](grid, ...args) === false) {
+      this.logger?.debug(`tabular-feature ${feature} does not apply here`);
+      return null;
+    }
+    return this.formatGrid(text, grid);
+  }
+  
+  /**
+   * Find the innermost grid environment around the caret and split it into cells
+   * @param {string} text - Source text
+   * @param {number} caret - Caret offset
+   * @returns {Object|null} - Grid: the environment from findEnvironment with { rows,
+   *   trailing, multiline, indent, caret: { row, column, offset } }, or null
+   */
+  parseGrid(text, caret) {
+    const environment = this.findEnvironment(text, caret);
+    if (!environment) {
+      return null;
+    }
+    
+    const { bodyStart, bodyEnd } = environment;
+    const rows = [];
+    let row = { hlines: 0, cells: [], suffix: '' };
+    let cell = '';
+    let position = null;
+    let depth = 0;
+    let nested = 0;
+    
+    const endCell = () => {
+      const leading = cell.length - cell.trimStart().length;
+      if (position && position.row === rows.length && position.column === row.cells.length && position.raw !== undefined) {
+        position.offset = Math.max(0, Math.min(position.raw - leading, cell.trim().length));
+        delete position.raw;
+      }
+      row.cells.push(cell.trim());
+      cell = '';
+    };
+    
+    let i = bodyStart;
+    while (i <= bodyEnd) {
+      if (i >= caret && !position) {
+        position = { row: rows.length, column: row.cells.length, raw: cell.length };
+      }
+      if (i === bodyEnd) break;
+      
+      const char = text[i];
+      const top = depth === 0 && nested === 0;
+      
+      if (char === '\\' && text[i + 1] === '\\' && top) {
+        endCell();
+        // Keep row spacing such as \\[2pt]
+        const spacing = /^\[[^\]]*\]/.exec(text.slice(i + 2, bodyEnd));
+        row.suffix = spacing ? spacing[0] : '';
+        i += 2 + row.suffix.length;
+        rows.push(row);
+        row = { hlines: 0, cells: [], suffix: '' };
+        continue;
+      }
+      
+      if (char === '\\') {
+        const command = /^\\(?:[a-zA-Z]+\*?|.)/.exec(text.slice(i, bodyEnd))[0];
+        if (command === '\\hline' && top && row.cells.length === 0 && !cell.trim()) {
+          row.hlines++;
+        } else {
+          if (command === '\\begin') nested++;
+          if (command === '\\end') nested--;
+          cell += command;
+        }
+        i += command.length;
+        continue;
+      }
+      
+      if (char === '&' && top) {
+        endCell();
+        i++;
+        continue;
+      }
+      
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      cell += char;
+      i++;
+    }
+    endCell();
+    
+    // A final \\ leaves an empty row that only holds closing rules
+    let trailing = null;
+    if (rows.length > 0 && row.cells.length === 1 && row.cells[0] === '') {
+      trailing = { hlines: row.hlines };
+      if (position.row === rows.length) {
+        const last = rows[rows.length - 1];
+        position = { row: rows.length - 1, column: last.cells.length - 1, offset: last.cells[last.cells.length - 1].length };
+      }
+    } else {
+      rows.push(row);
+    }
+    
+    const body = text.slice(bodyStart, bodyEnd);
+    return {
+      ...environment,
+      rows,
+      trailing,
+      multiline: body.includes('\n'),
+      indent: (/\n([ \t]*)\S/.exec(body) || ['', ''])[1],
+      caret: position
+    };
+  }
+  
+  /**
+   * Find the innermost grid environment enclosing the caret
+   * @param {string} text - Source text
+   * @param {number} caret - Caret offset
+   * @returns {Object|null} - { name, start, end, spec, bodyStart, bodyEnd } or null;
+   *   spec is { start, end, columns, after } for array and tabular
+   */
+  findEnvironment(text, caret) {
+    const tokenRegex = /\\(begin|end)\{([a-zA-Z]+\*?)\}/g;
+    const stack = [];
+    let found = null;
+    let match;
+    
+    while ((match = tokenRegex.exec(text))) {
+      if (match[1] === 'begin') {
+        stack.push({ name: match[2], start: match.index, openEnd: tokenRegex.lastIndex });
+        continue;
+      }
+      
+      const open = stack.pop();
+      if (!open || open.name !== match[2]) {
+        return found;
+      }
+      if (open.openEnd <= caret && caret <= match.index && MatrixEditor.GRID_ENVIRONMENTS.includes(open.name) &&
+          (!found || open.start > found.start)) {
+        found = { name: open.name, start: open.start, end: tokenRegex.lastIndex, bodyStart: open.openEnd, bodyEnd: match.index, spec: null };
+      }
+      if (stack.length === 0 && match.index >= caret) {
+        break;
+      }
+    }
+    
+    if (found && MatrixEditor.SPEC_ENVIRONMENTS.includes(found.name)) {
+      // \begin{array}[t]{c|cc}: the position argument is optional
+      const spec = /^(\s*(?:\[[^\]]*\])?\s*)\{((?:[^{}]|\{[^{}]*\})*)\}/.exec(text.slice(found.bodyStart, found.bodyEnd));
+      if (spec) {
+        found.spec = { start: found.bodyStart + spec[1].length, end: found.bodyStart + spec[0].length, ...this.parseSpec(spec[2]) };
+        found.bodyStart += spec[0].length;
+      }
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Split a column specification into columns
+   * @param {string} spec - e.g. '|l|c@{}r'
+   * @returns {Object} - { columns: [{ before, type }], after }; null columns if the
+   *   specification uses * repetition, which is not edited
+   */
+  parseSpec(spec) {
+    if (spec.includes('*')) {
+      return { columns: null, after: '' };
+    }
+    
+    const columns = [];
+    let before = '';
+    const tokenRegex = /\s+|[|]|[@!<>]\{(?:[^{}]|\{[^{}]*\})*\}|[pmbw]\{[^{}]*\}(?:\{[^{}]*\})?|./g;
+    for (const [token] of spec.matchAll(tokenRegex)) {
+      if (/^\s+$/.test(token)) continue;
+      if (/^[|@!<>]/.test(token)) {
+        before += token;
+      } else {
+        columns.push({ before, type: token });
+        before = '';
+      }
+    }
+    return { columns, after: before };
+  }
+  
+  /**
+   * Write an edited grid back into the source text
+   * @param {string} text - Source text
+   * @param {Object} grid - Grid from parseGrid
+   * @returns {Object} - { text, caret }
+   */
+  formatGrid(text, grid) {
+    // The grid is written in a uniform layout: one row per line in multi-line
+    // sources, cells separated by ' & '
+    const rowBreak = grid.multiline ? `\n${grid.indent}` : ' ';
+    const hline = `\\hline${rowBreak}`;
+    let body = grid.multiline ? rowBreak : ' ';
+    let caret = null;
+    
+    grid.rows.forEach((row, rowIndex) => {
+      body += hline.repeat(row.hlines);
+      row.cells.forEach((cell, column) => {
+        if (column > 0) {
+          body += ' & ';
+        }
+        if (rowIndex === grid.caret.row && column === grid.caret.column) {
+          caret = body.length + Math.min(grid.caret.offset, cell.length);
+        }
+        body += cell;
+      });
+      if (rowIndex < grid.rows.length - 1 || grid.trailing) {
+        body += ` \\\\${row.suffix}`;
+        body += rowIndex < grid.rows.length - 1 || grid.trailing.hlines > 0 ? rowBreak : '';
+      }
+    });
+    if (grid.trailing) {
+      body += hline.repeat(grid.trailing.hlines).replace(/\s+$/, '');
+    }
+    body += grid.multiline ? `\n${/^([ \t]*)/.exec(text.slice(text.lastIndexOf('\n', grid.start) + 1))[1]}` : ' ';
+    
+    let start = grid.bodyStart;
+    let head = text.slice(0, start);
+    if (grid.spec?.columns) {
+      const spec = grid.spec.columns.map(column => column.before + column.type).join('') + grid.spec.after;
+      head = text.slice(0, grid.spec.start) + `{${spec}}`;
+      start = head.length;
+    }
+    
+    return {
+      text: head + body + text.slice(grid.bodyEnd),
+      caret: start + (caret ?? 0)
+    };
+  }
+  
+  /**
+   * Add an empty row, or a copy of the current row, below the current row
+   * @param {Object} grid - Grid from parseGrid
+   * @param {boolean} copy - Copy the cells of the current row
+   */
+  appendRow(grid, copy) {
+    const current = grid.rows[grid.caret.row];
+    const cells = copy ? [...current.cells] : current.cells.map(() => '');
+    grid.rows.splice(grid.caret.row + 1, 0, { hlines: 0, cells, suffix: '' });
+    grid.caret = { row: grid.caret.row + 1, column: grid.caret.column, offset: copy ? grid.caret.offset : 0 };
+  }
+  
+  /**
+   * Delete the current row; the last row of a grid is kept
+   * @param {Object} grid - Grid from parseGrid
+   * @returns {boolean|undefined} - false if the grid has one row
+   */
+  deleteRow(grid) {
+    if (grid.rows.length === 1) {
+      return false;
+    }
+    grid.rows.splice(grid.caret.row, 1);
+    const row = Math.min(grid.caret.row, grid.rows.length - 1);
+    grid.caret = { row, column: Math.min(grid.caret.column, grid.rows[row].cells.length - 1), offset: 0 };
+  }
+  
+  /**
+   * Swap the current row with the one above or below; the caret moves with it
+   * @param {Object} grid - Grid from parseGrid
+   * @param {number} step - -1 for up, 1 for down
+   * @returns {boolean|undefined} - false if there is no row to swap with
+   */
+  moveRow(grid, step) {
+    const other = grid.caret.row + step;
+    if (other < 0 || other >= grid.rows.length) {
+      return false;
+    }
+    // Rules stay where they are
+    const rows = grid.rows;
+    [rows[other].cells, rows[grid.caret.row].cells] = [rows[grid.caret.row].cells, rows[other].cells];
+    grid.caret.row = other;
+  }
+  
+  /**
+   * Add an empty column, or a copy of the current column, right of the current column
+   * @param {Object} grid - Grid from parseGrid
+   * @param {boolean} copy - Copy the cells of the current column
+   */
+  appendColumn(grid, copy) {
+    const column = grid.caret.column;
+    for (const row of grid.rows) {
+      if (row.cells.length > column) {
+        row.cells.splice(column + 1, 0, copy ? row.cells[column] : '');
+      }
+    }
+    const spec = grid.spec?.columns;
+    if (spec?.[column]) {
+      spec.splice(column + 1, 0, { before: '', type: spec[column].type });
+    }
+    grid.caret = { row: grid.caret.row, column: column + 1, offset: copy ? grid.caret.offset : 0 };
+  }
+  
+  /**
+   * Delete the current column; the last column of a grid is kept
+   * @param {Object} grid - Grid from parseGrid
+   * @returns {boolean|undefined} - false if the grid has one column
+   */
+  deleteColumn(grid) {
+    const column = grid.caret.column;
+    if (grid.rows.every(row => row.cells.length <= 1)) {
+      return false;
+    }
+    for (const row of grid.rows) {
+      if (row.cells.length > column && row.cells.length > 1) {
+        row.cells.splice(column, 1);
+      }
+    }
+    const spec = grid.spec?.columns;
+    if (spec?.[column] && spec.length > 1) {
+      spec.splice(column, 1);
+    }
+    const cells = grid.rows[grid.caret.row].cells.length;
+    grid.caret = { row: grid.caret.row, column: Math.min(column, cells - 1), offset: 0 };
+  }
+  
+  /**
+   * Swap the current column with the one left or right of it
+   * @param {Object} grid - Grid from parseGrid
+   * @param {number} step - -1 for left, 1 for right
+   * @returns {boolean|undefined} - false if there is no column to swap with
+   */
+  moveColumn(grid, step) {
+    const column = grid.caret.column;
+    const other = column + step;
+    if (other < 0 || other >= grid.rows[grid.caret.row].cells.length) {
+      return false;
+    }
+    for (const row of grid.rows) {
+      if (row.cells.length > Math.max(column, other)) {
+        [row.cells[column], row.cells[other]] = [row.cells[other], row.cells[column]];
+      }
+    }
+    const spec = grid.spec?.columns;
+    if (spec?.[column] && spec[other]) {
+      [spec[column].type, spec[other].type] = [spec[other].type, spec[column].type];
+    }
+    grid.caret.column = other;
+  }
+  
+  /**
+   * Add or delete a \hline above or below the current row
+   * @param {Object} grid - Grid from parseGrid
+   * @param {number} below - 0 for above, 1 for below
+   * @param {number} change - 1 to add, -1 to delete
+   * @returns {boolean|undefined} - false if there is no rule to delete
+   */
+  changeHline(grid, below, change) {
+    const index = grid.caret.row + below;
+    const row = index < grid.rows.length ? grid.rows[index] : (grid.trailing ??= { hlines: 0 });
+    if (row.hlines + change < 0) {
+      return false;
+    }
+    row.hlines += change;
+  }
+  
+  /**
+   * Add or delete a vertical rule left or right of the current column
+   * @param {Object} grid - Grid from parseGrid
+   * @param {number} right - 0 for left, 1 for right
+   * @param {number} change - 1 to add, -1 to delete
+   * @returns {boolean|undefined} - false without a column specification or rule to delete
+   */
+  changeVline(grid, right, change) {
+    const spec = grid.spec?.columns;
+    const column = grid.caret.column;
+    if (!spec?.[column]) {
+      return false;
+    }
+    
+    const target = column + right < spec.length ? spec[column + right] : grid.spec;
+    const key = target === grid.spec ? 'after' : 'before';
+    if (change > 0) {
+      target[key] = right ? `|${target[key]}` : `${target[key]}|`;
+    } else if (target[key].includes('|')) {
+      const index = right ? target[key].indexOf('|') : target[key].lastIndexOf('|');
+      target[key] = target[key].slice(0, index) + target[key].slice(index + 1);
+    } else {
+      return false;
+    }
+  }
+  
+  /**
+   * Set the horizontal alignment of the current column
+   * @param {Object} grid - Grid from parseGrid
+   * @param {string} type - 'l', 'c' or 'r'
+   * @returns {boolean|undefined} - false without a column specification
+   */
+  alignColumn(grid, type) {
+    const column = grid.spec?.columns?.[grid.caret.column];
+    if (!column || !/^[lcr]$/.test(column.type)) {
+      return false;
+    }
+    column.type = type;
+  }
+  
+  /**
+   * Move the text after the caret to the start of the next cell in the row
+   * @param {Object} grid - Grid from parseGrid
+   * @returns {boolean|undefined} - false in the last cell of a row
+   */
+  splitCell(grid) {
+    const cells = grid.rows[grid.caret.row].cells;
+    const column = grid.caret.column;
+    if (column + 1 >= cells.length) {
+      return false;
+    }
+    const cell = cells[column];
+    const moved = cell.slice(grid.caret.offset).trim();
+    cells[column] = cell.slice(0, grid.caret.offset).trim();
+    cells[column + 1] = [moved, cells[column + 1]].filter(Boolean).join(' ');
+    grid.caret = { row: grid.caret.row, column: column + 1, offset: 0 };
+  }
+  
+  /**
+   * Build an empty matrix environment
+   * @param {number} columns - Number of columns
+   * @param {number} rows - Number of rows
+   * @param {string} environment - e.g. 'pmatrix', 'bmatrix' or 'array'
+   * @returns {Object} - { text, cursor } with the caret in the first cell
+   */
+  buildMatrix(columns, rows, environment) {
+    const spec = MatrixEditor.SPEC_ENVIRONMENTS.includes(environment) ? `{${'c'.repeat(columns)}}` : '';
+    const open = `\\begin{${environment}}${spec}\n  `;
+    const row = Array(columns).fill('').join(' & ');
+    const body = Array(rows).fill(row).join(' \\\\\n  ');
+    return { text: `${open}${body}\n\\end{${environment}}`, cursor: open.length };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MatrixEditor };
+} else if (typeof window !== 'undefined') {
+  window.LyXMatrixEditor = MatrixEditor;
+}
\ No newline at end of file
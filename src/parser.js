@@ -5,267 +5,926 @@
 class LyXParser {
   constructor() {
     this.bindings = new Map();
+    this.diagnostics = [];
+    this.entries = [];
+    // Context of the layer being parsed: 'any', 'math' or 'text'
+    this.context = 'any';
+    this.library = null;
+    // Platform whose modifier keys the LyX prefixes stand for: 'mac' or 'pc'
+    this.platform = LyXParser.detectPlatform();
+    this.lexer = new window.LyXBindLexer();
     this.logger = window.LyXLogger?.logger;
   }
   
+  /**
+   * Set the bind file library used to resolve \bind_file includes
+   * @param {BindLibrary} library - Bind file library
+   */
+  setLibrary(library) {
+    this.library = library;
+  }
+  
+  /**
+   * Set the platform whose modifier keys the LyX prefixes stand for
+   * @param {string} platform - 'mac' or 'pc'
+   */
+  setPlatform(platform) {
+    this.platform = platform === 'mac' ? 'mac' : 'pc';
+  }
+  
+  /**
+   * Detect the platform the extension runs on
+   * @returns {string} - 'mac' or 'pc'
+   */
+  static detectPlatform() {
+    const platform = typeof navigator === 'undefined' ? '' :
+      navigator.userAgentData?.platform || navigator.platform || '';
+    return /mac/i.test(platform) ? 'mac' : 'pc';
+  }
+  
   /**
    * Parse a LyX bind file content
    * @param {string} content - The content of the bind file
+   * @param {string} sourceFile - Name of the file the content came from
    * @returns {Map} - Map of key sequences to commands
    */
-  parse(content) {
+  parse(content, sourceFile = 'bindings') {
     this.bindings.clear();
+    this.diagnostics = [];
+    this.entries = [];
+    this.context = 'any';
+    this.parseFile(content, sourceFile, []);
+    
+    this.logger?.info(`Parsed ${this.bindings.size} key bindings from LyX file`);
+    return this.bindings;
+  }
+  
+  /**
+   * Parse a stack of bind files, later layers overriding earlier ones
+   * @param {Array} layers - Array of { name, content, context } in priority order;
+   *   the bindings of a layer with context 'math' or 'text' only apply there
+   * @returns {Map} - Map of binding keys (see bindingKey) to commands
+   */
+  parseLayers(layers) {
+    this.bindings.clear();
+    this.diagnostics = [];
+    this.entries = [];
+    
+    for (const layer of layers) {
+      this.context = LyXParser.CONTEXTS.includes(layer.context) ? layer.context : 'any';
+      this.parseFile(layer.content, layer.name, []);
+    }
+    this.context = 'any';
+    
+    this.logger?.info(`Parsed ${this.bindings.size} key bindings from ${layers.length} layers`);
+    return this.bindings;
+  }
+  
+  /**
+   * Contexts a keymap layer can be limited to
+   */
+  static get CONTEXTS() {
+    return ['any', 'math', 'text'];
+  }
+  
+  /**
+   * Get the key of a binding in the bindings map; bindings limited to a context
+   * are kept apart from the ones for any context on the same keys
+   * @param {string} keySequence - Normalized key sequence
+   * @param {string} context - Context of the binding
+   * @returns {string} - Map key, e.g. 'Alt+m g a' or 'math:Alt+m g a'
+   */
+  bindingKey(keySequence, context = this.context) {
+    return context === 'any' ? keySequence : `${context}:${keySequence}`;
+  }
+  
+  /**
+   * Get the diagnostics reported by the last parse
+   * @returns {Array} - Array of { severity, sourceFile, line, column, message, fix }
+   */
+  getDiagnostics() {
+    return [...this.diagnostics];
+  }
+  
+  /**
+   * Get the lines of the top-level files of the last parse, in source order
+   * @returns {Array} - Array of { type, text, sourceFile, context }, context being the
+   *   one of the layer the line was parsed in: type is 'bind' for valid
+   *   bindings, which also carry key (see bindingKey), keySequence, originalKeySequence,
+   *   command, spacing and trailing; 'unbind' with key and keySequence for lines that
+   *   removed a binding;
+   *   'format' for Format headers; 'raw' for everything else
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+  
+  /**
+   * Record a problem found while parsing
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {Object} location - { sourceFile, line, text } of the offending line
+   * @param {string} message - Description of the problem
+   * @param {Object} options - { column, fragment, fix }: 0-based offset or text to point the
+   *   column at, and suggested fix
+   */
+  addDiagnostic(severity, location, message, options = {}) {
+    let index = options.column ?? -1;
+    if (index === -1 && options.fragment) {
+      index = location.text.indexOf(options.fragment);
+    }
+    const diagnostic = {
+      severity,
+      sourceFile: location.sourceFile,
+      line: location.line,
+      column: index === -1 ? location.text.search(/\S|$/) + 1 : index + 1,
+      message,
+      fix: options.fix || null
+    };
+    
+    this.diagnostics.push(diagnostic);
+    this.logger?.warn(`${diagnostic.sourceFile}:${diagnostic.line}:${diagnostic.column}: ${message}`, diagnostic);
+  }
+  
+  /**
+   * Parse the content of one bind file, following its includes
+   * @param {string} content - The content of the bind file
+   * @param {string} sourceFile - Name of the file being parsed
+   * @param {Array} includeStack - Names of the files currently being parsed
+   */
+  parseFile(content, sourceFile, includeStack) {
     const lines = content.split('\n');
+    const seenKeys = new Map();
     let lineNumber = 0;
     
+    // Lines of included files are represented by their \bind_file line
+    const topLevel = includeStack.length === 0;
+    
+    // Shortcut files of other editors go through their importer instead
+    const format = topLevel ? window.LyXImporters?.detect(content) : 'lyx';
+    if (format && format !== 'lyx') {
+      this.importFile(content, sourceFile, format);
+      return;
+    }
+    
+    includeStack.push(sourceFile);
+    
     for (const line of lines) {
       lineNumber++;
-      const trimmed = line.trim();
+      const location = { sourceFile, line: lineNumber, text: line };
+      const { tokens, error } = this.lexer.tokenizeLine(line);
+      const entry = { type: 'raw', text: line, sourceFile, context: this.context };
+      if (topLevel) {
+        this.entries.push(entry);
+      }
+      
+      if (error) {
+        this.addDiagnostic('error', location, error.message, { column: error.column, fix: error.fix });
+        continue;
+      }
       
       // Skip empty lines and comments
-      if (!trimmed || trimmed.startsWith('#')) {
+      if (tokens.length === 0) {
         continue;
       }
       
-      // Parse bind directives
-      if (trimmed.startsWith('\\bind')) {
-        try {
-          const binding = this.parseBindLine(trimmed);
+      const directive = tokens[0].type === 'word' ? tokens[0].value : null;
+      
+      switch (directive) {
+        case '\\bind_file':
+          this.parseIncludeLine(tokens, location, includeStack);
+          break;
+          
+        case '\\unbind': {
+          const keySequence = this.parseUnbindLine(tokens, location);
+          if (keySequence) {
+            Object.assign(entry, { type: 'unbind', key: this.bindingKey(keySequence), keySequence });
+          }
+          break;
+        }
+          
+        case '\\bind': {
+          const binding = this.parseBindLine(tokens, location);
           if (binding) {
-            this.bindings.set(binding.keySequence, binding);
+            // Several LyX key names map to the same browser key (KP_Right and
+            // Right, C-M- and M-C-); only warn when the command actually changes
+            const previous = seenKeys.get(binding.keySequence);
+            if (previous && previous.command !== binding.command) {
+              this.addDiagnostic('warning', location,
+                `Duplicate key "${binding.originalKeySequence}" overrides the binding on line ${previous.line}`,
+                { column: tokens[1].column, fix: 'Remove one of the two bindings' });
+            }
+            seenKeys.set(binding.keySequence, { line: lineNumber, command: binding.command });
+            
+            binding.sourceFile = sourceFile;
+            binding.context = this.context;
+            // Re-adding moves a re-bound key after the bindings defined since,
+            // which is the order KeyTrie.build resolves prefixes in
+            this.bindings.delete(this.bindingKey(binding.keySequence));
+            this.bindings.set(this.bindingKey(binding.keySequence), binding);
+            Object.assign(entry, {
+              type: 'bind',
+              key: this.bindingKey(binding.keySequence),
+              keySequence: binding.keySequence,
+              originalKeySequence: binding.originalKeySequence,
+              command: binding.command,
+              spacing: line.slice(tokens[1].end, tokens[2].column),
+              trailing: line.slice(tokens[2].end)
+            });
             this.logger?.debug(`Parsed binding: ${binding.keySequence} -> ${binding.command}`, binding);
           }
-        } catch (error) {
-          this.logger?.warn(`Failed to parse line ${lineNumber}: ${trimmed}`, error);
+          break;
         }
+        
+        case 'Format':
+          this.parseFormatLine(tokens, location);
+          entry.type = 'format';
+          break;
+          
+        default:
+          this.addDiagnostic('warning', location, `Unknown directive "${tokens[0].value}" ignored`,
+            { column: tokens[0].column, fix: 'Use \\bind, \\unbind or \\bind_file, or comment the line out with #' });
       }
     }
     
-    this.logger?.info(`Parsed ${this.bindings.size} key bindings from LyX file`);
-    return this.bindings;
+    includeStack.pop();
+  }
+  
+  /**
+   * Import a shortcut file of another editor
+   * @param {string} content - File content
+   * @param {string} sourceFile - Name of the file
+   * @param {string} format - Importer format name, e.g. 'vscode'
+   */
+  importFile(content, sourceFile, format) {
+    const importer = window.LyXImporters.get(format);
+    const lines = content.split('\n');
+    const locate = line => ({ sourceFile, line, text: lines[line - 1] || '' });
+    
+    const records = importer.import(content, (severity, line, message, options) =>
+      this.addDiagnostic(severity, locate(line), message, options)
+    );
+    
+    // Imported bindings are exported as the \bind lines they stand for
+    this.entries.push({
+      type: 'raw',
+      text: `# Imported from ${sourceFile} (${importer.label})`,
+      sourceFile,
+      context: this.context
+    });
+    
+    for (const record of records) {
+      const binding = this.createBinding(record.keySequence, record.command, locate(record.line));
+      if (!binding) continue;
+      
+      binding.sourceFile = sourceFile;
+      binding.context = this.context;
+      this.bindings.delete(this.bindingKey(binding.keySequence));
+      this.bindings.set(this.bindingKey(binding.keySequence), binding);
+      this.entries.push({
+        type: 'bind',
+        text: `\\bind ${this.lexer.quote(record.keySequence)} ${this.lexer.quote(record.command)}`,
+        sourceFile,
+        context: this.context,
+        key: this.bindingKey(binding.keySequence),
+        keySequence: binding.keySequence,
+        originalKeySequence: record.keySequence,
+        command: record.command,
+        spacing: ' ',
+        trailing: ''
+      });
+    }
+    
+    this.logger?.info(`Imported ${records.length} bindings from ${importer.label} in ${sourceFile}`);
+  }
+  
+  /**
+   * Check the tokens of a directive against the number of operands it takes
+   * @param {Array} tokens - Tokens of the line, directive first
+   * @param {number} count - Number of operands expected
+   * @param {Object} location - Location of the line
+   * @param {string} usage - Correct form of the directive, for the fix
+   * @returns {boolean} - True if the operands are all there and nothing follows them
+   */
+  checkOperands(tokens, count, location, usage) {
+    const directive = tokens[0].value;
+    
+    if (tokens.length <= count) {
+      this.addDiagnostic('error', location, `Invalid ${directive} line format`,
+        { column: tokens[0].column, fix: `Use the form ${usage}` });
+      return false;
+    }
+    
+    if (tokens.length > count + 1) {
+      const extra = tokens[count + 1];
+      this.addDiagnostic('error', location, `Unexpected "${extra.value}" after ${directive} operands`,
+        { column: extra.column, fix: `Quote the operands or start a comment with #: ${usage}` });
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check a Format header
+   * @param {Array} tokens - Tokens of the line
+   * @param {Object} location - Location of the line
+   */
+  parseFormatLine(tokens, location) {
+    if (!this.checkOperands(tokens, 1, location, 'Format 4')) {
+      return;
+    }
+    
+    if (!/^\d+$/.test(tokens[1].value)) {
+      this.addDiagnostic('error', location, `Invalid bind file format "${tokens[1].value}"`,
+        { column: tokens[1].column, fix: 'The format is a version number, e.g. Format 4' });
+    }
+  }
+  
+  /**
+   * Resolve and parse a \bind_file include
+   * @param {Array} tokens - Tokens of the include line
+   * @param {Object} location - Location of the include line
+   * @param {Array} includeStack - Names of the files currently being parsed
+   */
+  parseIncludeLine(tokens, location, includeStack) {
+    if (tokens.length < 2 || !tokens[1].value.trim()) {
+      this.addDiagnostic('error', location, 'Missing file name in \\bind_file',
+        { column: tokens[0].column, fix: 'Name the bind file to include, e.g. \\bind_file math.bind' });
+      return;
+    }
+    if (!this.checkOperands(tokens, 1, location, '\\bind_file name.bind')) {
+      return;
+    }
+    
+    const name = tokens[1].value.trim();
+    const file = this.library?.resolve(name);
+    const omission = file ? null : this.library?.omissionReason(name);
+    if (omission) {
+      this.addDiagnostic('info', location, `Included bind file not bundled: ${name} (${omission})`,
+        { column: tokens[1].column, fix: 'Upload the file from LyX\'s lib/bind directory to the bind file library to use it anyway' });
+      return;
+    }
+    if (!file) {
+      this.addDiagnostic('warning', location, `Included bind file not found: ${name}`,
+        { column: tokens[1].column, fix: 'Upload the file to the bind file library on the settings page' });
+      return;
+    }
+    
+    if (includeStack.includes(file.name)) {
+      this.addDiagnostic('error', location, `Include cycle: ${[...includeStack, file.name].join(' -> ')}`,
+        { column: tokens[1].column, fix: `Remove the include of ${file.name}` });
+      return;
+    }
+    
+    this.logger?.debug(`Including ${file.origin} bind file ${file.name} from ${location.sourceFile}`);
+    this.parseFile(file.content, file.name, includeStack);
   }
   
   /**
    * Parse a single bind line
-   * @param {string} line - The bind line to parse
+   * @param {Array|string} tokens - Tokens of the bind line, or the line itself
+   * @param {Object} location - Location of the line, for diagnostics
    * @returns {Object|null} - Parsed binding object or null
    */
-  parseBindLine(line) {
-    // Match pattern: \bind "key-sequence" "command"
-    const bindRegex = /\\bind\s+"([^"]+)"\s+"([^"]+)"/;
-    const match = line.match(bindRegex);
+  parseBindLine(tokens, location) {
+    if (typeof tokens === 'string') {
+      location = location || { sourceFile: 'bindings', line: 0, text: tokens };
+      const result = this.lexer.tokenizeLine(tokens);
+      if (result.error) {
+        this.addDiagnostic('error', location, result.error.message,
+          { column: result.error.column, fix: result.error.fix });
+        return null;
+      }
+      tokens = result.tokens;
+    }
     
-    if (!match) {
-      this.logger?.warn(`Invalid bind line format: ${line}`);
+    const operands = this.getStringOperands(tokens, location, '\\bind "key-sequence" "command"');
+    if (!operands) {
       return null;
     }
     
-    const [, keySequence, command] = match;
+    const [keyToken, commandToken] = operands;
+    return this.createBinding(keyToken.value, commandToken.value, location, keyToken, commandToken);
+  }
+  
+  /**
+   * Check a key sequence and command and build the binding object
+   * @param {string} keySequence - Original LyX key sequence
+   * @param {string} command - Unescaped command
+   * @param {Object} location - Location of the line, for diagnostics
+   * @param {Object} keyToken - Token holding the key sequence, for columns
+   * @param {Object} commandToken - Token holding the command, for columns
+   * @returns {Object|null} - Binding object, or null if the keys are invalid
+   */
+  createBinding(keySequence, command, location, keyToken = null, commandToken = null) {
+    const validKeys = this.checkKeySequence(keySequence, location, keyToken);
+    const { lfun, args, argument } = this.lexer.splitCommand(command);
+    this.checkCommand(command, location, commandToken);
+    if (!validKeys) {
+      return null;
+    }
     
     return {
       keySequence: this.normalizeKeySequence(keySequence),
       originalKeySequence: keySequence,
       command: command,
-      action: this.parseCommand(command)
+      lfun,
+      args,
+      action: this.parseCommand(lfun, args, argument)
     };
   }
   
+  /**
+   * Parse a single unbind line and remove the inherited binding
+   * @param {Array} tokens - Tokens of the unbind line
+   * @param {Object} location - Location of the line, for diagnostics
+   * @returns {string|null} - Normalized key sequence of the removed binding, or null
+   */
+  parseUnbindLine(tokens, location) {
+    const operands = this.getStringOperands(tokens, location, '\\unbind "key-sequence" "command"');
+    if (!operands) {
+      return null;
+    }
+    
+    const [keyToken, commandToken] = operands;
+    if (!this.checkKeySequence(keyToken.value, location, keyToken)) {
+      return null;
+    }
+    
+    const keySequence = this.normalizeKeySequence(keyToken.value);
+    const command = commandToken.value.trim();
+    const existing = this.bindings.get(this.bindingKey(keySequence));
+    
+    // A layer limited to math or text cannot take away a binding for everywhere
+    const everywhere = !existing && this.context !== 'any' ? this.bindings.get(keySequence) : null;
+    if (everywhere) {
+      this.addDiagnostic('warning', location,
+        `Cannot unbind "${keyToken.value}" in a ${this.context} layer: it is bound to "${everywhere.command}" everywhere`, {
+          column: keyToken.column,
+          fix: `Unbind it in a layer for everywhere, or bind it to "" here to turn it off in ${this.context}`
+        });
+      return null;
+    }
+    
+    // Like LyX, only remove the binding if it is bound to the given command
+    if (!existing || existing.command.trim() !== command) {
+      this.addDiagnostic('warning', location, `Cannot unbind "${keyToken.value}": it is not bound to "${command}"`, {
+        column: keyToken.column,
+        fix: existing ? `The inherited command is "${existing.command}"` : 'Remove this \\unbind line'
+      });
+      return null;
+    }
+    
+    this.bindings.delete(this.bindingKey(keySequence));
+    this.logger?.debug(`Unbound ${keySequence} (was ${existing.command} from ${existing.sourceFile})`);
+    return keySequence;
+  }
+  
+  /**
+   * Get the key sequence and command operands of a \bind or \unbind line
+   * @param {Array} tokens - Tokens of the line
+   * @param {Object} location - Location of the line
+   * @param {string} usage - Correct form of the directive, for the fix
+   * @returns {Array|null} - [keyToken, commandToken] or null if malformed
+   */
+  getStringOperands(tokens, location, usage) {
+    if (!this.checkOperands(tokens, 2, location, usage)) {
+      return null;
+    }
+    
+    const unquoted = tokens.slice(1).find(token => token.type !== 'string');
+    if (unquoted) {
+      this.addDiagnostic('error', location, `Expected a quoted string, found "${unquoted.value}"`,
+        { column: unquoted.column, fix: `Use the form ${usage}` });
+      return null;
+    }
+    
+    if (!tokens[1].value.trim()) {
+      this.addDiagnostic('error', location, 'Empty key sequence',
+        { column: tokens[1].column, fix: `Use the form ${usage}` });
+      return null;
+    }
+    
+    return [tokens[1], tokens[2]];
+  }
+  
+  /**
+   * Check the key names of a key sequence
+   * @param {string} keySequence - Original LyX key sequence
+   * @param {Object} location - Location of the line
+   * @param {Object} token - String token holding the key sequence, for columns
+   * @returns {boolean} - True if all key names are known
+   */
+  checkKeySequence(keySequence, location, token = null) {
+    let valid = true;
+    
+    for (const { 0: key, index } of keySequence.matchAll(/\S+/g)) {
+      const name = key.replace(/^(~?[CMSA]-(?=.))+/, '');
+      if (this.isKnownKeyName(name)) continue;
+      
+      const suggestion = this.suggestName(name, Object.keys(window.LyXKeyNames || {}));
+      this.addDiagnostic('error', location, `Unknown key name "${name}"`, {
+        column: token ? token.column + 1 + index : undefined,
+        fragment: key,
+        fix: suggestion ? `Did you mean "${suggestion}"?` : 'Use an X11 key name such as "period" or "BackSpace"'
+      });
+      valid = false;
+    }
+    
+    return valid;
+  }
+  
+  /**
+   * Check that a command names a known LyX function
+   * @param {string} command - The LyX command
+   * @param {Object} location - Location of the line
+   * @param {Object} token - String token holding the command, for columns
+   */
+  checkCommand(command, location, token = null) {
+    const { lfun, argument } = this.lexer.splitCommand(command);
+    const knownLFUNs = window.LyXKnownLFUNs;
+    
+    // An empty command binds the key to nothing, as in LyX
+    if (!knownLFUNs || !lfun) {
+      return;
+    }
+    
+    // Composite commands carry further LFUNs separated by semicolons
+    if (lfun === 'command-sequence' || lfun === 'command-alternatives') {
+      for (const part of argument.split(';')) {
+        if (part.trim()) {
+          this.checkCommand(part, location);
+        }
+      }
+    }
+    
+    if (knownLFUNs.has(lfun)) {
+      return;
+    }
+    
+    const suggestion = this.suggestName(lfun, knownLFUNs);
+    this.addDiagnostic('warning', location, `Unknown LyX function "${lfun}"`, {
+      column: token ? token.column + 1 + command.indexOf(lfun) : undefined,
+      fragment: lfun,
+      fix: suggestion ? `Did you mean "${suggestion}"?` : 'Check the LFUN name against the LyX function list'
+    });
+  }
+  
+  /**
+   * Check whether a key name (without modifiers) is known
+   * @param {string} name - Key name
+   * @returns {boolean} - True if known
+   */
+  isKnownKeyName(name) {
+    return name.length === 1 || Object.prototype.hasOwnProperty.call(window.LyXKeyNames || {}, name);
+  }
+  
+  /**
+   * Suggest the closest known name for a misspelled one
+   * @param {string} name - Unknown name
+   * @param {Iterable} candidates - Known names
+   * @returns {string|null} - Closest candidate or null
+   */
+  suggestName(name, candidates) {
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+    
+    for (const candidate of candidates) {
+      const distance = this.editDistance(name.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Edit distance
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    
+    return previous[b.length];
+  }
+  
   /**
    * Normalize key sequence to internal format
    * @param {string} keySequence - Original LyX key sequence
    * @returns {string} - Normalized key sequence
    */
   normalizeKeySequence(keySequence) {
-    // Convert LyX modifiers to standard format
-    let normalized = keySequence
-      .replace(/M-/g, 'Alt+')      // M- = Alt
-      .replace(/C-/g, 'Ctrl+')     // C- = Ctrl
-      .replace(/S-/g, 'Shift+')    // S- = Shift
-      .replace(/A-/g, 'Alt+');     // A- = Alt (alternative notation)
-    
-    // Handle special keys
-    normalized = normalized
-      .replace(/space/g, 'Space')
-      .replace(/Return/g, 'Enter')
-      .replace(/BackSpace/g, 'Backspace')
-      .replace(/Delete/g, 'Delete')
-      .replace(/Tab/g, 'Tab')
-      .replace(/Escape/g, 'Escape')
-      .replace(/Up/g, 'ArrowUp')
-      .replace(/Down/g, 'ArrowDown')
-      .replace(/Left/g, 'ArrowLeft')
-      .replace(/Right/g, 'ArrowRight')
-      .replace(/Prior/g, 'PageUp')
-      .replace(/Next/g, 'PageDown')
-      .replace(/Home/g, 'Home')
-      .replace(/End/g, 'End');
-    
-    // Handle special characters that need escaping
-    normalized = normalized
-      .replace(/~S-/g, '')         // ~S- means "not shift"
-      .replace(/~C-/g, '')         // ~C- means "not ctrl"
-      .replace(/~M-/g, '');        // ~M- means "not meta"
-    
-    return normalized;
+    return keySequence
+      .trim()
+      .split(/\s+/)
+      .map(key => this.normalizeKey(key))
+      .join(' ');
   }
   
   /**
-   * Parse command to determine action type
-   * @param {string} command - The LyX command
-   * @returns {Object} - Action object with type and parameters
+   * Normalize a single LyX key to the format produced by HotkeyManager.eventToKeyString
+   * @param {string} key - LyX key such as "C-S-d" or "~S-parenleft"
+   * @returns {string} - Normalized key such as "Ctrl+Shift+D" or "("
    */
-  parseCommand(command) {
-    // Handle math-insert commands
-    if (command.startsWith('math-insert')) {
-      const symbol = command.replace('math-insert ', '').trim();
-      return {
-        type: 'insert',
-        text: this.convertLaTeXSymbol(symbol)
-      };
-    }
+  normalizeKey(key) {
+    const modifiers = new Set();
+    let name = key;
+    let match;
     
-    // Handle other insert commands
-    if (command.includes('insert')) {
-      return {
-        type: 'insert',
-        text: this.extractInsertText(command)
-      };
+    // Strip modifier prefixes; ~X- means "ignore the state of X" and adds nothing
+    while ((match = name.match(/^(~?)([CMSA])-(?=.)/))) {
+      if (!match[1]) {
+        modifiers.add(LyXParser.MODIFIERS[this.platform][match[2]]);
+      }
+      name = name.slice(match[0].length);
     }
     
-    // Handle self-insert commands
-    if (command.startsWith('self-insert')) {
-      const text = command.replace('self-insert ', '').trim();
-      return {
-        type: 'insert',
-        text: text
-      };
+    let eventKey = this.keyNameToEventKey(name);
+    
+    if (eventKey.length === 1) {
+      if (eventKey.toLowerCase() !== eventKey.toUpperCase()) {
+        // Letters: an uppercase name implies Shift, and Shift implies an uppercase key
+        if (eventKey !== eventKey.toLowerCase()) {
+          modifiers.add('Shift');
+        }
+        eventKey = modifiers.has('Shift') ? eventKey.toUpperCase() : eventKey.toLowerCase();
+      } else {
+        // Other characters already encode the Shift state in the character itself
+        modifiers.delete('Shift');
+      }
     }
     
-    // Handle quote-insert commands
-    if (command.startsWith('quote-insert')) {
-      return {
-        type: 'insert',
-        text: this.handleQuoteInsert(command)
-      };
+    const parts = ['Ctrl', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.has(modifier));
+    parts.push(eventKey);
+    
+    return parts.join('+');
+  }
+  
+  /**
+   * Map an X11 key name to a KeyboardEvent key value
+   * @param {string} name - Key name without modifiers
+   * @returns {string} - KeyboardEvent key, or the name itself if unknown
+   */
+  keyNameToEventKey(name) {
+    if (name.length === 1) {
+      return name;
+    }
+    return window.LyXKeyNames?.[name] || name;
+  }
+  
+  /**
+   * LyX modifier prefixes and the modifiers they stand for, by platform
+   */
+  static get MODIFIERS() {
+    return {
+      // As in the header of mac.bind: C- = Command, M- = Control, A- = Option
+      mac: { C: 'Meta', M: 'Ctrl', A: 'Alt', S: 'Shift' },
+      // M- = Meta, which LyX maps to Alt on PC keyboards; A- is left the Windows key
+      pc: { C: 'Ctrl', M: 'Alt', A: 'Meta', S: 'Shift' }
+    };
+  }
+  
+  /**
+   * Parse command to determine action type
+   * @param {string} lfun - The LyX function name
+   * @param {Array} args - The LyX function arguments
+   * @param {string} argument - The raw text after the function name
+   * @returns {Object} - Action object with type and parameters
+   */
+  parseCommand(lfun, args = [], argument = args.join(' ')) {
+    switch (lfun) {
+      // An empty command swallows the key without doing anything
+      case '':
+        return { type: 'none' };
+        
+      // Math stays LaTeX here; the output renderer picks the format at insert time
+      case 'math-insert':
+        return { type: 'math', latex: argument.trim() };
+        
+      // Math hulls: inline or display math, or a named math environment
+      case 'math-mode':
+        return { type: 'hull', hull: 'inline' };
+        
+      case 'math-display':
+        return { type: 'hull', hull: 'display', toggle: true };
+        
+      case 'math-mutate':
+        // "dump" only prints LyX's internal math structure
+        if (!args[0] || args[0] === 'dump') {
+          break;
+        }
+        return {
+          type: 'hull',
+          hull: args[0] === 'none' ? null : args[0] === 'simple' ? 'inline' : args[0]
+        };
+        
+      // Switch between a user macro's call and its expansion
+      case 'math-macro-fold':
+      case 'math-macro-unfold':
+        return { type: 'macro', fold: lfun === 'math-macro-fold' };
+        
+      case 'math-superscript':
+      case 'math-subscript':
+        return {
+          type: 'script',
+          script: lfun === 'math-superscript' ? 'super' : 'sub'
+        };
+        
+      // Delimiter names are rendered by the inserter in the output format
+      case 'math-delim':
+        return {
+          type: 'delim',
+          left: args[0] || '(',
+          right: args[1] || ')'
+        };
+        
+      // Matrix and table operations on the LaTeX source around the caret
+      case 'tabular-feature':
+        return { type: 'tabular', feature: args[0] || '' };
+        
+      case 'cell-split':
+        return { type: 'tabular', feature: 'cell-split' };
+        
+      case 'math-matrix':
+        return { type: 'matrix', args };
+        
+      // Numbered caret positions; bookmark-clear removes them all
+      case 'bookmark-save':
+      case 'bookmark-goto':
+      case 'bookmark-clear':
+        return {
+          type: 'bookmark',
+          operation: lfun.slice('bookmark-'.length),
+          number: parseInt(args[0], 10) || 0
+        };
+        
+      case 'self-insert':
+        return {
+          type: 'insert',
+          text: argument
+        };
+        
+      // The inserter picks the marks from the quote style and the text before the caret
+      case 'quote-insert':
+        return this.handleQuoteInsert(args);
+        
+      case 'specialchar-insert':
+        return {
+          type: 'insert',
+          text: this.handleSpecialChar(args)
+        };
+        
+      case 'space-insert':
+        return {
+          type: 'insert',
+          text: this.handleSpaceInsert(args)
+        };
+        
+      // LyX's minibuffer; here a search over commands and symbols
+      case 'command-execute':
+        return { type: 'palette' };
+        
+      // Composite commands: run every LFUN, or the first one that applies
+      case 'command-sequence':
+      case 'command-alternatives':
+        return {
+          type: lfun === 'command-sequence' ? 'sequence' : 'alternatives',
+          actions: this.parseCommandList(argument)
+        };
     }
     
-    // Handle specialchar-insert commands
-    if (command.startsWith('specialchar-insert')) {
+    // Handle other insert commands that carry the text to insert
+    if (lfun.endsWith('-insert') && argument) {
       return {
         type: 'insert',
-        text: this.handleSpecialChar(command)
+        text: argument
       };
     }
     
-    // Default: treat as custom command
+    // Default: treat as custom command; the inserter runs the ones that edit text
     return {
       type: 'command',
-      command: command
-    };
-  }
-  
-  /**
-   * Convert LaTeX symbols to appropriate text
-   * @param {string} symbol - LaTeX symbol
-   * @returns {string} - Converted text
-   */
-  convertLaTeXSymbol(symbol) {
-    // Handle fraction
-    if (symbol === '\\frac') {
-      return '\\frac{}{}';
-    }
-    
-    // Handle square root
-    if (symbol === '\\sqrt') {
-      return '\\sqrt{}';
-    }
-    
-    // Handle common mathematical symbols
-    const symbolMap = {
-      '\\alpha': 'α',
-      '\\beta': 'β',
-      '\\gamma': 'γ',
-      '\\delta': 'δ',
-      '\\epsilon': 'ε',
-      '\\zeta': 'ζ',
-      '\\eta': 'η',
-      '\\theta': 'θ',
-      '\\iota': 'ι',
-      '\\kappa': 'κ',
-      '\\lambda': 'λ',
-      '\\mu': 'μ',
-      '\\nu': 'ν',
-      '\\xi': 'ξ',
-      '\\pi': 'π',
-      '\\rho': 'ρ',
-      '\\sigma': 'σ',
-      '\\tau': 'τ',
-      '\\upsilon': 'υ',
-      '\\phi': 'φ',
-      '\\chi': 'χ',
-      '\\psi': 'ψ',
-      '\\omega': 'ω',
-      '\\sum': '∑',
-      '\\int': '∫',
-      '\\infty': '∞',
-      '\\pm': '±',
-      '\\neq': '≠',
-      '\\leq': '≤',
-      '\\geq': '≥'
+      lfun,
+      command: argument ? `${lfun} ${argument}` : lfun
     };
-    
-    // Return Unicode symbol if available, otherwise return LaTeX code
-    return symbolMap[symbol] || symbol;
   }
   
   /**
-   * Extract text from insert commands
-   * @param {string} command - Insert command
-   * @returns {string} - Text to insert
+   * Parse the semicolon-separated LFUNs of a composite command
+   * @param {string} argument - Argument of command-sequence or command-alternatives
+   * @returns {Array} - Action objects in order
    */
-  extractInsertText(command) {
-    // Extract text after the command name
-    const parts = command.split(' ');
-    return parts.slice(1).join(' ');
+  parseCommandList(argument) {
+    return argument
+      .split(';')
+      .filter(part => part.trim())
+      .map(part => {
+        const { lfun, args, argument: partArgument } = this.lexer.splitCommand(part);
+        return this.parseCommand(lfun, args, partArgument);
+      });
   }
   
   /**
    * Handle quote-insert commands
-   * @param {string} command - Quote insert command
-   * @returns {string} - Quote character(s)
+   * @param {Array} args - Quote insert arguments: [inner|outer] [left|right|auto] [style]
+   * @returns {Object} - Quote action: { type, level, side, style }; style is null
+   *   to use the style of the site or page
    */
-  handleQuoteInsert(command) {
-    if (command.includes('inner')) {
-      return '"';
-    }
-    if (command.includes('outer')) {
-      return '"';
-    }
-    return '"';
+  handleQuoteInsert(args) {
+    const keywords = ['inner', 'outer', 'left', 'right', 'auto'];
+    return {
+      type: 'quote',
+      level: args.includes('inner') ? 'inner' : 'outer',
+      side: args.find(arg => ['left', 'right'].includes(arg)) || 'auto',
+      style: args.find(arg => !keywords.includes(arg)) || null
+    };
   }
   
   /**
    * Handle special character commands
-   * @param {string} command - Special char command
+   * @param {Array} args - Special char arguments
    * @returns {string} - Special character
    */
-  handleSpecialChar(command) {
-    if (command.includes('hyphenation')) {
-      return '­'; // Soft hyphen
+  handleSpecialChar(args) {
+    switch (args[0]) {
+      case 'hyphenation':
+        return '\u00ad'; // Soft hyphen
+      case 'nobreakdash':
+        return '\u2011'; // Non-breaking hyphen
+      case 'ligature-break':
+        return '\u200c'; // Zero-width non-joiner
+      case 'allowbreak':
+        return '\u200b'; // Zero-width space
+      case 'slash':
+        return '/\u200b'; // Slash that allows a line break after it
+      case 'end-of-sentence':
+        return '.';
+      case 'dots':
+      case 'ldots':
+        return '…';
+      case 'menu-separator':
+        return '\u2009\u25b9\u2009'; // Thin-spaced triangle, as LyX prints \lyxarrow
+      case 'lyx':
+      case 'phrase-lyx':
+        return 'LyX';
+      case 'tex':
+      case 'phrase-tex':
+        return 'TeX';
+      case 'latex':
+      case 'phrase-latex':
+        return 'LaTeX';
+      case 'latex2e':
+      case 'phrase-latex2e':
+        return 'LaTeX2ε';
+      default:
+        this.logger?.warn(`Unknown special character: ${args[0] || '(none)'}`);
+        return '';
     }
-    if (command.includes('nobreakdash')) {
-      return '‑'; // Non-breaking hyphen
-    }
-    if (command.includes('ligature-break')) {
-      return '‌'; // Zero-width non-joiner
-    }
-    if (command.includes('end-of-sentence')) {
-      return '.';
-    }
-    if (command.includes('dots')) {
-      return '…';
+  }
+  
+  /**
+   * Handle space-insert commands
+   * @param {Array} args - Space insert arguments
+   * @returns {string} - Space character(s)
+   */
+  handleSpaceInsert(args) {
+    switch (args[0]) {
+      case 'protected':
+        return '\u00a0'; // No-break space
+      case 'thin':
+        return '\u2009';
+      case 'medium':
+        return '\u205f';
+      case 'thick':
+        return '\u2004';
+      case 'enspace':
+      case 'enskip':
+        return '\u2002';
+      case 'quad':
+        return '\u2003';
+      case 'qquad':
+        return '\u2003\u2003';
+      case 'visible':
+        return '\u2423'; // Open box
+      default:
+        return ' ';
     }
-    return '';
   }
   
   /**
@@ -0,0 +1,120 @@
+/**
+ * Quote styles for LyX Hotkey Plugin
+ * Picks the quotation marks quote-insert types from the site, the page language
+ * or the settings, and decides between opening and closing marks
+ */
+class QuoteStyles {
+  constructor() {
+    this.style = 'auto';
+    this.siteStyle = null;
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * LyX quote styles: [open, close] marks for outer and inner quotes
+   */
+  static get STYLES() {
+    return {
+      english: { outer: ['“', '”'], inner: ['‘', '’'] },
+      swedish: { outer: ['”', '”'], inner: ['’', '’'] },
+      german: { outer: ['„', '“'], inner: ['‚', '‘'] },
+      polish: { outer: ['„', '”'], inner: ['‚', '’'] },
+      // French typography puts a no-break space inside guillemets
+      french: { outer: ['«\u00a0', '\u00a0»'], inner: ['“', '”'] },
+      danish: { outer: ['»', '«'], inner: ['›', '‹'] },
+      plain: { outer: ['"', '"'], inner: ["'", "'"] }
+    };
+  }
+  
+  /**
+   * Quote style of each page language, by primary language subtag
+   */
+  static get LANGUAGES() {
+    return {
+      en: 'english',
+      sv: 'swedish',
+      fi: 'swedish',
+      de: 'german',
+      pl: 'polish',
+      cs: 'german',
+      fr: 'french',
+      da: 'danish'
+    };
+  }
+  
+  /**
+   * Set the style, applying the override for the current site
+   * @param {Object} config - { style, sites: { hostname: style } }; style 'auto'
+   *   follows the language of the page
+   * @param {string} hostname - Host name of the current page
+   */
+  setStyles(config, hostname = '') {
+    const styles = QuoteStyles.STYLES;
+    const site = Object.entries(config?.sites || {}).find(([host]) =>
+      hostname === host || hostname.endsWith(`.${host}`)
+    );
+    
+    this.style = config?.style in styles ? config.style : 'auto';
+    this.siteStyle = site && site[1] in styles ? site[1] : null;
+    this.logger?.debug(`Quote style for ${hostname || 'this page'}: ${this.siteStyle || this.style}`);
+  }
+  
+  /**
+   * Get the style for an element: the site's, else the configured one, else the
+   * one of the element's language
+   * @param {Element} element - Element being typed in
+   * @returns {string} - Style name
+   */
+  getStyle(element) {
+    if (this.siteStyle) {
+      return this.siteStyle;
+    }
+    if (this.style !== 'auto') {
+      return this.style;
+    }
+    
+    const lang = element?.closest?.('[lang]')?.lang || document.documentElement?.lang || '';
+    return QuoteStyles.LANGUAGES[lang.toLowerCase().split('-')[0]] || 'english';
+  }
+  
+  /**
+   * Get the quotation mark to insert
+   * @param {Object} quote - { level, side, style } from quote-insert; level is 'outer'
+   *   or 'inner', side 'left', 'right' or 'auto', style a style name or null
+   * @param {string} before - Text before the caret, to tell opening from closing quotes
+   * @param {Element} element - Element being typed in
+   * @returns {string} - Quotation mark
+   */
+  getQuote(quote, before, element) {
+    const marks = QuoteStyles.STYLES[quote.style] || QuoteStyles.STYLES[this.getStyle(element)];
+    const [open, close] = marks[quote.level === 'inner' ? 'inner' : 'outer'];
+    
+    // Marks that only ever open a quote, such as „ in German
+    const openers = [marks.outer[0], marks.inner[0]].filter(mark => mark !== marks.outer[1] && mark !== marks.inner[1]);
+    const side = quote.side === 'left' || quote.side === 'right' ? quote.side : this.detectSide(before, openers);
+    return side === 'left' ? open : close;
+  }
+  
+  /**
+   * Decide whether a quote at the caret opens or closes
+   * @param {string} before - Text before the caret
+   * @param {Array} openers - Opening marks of the style
+   * @returns {string} - 'left' for an opening quote, 'right' for a closing one
+   */
+  detectSide(before, openers) {
+    // Quotes open at the start, after a space, bracket or dash, or right after an opening quote
+    const last = before.slice(-1);
+    
+    if (last === '' || /[\s([{\-–—\/]/.test(last) || openers.some(mark => before.endsWith(mark))) {
+      return 'left';
+    }
+    return 'right';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QuoteStyles };
+} else if (typeof window !== 'undefined') {
+  window.LyXQuoteStyles = QuoteStyles;
+}
\ No newline at end of file
@@ -0,0 +1,665 @@
+/**
+ * Math output renderers for LyX Hotkey Plugin
+ * Turn the renderer-neutral math actions produced by the parser into Unicode,
+ * LaTeX source, MathML or AsciiMath at insert time.
+ *
+ * A renderer implements:
+ *   renderSymbol(latex)                    -> { text, cursor }
+ *   renderLatex(latex, options)            -> { text, cursor }
+ *   renderDelimiters(left, right, options) -> { before, after }
+ *   renderScript(script)                   -> { text, cursor } or null to convert typed keys
+ * where cursor is the caret offset in text, or null for the end of the text.
+ * renderSymbol may also return null for an accent, which then goes on the
+ * character typed next.
+ * MathRenderer provides renderLatex on top of a per-token renderToken(token)
+ * and renderCommand(command, args, index) for fractions, roots and accents.
+ */
+
+/**
+ * Base class with the helpers shared by the renderers
+ */
+class MathRenderer {
+  /**
+   * Split a template at its caret marker '‸'
+   * @param {string} template - Text containing at most one caret marker
+   * @returns {Object} - { text, cursor }
+   */
+  fromTemplate(template) {
+    const cursor = template.indexOf('‸');
+    return cursor === -1
+      ? { text: template, cursor: null }
+      : { text: template.replace('‸', ''), cursor };
+  }
+  
+  /**
+   * Look up the Unicode character of a LaTeX command
+   * @param {string} latex - LaTeX command such as '\alpha'
+   * @returns {string|null} - Character or null if unknown
+   */
+  symbolChar(latex) {
+    return window.LyXSymbols?.get(latex)?.char ?? null;
+  }
+  
+  /**
+   * Check whether a LaTeX command is an accent, i.e. maps to a combining character
+   * @param {string} latex - LaTeX command
+   * @returns {boolean} - True for accents such as \hat or \vec
+   */
+  isAccent(latex) {
+    const char = this.symbolChar(latex);
+    return !!char && /^\p{M}$/u.test(char);
+  }
+  
+  /**
+   * Render a LaTeX expression, such as the expansion of a macro, token by token
+   * @param {string} latex - LaTeX source; #1 to #9 are argument placeholders
+   * @param {Object} options - { placeholders }: keep placeholders as #n instead of
+   *   putting the caret at the first one
+   * @returns {Object} - { text, cursor }
+   */
+  renderLatex(latex, options = {}) {
+    const state = { tokens: this.tokenizeLatex(latex), position: 0, cursor: false, options };
+    let text = '';
+    while (state.position < state.tokens.length) {
+      text += this.renderNext(state);
+    }
+    // The first placeholder left a caret marker
+    return this.fromTemplate(text);
+  }
+  
+  /**
+   * Render the next token of a LaTeX expression, with the arguments of a command
+   * or the content of a group
+   * @param {Object} state - { tokens, position, cursor, options } of renderLatex
+   * @returns {string} - Rendered text
+   */
+  renderNext(state) {
+    const token = state.tokens[state.position++];
+    
+    if (token.type === 'placeholder') {
+      if (state.options.placeholders) {
+        return token.value;
+      }
+      const marker = state.cursor ? '' : '‸';
+      state.cursor = true;
+      return marker;
+    }
+    if (token.value === '{') {
+      const content = this.renderGroup(state, '}');
+      return `${this.renderToken(token)}${content}${this.renderToken({ type: 'char', value: '}' })}`;
+    }
+    
+    const count = token.type === 'command' ? this.argumentCount(token.value) : 0;
+    if (!count) {
+      return this.renderToken(token);
+    }
+    
+    let index = null;
+    if (token.value === '\\sqrt' && state.tokens[state.position]?.value === '[') {
+      state.position++;
+      index = this.renderGroup(state, ']');
+    }
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      args.push(this.renderArgument(state));
+    }
+    return this.renderCommand(token.value, args, index);
+  }
+  
+  /**
+   * Render tokens up to a closing brace or bracket, which is skipped
+   * @param {Object} state - State of renderLatex
+   * @param {string} closing - '}' or ']'
+   * @returns {string} - Rendered content
+   */
+  renderGroup(state, closing) {
+    let text = '';
+    while (state.position < state.tokens.length && state.tokens[state.position].value !== closing) {
+      text += this.renderNext(state);
+    }
+    state.position++;
+    return text;
+  }
+  
+  /**
+   * Render the next argument of a command: a group without its braces, or one token
+   * @param {Object} state - State of renderLatex
+   * @returns {string} - Rendered argument; '' when the expression ends first
+   */
+  renderArgument(state) {
+    while (state.tokens[state.position]?.type === 'space') {
+      state.position++;
+    }
+    if (state.position >= state.tokens.length) {
+      return '';
+    }
+    if (state.tokens[state.position].value === '{') {
+      state.position++;
+      return this.renderGroup(state, '}');
+    }
+    return this.renderNext(state);
+  }
+  
+  /**
+   * Number of arguments renderLatex reads for a command
+   * @param {string} command - LaTeX command
+   * @returns {number} - 2 for \frac, 1 for \sqrt and accents, otherwise 0
+   */
+  argumentCount(command) {
+    if (command === '\\frac') {
+      return 2;
+    }
+    return command === '\\sqrt' || this.isAccent(command) ? 1 : 0;
+  }
+  
+  /**
+   * Render a command with its arguments; renderers override this to build
+   * fractions, roots and accents in their own form
+   * @param {string} command - LaTeX command, e.g. '\frac'
+   * @param {Array} args - Rendered arguments
+   * @param {string|null} index - Rendered index of \sqrt[index]{...}, if any
+   * @returns {string} - Rendered text
+   */
+  renderCommand(command, args, index) {
+    const open = this.renderToken({ type: 'char', value: '{' });
+    const close = this.renderToken({ type: 'char', value: '}' });
+    return this.renderToken({ type: 'command', value: command }) +
+      (index === null ? '' : `[${index}]`) +
+      args.map(arg => `${open}${arg}${close}`).join('');
+  }
+  
+  /**
+   * Split LaTeX source into tokens
+   * @param {string} latex - LaTeX source
+   * @returns {Array} - Tokens { type, value } with type 'command', 'placeholder', 'space' or 'char'
+   */
+  tokenizeLatex(latex) {
+    const tokens = [];
+    
+    for (const [value] of latex.matchAll(/\\[a-zA-Z]+|\\.|#\d|\s+|./gsu)) {
+      const previous = tokens[tokens.length - 1];
+      const type = value.startsWith('\\') ? 'command'
+        : /^#\d$/.test(value) ? 'placeholder'
+        : /^\s+$/.test(value) ? 'space' : 'char';
+        
+      // Table entries such as \mathbb{R} take their argument with them
+      if (value === '}' && previous?.type === 'char' && tokens[tokens.length - 2]?.value === '{') {
+        const command = tokens[tokens.length - 3];
+        const combined = command?.type === 'command' && `${command.value}{${previous.value}}`;
+        if (combined && this.symbolChar(combined)) {
+          tokens.splice(-3, 3, { type: 'command', value: combined });
+          continue;
+        }
+      }
+      tokens.push({ type, value });
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Render one token of a LaTeX expression as Unicode
+   * @param {Object} token - Token from tokenizeLatex
+   * @returns {string} - Rendered text
+   */
+  renderToken(token) {
+    switch (token.type) {
+      case 'command':
+        return this.symbolChar(token.value) ?? token.value;
+      case 'space':
+        // Spaces in math source only separate tokens
+        return '';
+      default:
+        return token.value;
+    }
+  }
+  
+  /**
+   * LaTeX spelling of a math-delim delimiter name
+   * @param {string} name - Delimiter name, e.g. '(' or 'langle'
+   * @returns {string} - LaTeX delimiter
+   */
+  latexDelimiter(name) {
+    if (name === '{' || name === '}') {
+      return `\\${name}`;
+    }
+    return name.length === 1 ? name : `\\${name}`;
+  }
+  
+  /**
+   * Unicode character of a math-delim delimiter name
+   * @param {string} name - Delimiter name
+   * @returns {string} - Delimiter character; '' for the invisible delimiter '.'
+   */
+  unicodeDelimiter(name) {
+    if (name === '.') {
+      return '';
+    }
+    if (name.length === 1) {
+      return name;
+    }
+    return this.symbolChar(`\\${name}`) ?? name;
+  }
+}
+
+/**
+ * Unicode symbols, with fractions and roots in the linear form of UnicodeMath;
+ * operator names lose their backslash, other commands without a character stay LaTeX
+ */
+class UnicodeRenderer extends MathRenderer {
+  static get TEMPLATES() {
+    return {
+      '\\frac': '(‸)/()',
+      '\\sqrt': '√',
+      '\\root': '√(‸&)'
+    };
+  }
+  
+  /**
+   * LaTeX's operator names, written as upright words
+   */
+  static get OPERATOR_NAMES() {
+    return [
+      'arccos', 'arcsin', 'arctan', 'arg', 'cos', 'cosh', 'cot', 'coth', 'csc', 'deg',
+      'det', 'dim', 'exp', 'gcd', 'hom', 'inf', 'ker', 'lg', 'lim', 'liminf', 'limsup',
+      'ln', 'log', 'max', 'min', 'Pr', 'sec', 'sin', 'sinh', 'sup', 'tan', 'tanh'
+    ];
+  }
+  
+  renderSymbol(latex) {
+    const template = UnicodeRenderer.TEMPLATES[latex];
+    if (template) {
+      return this.fromTemplate(template);
+    }
+    // A combining mark needs a base character, which is the character typed next
+    if (this.isAccent(latex)) {
+      return null;
+    }
+    if (UnicodeRenderer.OPERATOR_NAMES.includes(latex.slice(1))) {
+      return { text: `${latex.slice(1)} `, cursor: null };
+    }
+    return { text: this.symbolChar(latex) ?? latex, cursor: null };
+  }
+  
+  renderToken(token) {
+    if (token.type === 'command' && UnicodeRenderer.OPERATOR_NAMES.includes(token.value.slice(1))) {
+      return this.renderSymbol(token.value).text;
+    }
+    return super.renderToken(token);
+  }
+  
+  renderCommand(command, args, index) {
+    // Only a single letter or a number goes without parentheses
+    const operand = arg => /^(?:\p{L}\p{M}*|\p{N}+)$/u.test(arg) ? arg : `(${arg})`;
+    const [arg] = args;
+    
+    if (command === '\\frac') {
+      return `${operand(args[0])}/${operand(args[1])}`;
+    }
+    if (command === '\\sqrt') {
+      const root = index === null ? '√' : { 3: '∛', 4: '∜' }[index];
+      return root ? `${root}${operand(arg)}` : `√(${index}&${arg})`;
+    }
+    
+    // Accents go on every character of their argument
+    const mark = this.symbolChar(command);
+    const accented = arg.replace(/[^‸\s\p{M}]\p{M}*/gu, `$&${mark}`);
+    return accented === arg ? `${arg}${mark}` : accented;
+  }
+  
+  renderDelimiters(left, right) {
+    return { before: this.unicodeDelimiter(left), after: this.unicodeDelimiter(right) };
+  }
+  
+  renderScript() {
+    // Plain text has no script container; the inserter converts the keys typed next
+    return null;
+  }
+}
+
+/**
+ * LaTeX source, for Overleaf and other LaTeX-aware editors
+ */
+class LaTeXRenderer extends MathRenderer {
+  static get TEMPLATES() {
+    return {
+      '\\frac': '\\frac{‸}{}',
+      '\\sqrt': '\\sqrt{‸}',
+      '\\root': '\\sqrt[‸]{}'
+    };
+  }
+  
+  renderSymbol(latex) {
+    const template = LaTeXRenderer.TEMPLATES[latex];
+    if (template) {
+      return this.fromTemplate(template);
+    }
+    if (this.isAccent(latex)) {
+      return this.fromTemplate(`${latex}{‸}`);
+    }
+    return { text: latex, cursor: null };
+  }
+  
+  renderDelimiters(left, right, options = {}) {
+    let before = this.latexDelimiter(left);
+    let after = this.latexDelimiter(right);
+    
+    if (options.leftRight) {
+      before = `\\left${before}`;
+      after = `\\right${after}`;
+    } else {
+      // Only \left and \right can take the invisible delimiter
+      before = before === '.' ? '' : before;
+      after = after === '.' ? '' : after;
+    }
+    
+    // Keep control words such as \langle from running into the text after them
+    return {
+      before: before.replace(/(\\[a-zA-Z]+)$/, '$1 '),
+      after: after.replace(/(\\[a-zA-Z]+)$/, '$1 ')
+    };
+  }
+  
+  renderToken(token) {
+    return token.value;
+  }
+  
+  renderScript(script) {
+    return this.fromTemplate(script === 'super' ? '^{‸}' : '_{‸}');
+  }
+}
+
+/**
+ * MathML fragments, for wiki editors that accept MathML markup
+ */
+class MathMLRenderer extends MathRenderer {
+  static get TEMPLATES() {
+    return {
+      '\\frac': '<mfrac><mrow>‸</mrow><mrow></mrow></mfrac>',
+      '\\sqrt': '<msqrt>‸</msqrt>',
+      '\\root': '<mroot><mrow>‸</mrow><mrow></mrow></mroot>'
+    };
+  }
+  
+  /**
+   * Spacing forms of the accents, as used in <mover> and <munder>
+   */
+  static get ACCENT_MARKS() {
+    return {
+      '\\acute': '´', '\\grave': '`', '\\hat': '^', '\\widehat': '^', '\\check': 'ˇ',
+      '\\tilde': '~', '\\widetilde': '~', '\\bar': '¯', '\\overline': '¯', '\\breve': '˘',
+      '\\dot': '˙', '\\ddot': '¨', '\\mathring': '˚', '\\vec': '→', '\\overrightarrow': '→',
+      '\\overleftarrow': '←', '\\underbar': '_', '\\underline': '_'
+    };
+  }
+  
+  /**
+   * Non-letter symbols that are identifiers rather than operators
+   */
+  static get IDENTIFIERS() {
+    return ['∞', '∂', '∇', '∅', '⊤', '⊥', '′'];
+  }
+  
+  renderSymbol(latex) {
+    const template = MathMLRenderer.TEMPLATES[latex];
+    if (template) {
+      return this.fromTemplate(template);
+    }
+    
+    if (MathMLRenderer.ACCENT_MARKS[latex]) {
+      return this.fromTemplate(this.renderAccent(latex, '‸'));
+    }
+    
+    // Plain characters such as math-insert < are marked up one by one
+    if (!latex.startsWith('\\')) {
+      return this.renderLatex(latex);
+    }
+    
+    const char = this.symbolChar(latex);
+    if (char === null) {
+      return { text: `<mi>${this.escape(latex.replace(/^\\/, ''))}</mi>`, cursor: null };
+    }
+    return { text: this.renderChar(char), cursor: null };
+  }
+  
+  /**
+   * Put an accent over or under a base
+   * @param {string} latex - Accent command with an entry in ACCENT_MARKS
+   * @param {string} base - Rendered base
+   * @returns {string} - <mover> or <munder> element
+   */
+  renderAccent(latex, base) {
+    const element = latex === '\\underbar' || latex === '\\underline' ? 'munder' : 'mover';
+    const attribute = element === 'munder' ? 'accentunder' : 'accent';
+    return `<${element} ${attribute}="true"><mrow>${base}</mrow><mo>${MathMLRenderer.ACCENT_MARKS[latex]}</mo></${element}>`;
+  }
+  
+  /**
+   * Escape the characters that are markup in MathML
+   * @param {string} text - Text content
+   * @returns {string} - Text with &, < and > escaped
+   */
+  escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+  
+  /**
+   * Wrap a character in the MathML element for its kind
+   * @param {string} char - Character
+   * @returns {string} - <mi>, <mn>, <mo> or <mtext> element
+   */
+  renderChar(char) {
+    const text = this.escape(char);
+    if (/^\p{Z}+$/u.test(char)) {
+      return `<mtext>${text}</mtext>`;
+    }
+    if (/^\p{N}$/u.test(char)) {
+      return `<mn>${text}</mn>`;
+    }
+    if (/^\p{L}$/u.test(char) || MathMLRenderer.IDENTIFIERS.includes(char)) {
+      return `<mi>${text}</mi>`;
+    }
+    return `<mo>${text}</mo>`;
+  }
+  
+  renderToken(token) {
+    if (token.type === 'command') {
+      const char = this.symbolChar(token.value);
+      return char === null ? `<mi>${this.escape(token.value.replace(/^\\/, ''))}</mi>` : this.renderChar(char);
+    }
+    if (token.type === 'space') {
+      return '';
+    }
+    // Groups become rows
+    if (token.value === '{' || token.value === '}') {
+      return token.value === '{' ? '<mrow>' : '</mrow>';
+    }
+    return this.renderChar(token.value);
+  }
+  
+  renderCommand(command, args, index) {
+    const [arg] = args;
+    if (command === '\\frac') {
+      return `<mfrac><mrow>${args[0]}</mrow><mrow>${args[1]}</mrow></mfrac>`;
+    }
+    if (command === '\\sqrt') {
+      return index === null ? `<msqrt>${arg}</msqrt>` : `<mroot><mrow>${arg}</mrow><mrow>${index}</mrow></mroot>`;
+    }
+    if (MathMLRenderer.ACCENT_MARKS[command]) {
+      return this.renderAccent(command, arg);
+    }
+    return super.renderCommand(command, args, index);
+  }
+  
+  renderDelimiters(left, right) {
+    const fence = name => {
+      const char = this.unicodeDelimiter(name);
+      return char ? `<mo>${this.escape(char)}</mo>` : '';
+    };
+    return { before: `<mrow>${fence(left)}`, after: `${fence(right)}</mrow>` };
+  }
+  
+  renderScript(script) {
+    const element = script === 'super' ? 'msup' : 'msub';
+    return this.fromTemplate(`<${element}><mrow></mrow><mrow>‸</mrow></${element}>`);
+  }
+}
+
+/**
+ * AsciiMath, for wiki editors with AsciiMath support
+ */
+class AsciiMathRenderer extends MathRenderer {
+  static get TEMPLATES() {
+    return {
+      '\\frac': '(‸)/()',
+      '\\sqrt': 'sqrt(‸)',
+      '\\root': 'root(‸)()',
+      '\\hat': 'hat(‸)', '\\widehat': 'hat(‸)', '\\bar': 'bar(‸)',
+      '\\overline': 'bar(‸)', '\\vec': 'vec(‸)', '\\dot': 'dot(‸)',
+      '\\ddot': 'ddot(‸)', '\\tilde': 'tilde(‸)', '\\underbar': 'ul(‸)',
+      '\\underline': 'ul(‸)'
+    };
+  }
+  
+  /**
+   * AsciiMath names that differ from the LaTeX command
+   */
+  static get NAMES() {
+    return {
+      '\\infty': 'oo', '\\partial': 'del', '\\nabla': 'grad', '\\pm': '+-', '\\mp': '-+',
+      '\\neq': '!=', '\\ne': '!=', '\\leq': '<=', '\\le': '<=', '\\geq': '>=', '\\ge': '>=',
+      '\\times': 'xx', '\\cdot': '*', '\\ast': '**', '\\div': '-:', '\\circ': '@',
+      '\\oplus': 'o+', '\\otimes': 'ox', '\\odot': 'o.', '\\wedge': '^^', '\\vee': 'vv',
+      '\\cap': 'nn', '\\cup': 'uu', '\\bigcap': 'nnn', '\\bigcup': 'uuu', '\\bigwedge': '^^^',
+      '\\bigvee': 'vvv', '\\notin': '!in', '\\subset': 'sub', '\\supset': 'sup',
+      '\\subseteq': 'sube', '\\supseteq': 'supe', '\\equiv': '-=', '\\cong': '~=',
+      '\\approx': '~~', '\\sim': '~', '\\propto': 'prop', '\\forall': 'AA', '\\exists': 'EE',
+      '\\neg': 'not', '\\lnot': 'not', '\\emptyset': 'O/', '\\varnothing': 'O/',
+      '\\rightarrow': 'rarr', '\\to': '->', '\\leftarrow': 'larr', '\\leftrightarrow': 'harr',
+      '\\Rightarrow': 'rArr', '\\Leftarrow': 'lArr', '\\Leftrightarrow': 'hArr',
+      '\\implies': '=>', '\\iff': '<=>', '\\mapsto': '|->', '\\uparrow': 'uarr',
+      '\\downarrow': 'darr', '\\ldots': '...', '\\dots': '...', '\\cdots': 'cdots',
+      '\\vdots': 'vdots', '\\ddots': 'ddots', '\\int': 'int', '\\oint': 'oint', '\\sum': 'sum',
+      '\\prod': 'prod', '\\prime': "'", '\\langle': '(:', '\\rangle': ':)', '\\aleph': 'aleph',
+      '\\angle': '/_', '\\triangle': '/_\\', '\\therefore': ':.', '\\because': ":'",
+      '\\vdash': '|--', '\\models': '|==', '\\top': 'TT', '\\bot': '_|_', '\\setminus': '\\\\',
+      '\\ll': '<<', '\\gg': '>>', '\\prec': '-<', '\\succ': '>-', '\\preceq': '-<=',
+      '\\succeq': '>-=', '\\mid': '|', '\\quad': 'quad', '\\qquad': 'qquad'
+    };
+  }
+  
+  renderSymbol(latex) {
+    const template = AsciiMathRenderer.TEMPLATES[latex];
+    if (template) {
+      return this.fromTemplate(template);
+    }
+    
+    const name = AsciiMathRenderer.NAMES[latex];
+    if (name) {
+      return { text: name, cursor: null };
+    }
+    
+    // AsciiMath spells Greek letters like LaTeX without the backslash and
+    // passes other Unicode characters through
+    const char = this.symbolChar(latex);
+    if (char && /^\p{Script=Greek}$/u.test(char)) {
+      return { text: `${latex.slice(1)} `, cursor: null };
+    }
+    if (char !== null) {
+      return { text: char, cursor: null };
+    }
+    // Named commands are kept apart from what follows; plain characters are not
+    return { text: latex.startsWith('\\') ? `${latex.slice(1)} ` : latex, cursor: null };
+  }
+  
+  renderToken(token) {
+    if (token.type === 'command') {
+      // Commands with a template take their arguments from the groups that follow
+      return AsciiMathRenderer.TEMPLATES[token.value] ? token.value.slice(1) : this.renderSymbol(token.value).text;
+    }
+    if (token.type === 'space') {
+      return '';
+    }
+    // AsciiMath groups with parentheses
+    return { '{': '(', '}': ')' }[token.value] ?? token.value;
+  }
+  
+  renderCommand(command, args, index) {
+    const [arg] = args;
+    if (command === '\\frac') {
+      return `(${args[0]})/(${args[1]})`;
+    }
+    if (command === '\\sqrt') {
+      return index === null ? `sqrt(${arg})` : `root(${index})(${arg})`;
+    }
+    const template = AsciiMathRenderer.TEMPLATES[command];
+    return template ? template.replace('‸', () => arg) : super.renderCommand(command, args, index);
+  }
+  
+  renderDelimiters(left, right) {
+    const fence = name => AsciiMathRenderer.NAMES[`\\${name}`] ?? this.unicodeDelimiter(name);
+    return { before: fence(left), after: fence(right) };
+  }
+  
+  renderScript(script) {
+    return this.fromTemplate(script === 'super' ? '^(‸)' : '_(‸)');
+  }
+}
+
+/**
+ * Registry of output renderers by format name
+ */
+class MathRenderers {
+  constructor() {
+    this.renderers = new Map();
+    this.register('unicode', new UnicodeRenderer());
+    this.register('latex', new LaTeXRenderer());
+    this.register('mathml', new MathMLRenderer());
+    this.register('asciimath', new AsciiMathRenderer());
+  }
+  
+  /**
+   * Add or replace a renderer
+   * @param {string} format - Format name used in settings
+   * @param {Object} renderer - Object implementing the renderer methods
+   */
+  register(format, renderer) {
+    this.renderers.set(format, renderer);
+  }
+  
+  /**
+   * Check whether a format has a renderer
+   * @param {string} format - Format name
+   * @returns {boolean} - True if registered
+   */
+  has(format) {
+    return this.renderers.has(format);
+  }
+  
+  /**
+   * Get the renderer for a format, falling back to Unicode
+   * @param {string} format - Format name
+   * @returns {Object} - Renderer
+   */
+  get(format) {
+    return this.renderers.get(format) || this.renderers.get('unicode');
+  }
+  
+  /**
+   * Get the names of all registered formats
+   * @returns {Array} - Format names
+   */
+  formats() {
+    return [...this.renderers.keys()];
+  }
+}
+
+// Create global instance
+const mathRenderers = new MathRenderers();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MathRenderers, mathRenderers, UnicodeRenderer, LaTeXRenderer, MathMLRenderer, AsciiMathRenderer };
+} else if (typeof window !== 'undefined') {
+  window.LyXRenderers = mathRenderers;
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * Sequence overlay for LyX Hotkey Plugin
+ * Shows the keys that can follow a pending key sequence, and what each of them
+ * produces, in a small box next to the caret
+ */
+class SequenceOverlay {
+  constructor() {
+    this.element = null;
+    this.logger = window.LyXLogger?.logger;
+  }
+  
+  /**
+   * Most continuations listed before the rest are summed up
+   */
+  static get MAX_ROWS() {
+    return 12;
+  }
+  
+  /**
+   * Bindings previewed for a key that starts longer sequences
+   */
+  static get MAX_PREVIEWS() {
+    return 3;
+  }
+  
+  /**
+   * Show the continuations of a sequence, replacing what was shown before
+   * @param {Array} sequence - Key strings typed so far
+   * @param {Object} node - Trie node the sequence leads to
+   * @param {Element} target - Element the keys are typed in
+   */
+  show(sequence, node, target) {
+    const overlay = this.element || this.createElement();
+    overlay.textContent = '';
+    
+    const header = document.createElement('div');
+    header.style.cssText = 'font-weight: bold; margin-bottom: 4px;';
+    header.textContent = sequence.join(' ');
+    overlay.appendChild(header);
+    
+    // A sequence that is bound itself runs when nothing follows
+    if (node.binding) {
+      overlay.appendChild(this.createRow('(wait)', this.describe(node.binding)));
+    }
+    
+    const continuations = [...node.children].sort(([a], [b]) => a.localeCompare(b));
+    for (const [key, child] of continuations.slice(0, SequenceOverlay.MAX_ROWS)) {
+      overlay.appendChild(this.createRow(key, this.describeNode(child)));
+    }
+    if (continuations.length > SequenceOverlay.MAX_ROWS) {
+      const more = document.createElement('div');
+      more.style.cssText = 'color: #aaa;';
+      more.textContent = `+${continuations.length - SequenceOverlay.MAX_ROWS} more`;
+      overlay.appendChild(more);
+    }
+    
+    overlay.style.display = 'block';
+    this.place(overlay, target);
+  }
+  
+  /**
+   * Hide the overlay
+   */
+  hide() {
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+  
+  /**
+   * Create the overlay element
+   * @returns {Element} - Overlay element
+   */
+  createElement() {
+    const overlay = document.createElement('div');
+    overlay.className = 'lyx-hotkey-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      max-width: 360px;
+      background: #333;
+      color: #fff;
+      padding: 6px 10px;
+      border-radius: 5px;
+      font: 12px/1.5 Menlo, Consolas, monospace;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+      pointer-events: none;
+      z-index: 10001;
+    `;
+    document.body.appendChild(overlay);
+    this.element = overlay;
+    return overlay;
+  }
+  
+  /**
+   * Create the row of one continuation
+   * @param {string} key - Key string
+   * @param {string} description - What the key produces
+   * @returns {Element} - Row element
+   */
+  createRow(key, description) {
+    const row = document.createElement('div');
+    row.style.cssText = 'white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+    const keyLabel = document.createElement('span');
+    keyLabel.style.cssText = 'color: #8fc1ff;';
+    keyLabel.textContent = key;
+    row.append(keyLabel, ` → ${description}`);
+    return row;
+  }
+  
+  /**
+   * Describe what a continuation leads to: its binding, or a preview of the
+   * bindings behind it
+   * @param {Object} node - Trie node of the continuation
+   * @returns {string} - Description
+   */
+  describeNode(node) {
+    if (node.binding && node.children.size === 0) {
+      return this.describe(node.binding);
+    }
+    
+    const previews = [];
+    const collect = current => {
+      if (previews.length >= SequenceOverlay.MAX_PREVIEWS) return;
+      if (current.binding) {
+        previews.push(this.describe(current.binding));
+      }
+      for (const child of current.children.values()) {
+        collect(child);
+      }
+    };
+    collect(node);
+    
+    return `${previews.join(' ')}…`;
+  }
+  
+  /**
+   * Describe what a binding produces: the symbol or text it inserts, or its command
+   * @param {Object} binding - Binding
+   * @returns {string} - Description
+   */
+  describe(binding) {
+    const action = binding.action || {};
+    // Math is shown as Unicode whatever the output format, as the most readable
+    const renderer = window.LyXRenderers?.get('unicode');
+    switch (action.type) {
+      case 'math': {
+        const text = renderer?.renderLatex(action.latex).text || action.latex;
+        // Accents are combining marks, shown on a dotted circle as in character tables
+        return /^\p{M}/u.test(text) ? `◌${text}` : text;
+      }
+      case 'insert':
+        return action.text;
+      case 'delim': {
+        const delimiters = renderer?.renderDelimiters(action.left, action.right);
+        return delimiters ? `${delimiters.before} … ${delimiters.after}` : binding.command;
+      }
+      default:
+        return binding.command;
+    }
+  }
+  
+  /**
+   * Move the overlay below the caret of the target, keeping it on screen
+   * @param {Element} overlay - Overlay element
+   * @param {Element} target - Element the keys are typed in
+   */
+  place(overlay, target) {
+    const caret = window.LyXCaret.getCaretRect(target);
+    const width = overlay.offsetWidth;
+    const height = overlay.offsetHeight;
+    
+    let top = caret.bottom + 4;
+    if (top + height > window.innerHeight) {
+      // No room below the line: show the overlay above it
+      top = Math.max(0, caret.top - height - 4);
+    }
+    overlay.style.top = `${top}px`;
+    overlay.style.left = `${Math.max(0, Math.min(caret.left, window.innerWidth - width))}px`;
+  }
+}
+
+// Create global instance
+const sequenceOverlay = new SequenceOverlay();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SequenceOverlay, sequenceOverlay };
+} else if (typeof window !== 'undefined') {
+  window.LyXSequenceOverlay = sequenceOverlay;
+}
\ No newline at end of file
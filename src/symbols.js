@@ -0,0 +1,543 @@
+/**
+ * LaTeX symbol table for LyX Hotkey Plugin
+ * Maps LaTeX math commands (unicode-math names and their common LaTeX/AMS aliases)
+ * to Unicode characters. Each row is [command, character, Unicode name].
+ * Accents map to combining characters, which attach to the character before them.
+ */
+const LATEX_SYMBOL_TABLE = [
+  // Greek letters
+  ['\\alpha', 'α', 'GREEK SMALL LETTER ALPHA'],
+  ['\\beta', 'β', 'GREEK SMALL LETTER BETA'],
+  ['\\gamma', 'γ', 'GREEK SMALL LETTER GAMMA'],
+  ['\\delta', 'δ', 'GREEK SMALL LETTER DELTA'],
+  ['\\epsilon', 'ϵ', 'GREEK LUNATE EPSILON SYMBOL'],
+  ['\\varepsilon', 'ε', 'GREEK SMALL LETTER EPSILON'],
+  ['\\zeta', 'ζ', 'GREEK SMALL LETTER ZETA'],
+  ['\\eta', 'η', 'GREEK SMALL LETTER ETA'],
+  ['\\theta', 'θ', 'GREEK SMALL LETTER THETA'],
+  ['\\vartheta', 'ϑ', 'GREEK THETA SYMBOL'],
+  ['\\iota', 'ι', 'GREEK SMALL LETTER IOTA'],
+  ['\\kappa', 'κ', 'GREEK SMALL LETTER KAPPA'],
+  ['\\varkappa', 'ϰ', 'GREEK KAPPA SYMBOL'],
+  ['\\lambda', 'λ', 'GREEK SMALL LETTER LAMDA'],
+  ['\\mu', 'μ', 'GREEK SMALL LETTER MU'],
+  ['\\nu', 'ν', 'GREEK SMALL LETTER NU'],
+  ['\\xi', 'ξ', 'GREEK SMALL LETTER XI'],
+  ['\\omicron', 'ο', 'GREEK SMALL LETTER OMICRON'],
+  ['\\pi', 'π', 'GREEK SMALL LETTER PI'],
+  ['\\varpi', 'ϖ', 'GREEK PI SYMBOL'],
+  ['\\rho', 'ρ', 'GREEK SMALL LETTER RHO'],
+  ['\\varrho', 'ϱ', 'GREEK RHO SYMBOL'],
+  ['\\sigma', 'σ', 'GREEK SMALL LETTER SIGMA'],
+  ['\\varsigma', 'ς', 'GREEK SMALL LETTER FINAL SIGMA'],
+  ['\\tau', 'τ', 'GREEK SMALL LETTER TAU'],
+  ['\\upsilon', 'υ', 'GREEK SMALL LETTER UPSILON'],
+  ['\\phi', 'ϕ', 'GREEK PHI SYMBOL'],
+  ['\\varphi', 'φ', 'GREEK SMALL LETTER PHI'],
+  ['\\chi', 'χ', 'GREEK SMALL LETTER CHI'],
+  ['\\psi', 'ψ', 'GREEK SMALL LETTER PSI'],
+  ['\\omega', 'ω', 'GREEK SMALL LETTER OMEGA'],
+  ['\\digamma', 'ϝ', 'GREEK SMALL LETTER DIGAMMA'],
+  
+  // Uppercase Greek letters
+  ['\\Alpha', 'Α', 'GREEK CAPITAL LETTER ALPHA'],
+  ['\\Beta', 'Β', 'GREEK CAPITAL LETTER BETA'],
+  ['\\Gamma', 'Γ', 'GREEK CAPITAL LETTER GAMMA'],
+  ['\\Delta', 'Δ', 'GREEK CAPITAL LETTER DELTA'],
+  ['\\Epsilon', 'Ε', 'GREEK CAPITAL LETTER EPSILON'],
+  ['\\Zeta', 'Ζ', 'GREEK CAPITAL LETTER ZETA'],
+  ['\\Eta', 'Η', 'GREEK CAPITAL LETTER ETA'],
+  ['\\Theta', 'Θ', 'GREEK CAPITAL LETTER THETA'],
+  ['\\Iota', 'Ι', 'GREEK CAPITAL LETTER IOTA'],
+  ['\\Kappa', 'Κ', 'GREEK CAPITAL LETTER KAPPA'],
+  ['\\Lambda', 'Λ', 'GREEK CAPITAL LETTER LAMDA'],
+  ['\\Mu', 'Μ', 'GREEK CAPITAL LETTER MU'],
+  ['\\Nu', 'Ν', 'GREEK CAPITAL LETTER NU'],
+  ['\\Xi', 'Ξ', 'GREEK CAPITAL LETTER XI'],
+  ['\\Omicron', 'Ο', 'GREEK CAPITAL LETTER OMICRON'],
+  ['\\Pi', 'Π', 'GREEK CAPITAL LETTER PI'],
+  ['\\Rho', 'Ρ', 'GREEK CAPITAL LETTER RHO'],
+  ['\\Sigma', 'Σ', 'GREEK CAPITAL LETTER SIGMA'],
+  ['\\Tau', 'Τ', 'GREEK CAPITAL LETTER TAU'],
+  ['\\Upsilon', 'Υ', 'GREEK CAPITAL LETTER UPSILON'],
+  ['\\Phi', 'Φ', 'GREEK CAPITAL LETTER PHI'],
+  ['\\Chi', 'Χ', 'GREEK CAPITAL LETTER CHI'],
+  ['\\Psi', 'Ψ', 'GREEK CAPITAL LETTER PSI'],
+  ['\\Omega', 'Ω', 'GREEK CAPITAL LETTER OMEGA'],
+  ['\\Digamma', 'Ϝ', 'GREEK LETTER DIGAMMA'],
+  ['\\varTheta', 'ϴ', 'GREEK CAPITAL THETA SYMBOL'],
+  
+  // Hebrew and letter-like symbols
+  ['\\aleph', 'ℵ', 'ALEF SYMBOL'],
+  ['\\beth', 'ℶ', 'BET SYMBOL'],
+  ['\\gimel', 'ℷ', 'GIMEL SYMBOL'],
+  ['\\daleth', 'ℸ', 'DALET SYMBOL'],
+  ['\\hbar', 'ℏ', 'PLANCK CONSTANT OVER TWO PI'],
+  ['\\hslash', 'ℏ', 'PLANCK CONSTANT OVER TWO PI'],
+  ['\\ell', 'ℓ', 'SCRIPT SMALL L'],
+  ['\\wp', '℘', 'SCRIPT CAPITAL P'],
+  ['\\Re', 'ℜ', 'BLACK-LETTER CAPITAL R'],
+  ['\\Im', 'ℑ', 'BLACK-LETTER CAPITAL I'],
+  ['\\mho', '℧', 'INVERTED OHM SIGN'],
+  ['\\Finv', 'Ⅎ', 'TURNED CAPITAL F'],
+  ['\\Game', '⅁', 'TURNED SANS-SERIF CAPITAL G'],
+  ['\\eth', 'ð', 'LATIN SMALL LETTER ETH'],
+  ['\\imath', 'ı', 'LATIN SMALL LETTER DOTLESS I'],
+  ['\\jmath', 'ȷ', 'LATIN SMALL LETTER DOTLESS J'],
+  ['\\Bbbk', '𝕜', 'MATHEMATICAL DOUBLE-STRUCK SMALL K'],
+  ['\\BbbN', 'ℕ', 'DOUBLE-STRUCK CAPITAL N'],
+  ['\\BbbZ', 'ℤ', 'DOUBLE-STRUCK CAPITAL Z'],
+  ['\\BbbQ', 'ℚ', 'DOUBLE-STRUCK CAPITAL Q'],
+  ['\\BbbR', 'ℝ', 'DOUBLE-STRUCK CAPITAL R'],
+  ['\\BbbC', 'ℂ', 'DOUBLE-STRUCK CAPITAL C'],
+  ['\\BbbP', 'ℙ', 'DOUBLE-STRUCK CAPITAL P'],
+  ['\\BbbH', 'ℍ', 'DOUBLE-STRUCK CAPITAL H'],
+  ['\\mathbb{N}', 'ℕ', 'DOUBLE-STRUCK CAPITAL N'],
+  ['\\mathbb{Z}', 'ℤ', 'DOUBLE-STRUCK CAPITAL Z'],
+  ['\\mathbb{Q}', 'ℚ', 'DOUBLE-STRUCK CAPITAL Q'],
+  ['\\mathbb{R}', 'ℝ', 'DOUBLE-STRUCK CAPITAL R'],
+  ['\\mathbb{C}', 'ℂ', 'DOUBLE-STRUCK CAPITAL C'],
+  ['\\mathbb{P}', 'ℙ', 'DOUBLE-STRUCK CAPITAL P'],
+  ['\\mathbb{H}', 'ℍ', 'DOUBLE-STRUCK CAPITAL H'],
+  ['\\Angstrom', 'Å', 'LATIN CAPITAL LETTER A WITH RING ABOVE'],
+  ['\\euler', 'ℇ', 'EULER CONSTANT'],
+  ['\\planck', 'ℎ', 'PLANCK CONSTANT'],
+  
+  // Miscellaneous symbols
+  ['\\infty', '∞', 'INFINITY'],
+  ['\\partial', '∂', 'PARTIAL DIFFERENTIAL'],
+  ['\\nabla', '∇', 'NABLA'],
+  ['\\emptyset', '∅', 'EMPTY SET'],
+  ['\\varnothing', '∅', 'EMPTY SET'],
+  ['\\forall', '∀', 'FOR ALL'],
+  ['\\exists', '∃', 'THERE EXISTS'],
+  ['\\nexists', '∄', 'THERE DOES NOT EXIST'],
+  ['\\neg', '¬', 'NOT SIGN'],
+  ['\\lnot', '¬', 'NOT SIGN'],
+  ['\\top', '⊤', 'DOWN TACK'],
+  ['\\bot', '⊥', 'UP TACK'],
+  ['\\angle', '∠', 'ANGLE'],
+  ['\\measuredangle', '∡', 'MEASURED ANGLE'],
+  ['\\sphericalangle', '∢', 'SPHERICAL ANGLE'],
+  ['\\triangle', '△', 'WHITE UP-POINTING TRIANGLE'],
+  ['\\triangledown', '▽', 'WHITE DOWN-POINTING TRIANGLE'],
+  ['\\blacktriangle', '▲', 'BLACK UP-POINTING TRIANGLE'],
+  ['\\blacktriangledown', '▼', 'BLACK DOWN-POINTING TRIANGLE'],
+  ['\\square', '□', 'WHITE SQUARE'],
+  ['\\Box', '□', 'WHITE SQUARE'],
+  ['\\blacksquare', '■', 'BLACK SQUARE'],
+  ['\\lozenge', '◊', 'LOZENGE'],
+  ['\\blacklozenge', '⧫', 'BLACK LOZENGE'],
+  ['\\Diamond', '◇', 'WHITE DIAMOND'],
+  ['\\diamond', '⋄', 'DIAMOND OPERATOR'],
+  ['\\star', '⋆', 'STAR OPERATOR'],
+  ['\\bigstar', '★', 'BLACK STAR'],
+  ['\\clubsuit', '♣', 'BLACK CLUB SUIT'],
+  ['\\diamondsuit', '♢', 'WHITE DIAMOND SUIT'],
+  ['\\heartsuit', '♡', 'WHITE HEART SUIT'],
+  ['\\spadesuit', '♠', 'BLACK SPADE SUIT'],
+  ['\\flat', '♭', 'MUSIC FLAT SIGN'],
+  ['\\natural', '♮', 'MUSIC NATURAL SIGN'],
+  ['\\sharp', '♯', 'MUSIC SHARP SIGN'],
+  ['\\prime', '′', 'PRIME'],
+  ['\\dprime', '″', 'DOUBLE PRIME'],
+  ['\\trprime', '‴', 'TRIPLE PRIME'],
+  ['\\backprime', '‵', 'REVERSED PRIME'],
+  ['\\surd', '√', 'SQUARE ROOT'],
+  ['\\checkmark', '✓', 'CHECK MARK'],
+  ['\\maltese', '✠', 'MALTESE CROSS'],
+  ['\\dagger', '†', 'DAGGER'],
+  ['\\dag', '†', 'DAGGER'],
+  ['\\ddagger', '‡', 'DOUBLE DAGGER'],
+  ['\\ddag', '‡', 'DOUBLE DAGGER'],
+  ['\\S', '§', 'SECTION SIGN'],
+  ['\\P', '¶', 'PILCROW SIGN'],
+  ['\\copyright', '©', 'COPYRIGHT SIGN'],
+  ['\\circledR', '®', 'REGISTERED SIGN'],
+  ['\\pounds', '£', 'POUND SIGN'],
+  ['\\yen', '¥', 'YEN SIGN'],
+  ['\\degree', '°', 'DEGREE SIGN'],
+  ['\\complement', '∁', 'COMPLEMENT'],
+  ['\\therefore', '∴', 'THEREFORE'],
+  ['\\because', '∵', 'BECAUSE'],
+  ['\\QED', '∎', 'END OF PROOF'],
+  ['\\qedsymbol', '∎', 'END OF PROOF'],
+  ['\\smallint', '∫', 'INTEGRAL'],
+  
+  // Dots
+  ['\\ldots', '…', 'HORIZONTAL ELLIPSIS'],
+  ['\\dots', '…', 'HORIZONTAL ELLIPSIS'],
+  ['\\cdots', '⋯', 'MIDLINE HORIZONTAL ELLIPSIS'],
+  ['\\vdots', '⋮', 'VERTICAL ELLIPSIS'],
+  ['\\ddots', '⋱', 'DOWN RIGHT DIAGONAL ELLIPSIS'],
+  ['\\adots', '⋰', 'UP RIGHT DIAGONAL ELLIPSIS'],
+  ['\\iddots', '⋰', 'UP RIGHT DIAGONAL ELLIPSIS'],
+  ['\\dotsc', '…', 'HORIZONTAL ELLIPSIS'],
+  ['\\dotsb', '⋯', 'MIDLINE HORIZONTAL ELLIPSIS'],
+  
+  // Binary operators
+  ['\\pm', '±', 'PLUS-MINUS SIGN'],
+  ['\\mp', '∓', 'MINUS-OR-PLUS SIGN'],
+  ['\\times', '×', 'MULTIPLICATION SIGN'],
+  ['\\div', '÷', 'DIVISION SIGN'],
+  ['\\cdot', '⋅', 'DOT OPERATOR'],
+  ['\\cdotp', '⋅', 'DOT OPERATOR'],
+  ['\\centerdot', '·', 'MIDDLE DOT'],
+  ['\\ast', '∗', 'ASTERISK OPERATOR'],
+  ['\\circ', '∘', 'RING OPERATOR'],
+  ['\\bullet', '∙', 'BULLET OPERATOR'],
+  ['\\setminus', '∖', 'SET MINUS'],
+  ['\\smallsetminus', '∖', 'SET MINUS'],
+  ['\\cap', '∩', 'INTERSECTION'],
+  ['\\cup', '∪', 'UNION'],
+  ['\\sqcap', '⊓', 'SQUARE CAP'],
+  ['\\sqcup', '⊔', 'SQUARE CUP'],
+  ['\\uplus', '⊎', 'MULTISET UNION'],
+  ['\\wedge', '∧', 'LOGICAL AND'],
+  ['\\land', '∧', 'LOGICAL AND'],
+  ['\\vee', '∨', 'LOGICAL OR'],
+  ['\\lor', '∨', 'LOGICAL OR'],
+  ['\\oplus', '⊕', 'CIRCLED PLUS'],
+  ['\\ominus', '⊖', 'CIRCLED MINUS'],
+  ['\\otimes', '⊗', 'CIRCLED TIMES'],
+  ['\\oslash', '⊘', 'CIRCLED DIVISION SLASH'],
+  ['\\odot', '⊙', 'CIRCLED DOT OPERATOR'],
+  ['\\circledcirc', '⊚', 'CIRCLED RING OPERATOR'],
+  ['\\circledast', '⊛', 'CIRCLED ASTERISK OPERATOR'],
+  ['\\circleddash', '⊝', 'CIRCLED DASH'],
+  ['\\boxplus', '⊞', 'SQUARED PLUS'],
+  ['\\boxminus', '⊟', 'SQUARED MINUS'],
+  ['\\boxtimes', '⊠', 'SQUARED TIMES'],
+  ['\\boxdot', '⊡', 'SQUARED DOT OPERATOR'],
+  ['\\bigcirc', '○', 'WHITE CIRCLE'],
+  ['\\triangleleft', '◁', 'WHITE LEFT-POINTING TRIANGLE'],
+  ['\\triangleright', '▷', 'WHITE RIGHT-POINTING TRIANGLE'],
+  ['\\bigtriangleup', '△', 'WHITE UP-POINTING TRIANGLE'],
+  ['\\bigtriangledown', '▽', 'WHITE DOWN-POINTING TRIANGLE'],
+  ['\\lhd', '⊲', 'NORMAL SUBGROUP OF'],
+  ['\\rhd', '⊳', 'CONTAINS AS NORMAL SUBGROUP'],
+  ['\\unlhd', '⊴', 'NORMAL SUBGROUP OF OR EQUAL TO'],
+  ['\\unrhd', '⊵', 'CONTAINS AS NORMAL SUBGROUP OR EQUAL TO'],
+  ['\\wr', '≀', 'WREATH PRODUCT'],
+  ['\\amalg', '⨿', 'AMALGAMATION OR COPRODUCT'],
+  ['\\dotplus', '∔', 'DOT PLUS'],
+  ['\\divideontimes', '⋇', 'DIVISION TIMES'],
+  ['\\ltimes', '⋉', 'LEFT NORMAL FACTOR SEMIDIRECT PRODUCT'],
+  ['\\rtimes', '⋊', 'RIGHT NORMAL FACTOR SEMIDIRECT PRODUCT'],
+  ['\\leftthreetimes', '⋋', 'LEFT SEMIDIRECT PRODUCT'],
+  ['\\rightthreetimes', '⋌', 'RIGHT SEMIDIRECT PRODUCT'],
+  ['\\curlywedge', '⋏', 'CURLY LOGICAL AND'],
+  ['\\curlyvee', '⋎', 'CURLY LOGICAL OR'],
+  ['\\barwedge', '⌅', 'PROJECTIVE'],
+  ['\\veebar', '⊻', 'XOR'],
+  ['\\doublebarwedge', '⩞', 'LOGICAL AND WITH DOUBLE OVERBAR'],
+  ['\\intercal', '⊺', 'INTERCALATE'],
+  ['\\Cap', '⋒', 'DOUBLE INTERSECTION'],
+  ['\\Cup', '⋓', 'DOUBLE UNION'],
+  
+  // Relations
+  ['\\leq', '≤', 'LESS-THAN OR EQUAL TO'],
+  ['\\le', '≤', 'LESS-THAN OR EQUAL TO'],
+  ['\\geq', '≥', 'GREATER-THAN OR EQUAL TO'],
+  ['\\ge', '≥', 'GREATER-THAN OR EQUAL TO'],
+  ['\\neq', '≠', 'NOT EQUAL TO'],
+  ['\\ne', '≠', 'NOT EQUAL TO'],
+  ['\\equiv', '≡', 'IDENTICAL TO'],
+  ['\\approx', '≈', 'ALMOST EQUAL TO'],
+  ['\\approxeq', '≊', 'ALMOST EQUAL OR EQUAL TO'],
+  ['\\sim', '∼', 'TILDE OPERATOR'],
+  ['\\simeq', '≃', 'ASYMPTOTICALLY EQUAL TO'],
+  ['\\cong', '≅', 'APPROXIMATELY EQUAL TO'],
+  ['\\asymp', '≍', 'EQUIVALENT TO'],
+  ['\\doteq', '≐', 'APPROACHES THE LIMIT'],
+  ['\\doteqdot', '≑', 'GEOMETRICALLY EQUAL TO'],
+  ['\\Doteq', '≑', 'GEOMETRICALLY EQUAL TO'],
+  ['\\propto', '∝', 'PROPORTIONAL TO'],
+  ['\\varpropto', '∝', 'PROPORTIONAL TO'],
+  ['\\ll', '≪', 'MUCH LESS-THAN'],
+  ['\\gg', '≫', 'MUCH GREATER-THAN'],
+  ['\\lll', '⋘', 'VERY MUCH LESS-THAN'],
+  ['\\ggg', '⋙', 'VERY MUCH GREATER-THAN'],
+  ['\\prec', '≺', 'PRECEDES'],
+  ['\\succ', '≻', 'SUCCEEDS'],
+  ['\\preceq', '⪯', 'PRECEDES ABOVE SINGLE-LINE EQUALS SIGN'],
+  ['\\succeq', '⪰', 'SUCCEEDS ABOVE SINGLE-LINE EQUALS SIGN'],
+  ['\\preccurlyeq', '≼', 'PRECEDES OR EQUAL TO'],
+  ['\\succcurlyeq', '≽', 'SUCCEEDS OR EQUAL TO'],
+  ['\\precsim', '≾', 'PRECEDES OR EQUIVALENT TO'],
+  ['\\succsim', '≿', 'SUCCEEDS OR EQUIVALENT TO'],
+  ['\\mid', '∣', 'DIVIDES'],
+  ['\\nmid', '∤', 'DOES NOT DIVIDE'],
+  ['\\parallel', '∥', 'PARALLEL TO'],
+  ['\\nparallel', '∦', 'NOT PARALLEL TO'],
+  ['\\perp', '⊥', 'UP TACK'],
+  ['\\models', '⊨', 'TRUE'],
+  ['\\vdash', '⊢', 'RIGHT TACK'],
+  ['\\dashv', '⊣', 'LEFT TACK'],
+  ['\\vDash', '⊨', 'TRUE'],
+  ['\\Vdash', '⊩', 'FORCES'],
+  ['\\Vvdash', '⊪', 'TRIPLE VERTICAL BAR RIGHT TURNSTILE'],
+  ['\\nvdash', '⊬', 'DOES NOT PROVE'],
+  ['\\nvDash', '⊭', 'NOT TRUE'],
+  ['\\bowtie', '⋈', 'BOWTIE'],
+  ['\\Join', '⨝', 'JOIN'],
+  ['\\smile', '⌣', 'SMILE'],
+  ['\\frown', '⌢', 'FROWN'],
+  ['\\leqq', '≦', 'LESS-THAN OVER EQUAL TO'],
+  ['\\geqq', '≧', 'GREATER-THAN OVER EQUAL TO'],
+  ['\\leqslant', '⩽', 'LESS-THAN OR SLANTED EQUAL TO'],
+  ['\\geqslant', '⩾', 'GREATER-THAN OR SLANTED EQUAL TO'],
+  ['\\lesssim', '≲', 'LESS-THAN OR EQUIVALENT TO'],
+  ['\\gtrsim', '≳', 'GREATER-THAN OR EQUIVALENT TO'],
+  ['\\lessgtr', '≶', 'LESS-THAN OR GREATER-THAN'],
+  ['\\gtrless', '≷', 'GREATER-THAN OR LESS-THAN'],
+  ['\\lesseqgtr', '⋚', 'LESS-THAN EQUAL TO OR GREATER-THAN'],
+  ['\\gtreqless', '⋛', 'GREATER-THAN EQUAL TO OR LESS-THAN'],
+  ['\\lessdot', '⋖', 'LESS-THAN WITH DOT'],
+  ['\\gtrdot', '⋗', 'GREATER-THAN WITH DOT'],
+  ['\\eqcirc', '≖', 'RING IN EQUAL TO'],
+  ['\\circeq', '≗', 'RING EQUAL TO'],
+  ['\\triangleq', '≜', 'DELTA EQUAL TO'],
+  ['\\bumpeq', '≏', 'DIFFERENCE BETWEEN'],
+  ['\\Bumpeq', '≎', 'GEOMETRICALLY EQUIVALENT TO'],
+  ['\\thicksim', '∼', 'TILDE OPERATOR'],
+  ['\\thickapprox', '≈', 'ALMOST EQUAL TO'],
+  ['\\backsim', '∽', 'REVERSED TILDE'],
+  ['\\backsimeq', '⋍', 'REVERSED TILDE EQUALS'],
+  ['\\risingdotseq', '≓', 'IMAGE OF OR APPROXIMATELY EQUAL TO'],
+  ['\\fallingdotseq', '≒', 'APPROXIMATELY EQUAL TO OR THE IMAGE OF'],
+  ['\\between', '≬', 'BETWEEN'],
+  ['\\pitchfork', '⋔', 'PITCHFORK'],
+  ['\\vartriangleleft', '⊲', 'NORMAL SUBGROUP OF'],
+  ['\\vartriangleright', '⊳', 'CONTAINS AS NORMAL SUBGROUP'],
+  ['\\trianglelefteq', '⊴', 'NORMAL SUBGROUP OF OR EQUAL TO'],
+  ['\\trianglerighteq', '⊵', 'CONTAINS AS NORMAL SUBGROUP OR EQUAL TO'],
+  ['\\coloneq', '≔', 'COLON EQUALS'],
+  ['\\coloneqq', '≔', 'COLON EQUALS'],
+  ['\\eqqcolon', '≕', 'EQUALS COLON'],
+  ['\\stareq', '≛', 'STAR EQUALS'],
+  ['\\questeq', '≟', 'QUESTIONED EQUAL TO'],
+  
+  // Negated relations
+  ['\\nless', '≮', 'NOT LESS-THAN'],
+  ['\\ngtr', '≯', 'NOT GREATER-THAN'],
+  ['\\nleq', '≰', 'NEITHER LESS-THAN NOR EQUAL TO'],
+  ['\\ngeq', '≱', 'NEITHER GREATER-THAN NOR EQUAL TO'],
+  ['\\nsim', '≁', 'NOT TILDE'],
+  ['\\ncong', '≇', 'NEITHER APPROXIMATELY NOR ACTUALLY EQUAL TO'],
+  ['\\nequiv', '≢', 'NOT IDENTICAL TO'],
+  ['\\napprox', '≉', 'NOT ALMOST EQUAL TO'],
+  ['\\nprec', '⊀', 'DOES NOT PRECEDE'],
+  ['\\nsucc', '⊁', 'DOES NOT SUCCEED'],
+  ['\\lneqq', '≨', 'LESS-THAN BUT NOT EQUAL TO'],
+  ['\\gneqq', '≩', 'GREATER-THAN BUT NOT EQUAL TO'],
+  ['\\lnsim', '⋦', 'LESS-THAN BUT NOT EQUIVALENT TO'],
+  ['\\gnsim', '⋧', 'GREATER-THAN BUT NOT EQUIVALENT TO'],
+  ['\\ntriangleleft', '⋪', 'NOT NORMAL SUBGROUP OF'],
+  ['\\ntriangleright', '⋫', 'DOES NOT CONTAIN AS NORMAL SUBGROUP'],
+  ['\\ntrianglelefteq', '⋬', 'NOT NORMAL SUBGROUP OF OR EQUAL TO'],
+  ['\\ntrianglerighteq', '⋭', 'DOES NOT CONTAIN AS NORMAL SUBGROUP OR EQUAL'],
+  ['\\nVdash', '⊮', 'DOES NOT FORCE'],
+  ['\\nVDash', '⊯', 'NEGATED DOUBLE VERTICAL BAR DOUBLE RIGHT TURNSTILE'],
+  
+  // Sets
+  ['\\in', '∈', 'ELEMENT OF'],
+  ['\\notin', '∉', 'NOT AN ELEMENT OF'],
+  ['\\ni', '∋', 'CONTAINS AS MEMBER'],
+  ['\\owns', '∋', 'CONTAINS AS MEMBER'],
+  ['\\nni', '∌', 'DOES NOT CONTAIN AS MEMBER'],
+  ['\\subset', '⊂', 'SUBSET OF'],
+  ['\\supset', '⊃', 'SUPERSET OF'],
+  ['\\subseteq', '⊆', 'SUBSET OF OR EQUAL TO'],
+  ['\\supseteq', '⊇', 'SUPERSET OF OR EQUAL TO'],
+  ['\\subsetneq', '⊊', 'SUBSET OF WITH NOT EQUAL TO'],
+  ['\\supsetneq', '⊋', 'SUPERSET OF WITH NOT EQUAL TO'],
+  ['\\nsubset', '⊄', 'NOT A SUBSET OF'],
+  ['\\nsupset', '⊅', 'NOT A SUPERSET OF'],
+  ['\\nsubseteq', '⊈', 'NEITHER A SUBSET OF NOR EQUAL TO'],
+  ['\\nsupseteq', '⊉', 'NEITHER A SUPERSET OF NOR EQUAL TO'],
+  ['\\sqsubset', '⊏', 'SQUARE IMAGE OF'],
+  ['\\sqsupset', '⊐', 'SQUARE ORIGINAL OF'],
+  ['\\sqsubseteq', '⊑', 'SQUARE IMAGE OF OR EQUAL TO'],
+  ['\\sqsupseteq', '⊒', 'SQUARE ORIGINAL OF OR EQUAL TO'],
+  ['\\Subset', '⋐', 'DOUBLE SUBSET'],
+  ['\\Supset', '⋑', 'DOUBLE SUPERSET'],
+  ['\\smallin', '∊', 'SMALL ELEMENT OF'],
+  ['\\smallni', '∍', 'SMALL CONTAINS AS MEMBER'],
+  
+  // Arrows
+  ['\\leftarrow', '←', 'LEFTWARDS ARROW'],
+  ['\\gets', '←', 'LEFTWARDS ARROW'],
+  ['\\rightarrow', '→', 'RIGHTWARDS ARROW'],
+  ['\\to', '→', 'RIGHTWARDS ARROW'],
+  ['\\uparrow', '↑', 'UPWARDS ARROW'],
+  ['\\downarrow', '↓', 'DOWNWARDS ARROW'],
+  ['\\leftrightarrow', '↔', 'LEFT RIGHT ARROW'],
+  ['\\updownarrow', '↕', 'UP DOWN ARROW'],
+  ['\\nwarrow', '↖', 'NORTH WEST ARROW'],
+  ['\\nearrow', '↗', 'NORTH EAST ARROW'],
+  ['\\searrow', '↘', 'SOUTH EAST ARROW'],
+  ['\\swarrow', '↙', 'SOUTH WEST ARROW'],
+  ['\\Leftarrow', '⇐', 'LEFTWARDS DOUBLE ARROW'],
+  ['\\Rightarrow', '⇒', 'RIGHTWARDS DOUBLE ARROW'],
+  ['\\Uparrow', '⇑', 'UPWARDS DOUBLE ARROW'],
+  ['\\Downarrow', '⇓', 'DOWNWARDS DOUBLE ARROW'],
+  ['\\Leftrightarrow', '⇔', 'LEFT RIGHT DOUBLE ARROW'],
+  ['\\Updownarrow', '⇕', 'UP DOWN DOUBLE ARROW'],
+  ['\\longleftarrow', '⟵', 'LONG LEFTWARDS ARROW'],
+  ['\\longrightarrow', '⟶', 'LONG RIGHTWARDS ARROW'],
+  ['\\longleftrightarrow', '⟷', 'LONG LEFT RIGHT ARROW'],
+  ['\\Longleftarrow', '⟸', 'LONG LEFTWARDS DOUBLE ARROW'],
+  ['\\Longrightarrow', '⟹', 'LONG RIGHTWARDS DOUBLE ARROW'],
+  ['\\Longleftrightarrow', '⟺', 'LONG LEFT RIGHT DOUBLE ARROW'],
+  ['\\implies', '⟹', 'LONG RIGHTWARDS DOUBLE ARROW'],
+  ['\\impliedby', '⟸', 'LONG LEFTWARDS DOUBLE ARROW'],
+  ['\\iff', '⟺', 'LONG LEFT RIGHT DOUBLE ARROW'],
+  ['\\mapsto', '↦', 'RIGHTWARDS ARROW FROM BAR'],
+  ['\\longmapsto', '⟼', 'LONG RIGHTWARDS ARROW FROM BAR'],
+  ['\\mapsfrom', '↤', 'LEFTWARDS ARROW FROM BAR'],
+  ['\\hookleftarrow', '↩', 'LEFTWARDS ARROW WITH HOOK'],
+  ['\\hookrightarrow', '↪', 'RIGHTWARDS ARROW WITH HOOK'],
+  ['\\leftharpoonup', '↼', 'LEFTWARDS HARPOON WITH BARB UPWARDS'],
+  ['\\leftharpoondown', '↽', 'LEFTWARDS HARPOON WITH BARB DOWNWARDS'],
+  ['\\rightharpoonup', '⇀', 'RIGHTWARDS HARPOON WITH BARB UPWARDS'],
+  ['\\rightharpoondown', '⇁', 'RIGHTWARDS HARPOON WITH BARB DOWNWARDS'],
+  ['\\upharpoonleft', '↿', 'UPWARDS HARPOON WITH BARB LEFTWARDS'],
+  ['\\upharpoonright', '↾', 'UPWARDS HARPOON WITH BARB RIGHTWARDS'],
+  ['\\downharpoonleft', '⇃', 'DOWNWARDS HARPOON WITH BARB LEFTWARDS'],
+  ['\\downharpoonright', '⇂', 'DOWNWARDS HARPOON WITH BARB RIGHTWARDS'],
+  ['\\rightleftharpoons', '⇌', 'RIGHTWARDS HARPOON OVER LEFTWARDS HARPOON'],
+  ['\\leftrightharpoons', '⇋', 'LEFTWARDS HARPOON OVER RIGHTWARDS HARPOON'],
+  ['\\leftleftarrows', '⇇', 'LEFTWARDS PAIRED ARROWS'],
+  ['\\rightrightarrows', '⇉', 'RIGHTWARDS PAIRED ARROWS'],
+  ['\\upuparrows', '⇈', 'UPWARDS PAIRED ARROWS'],
+  ['\\downdownarrows', '⇊', 'DOWNWARDS PAIRED ARROWS'],
+  ['\\leftrightarrows', '⇆', 'LEFTWARDS ARROW OVER RIGHTWARDS ARROW'],
+  ['\\rightleftarrows', '⇄', 'RIGHTWARDS ARROW OVER LEFTWARDS ARROW'],
+  ['\\Lleftarrow', '⇚', 'LEFTWARDS TRIPLE ARROW'],
+  ['\\Rrightarrow', '⇛', 'RIGHTWARDS TRIPLE ARROW'],
+  ['\\twoheadleftarrow', '↞', 'LEFTWARDS TWO HEADED ARROW'],
+  ['\\twoheadrightarrow', '↠', 'RIGHTWARDS TWO HEADED ARROW'],
+  ['\\leftarrowtail', '↢', 'LEFTWARDS ARROW WITH TAIL'],
+  ['\\rightarrowtail', '↣', 'RIGHTWARDS ARROW WITH TAIL'],
+  ['\\looparrowleft', '↫', 'LEFTWARDS ARROW WITH LOOP'],
+  ['\\looparrowright', '↬', 'RIGHTWARDS ARROW WITH LOOP'],
+  ['\\curvearrowleft', '↶', 'ANTICLOCKWISE TOP SEMICIRCLE ARROW'],
+  ['\\curvearrowright', '↷', 'CLOCKWISE TOP SEMICIRCLE ARROW'],
+  ['\\circlearrowleft', '↺', 'ANTICLOCKWISE OPEN CIRCLE ARROW'],
+  ['\\circlearrowright', '↻', 'CLOCKWISE OPEN CIRCLE ARROW'],
+  ['\\Lsh', '↰', 'UPWARDS ARROW WITH TIP LEFTWARDS'],
+  ['\\Rsh', '↱', 'UPWARDS ARROW WITH TIP RIGHTWARDS'],
+  ['\\leftsquigarrow', '⇜', 'LEFTWARDS SQUIGGLE ARROW'],
+  ['\\rightsquigarrow', '⇝', 'RIGHTWARDS SQUIGGLE ARROW'],
+  ['\\leadsto', '⇝', 'RIGHTWARDS SQUIGGLE ARROW'],
+  ['\\leftrightsquigarrow', '↭', 'LEFT RIGHT WAVE ARROW'],
+  ['\\multimap', '⊸', 'MULTIMAP'],
+  ['\\nleftarrow', '↚', 'LEFTWARDS ARROW WITH STROKE'],
+  ['\\nrightarrow', '↛', 'RIGHTWARDS ARROW WITH STROKE'],
+  ['\\nleftrightarrow', '↮', 'LEFT RIGHT ARROW WITH STROKE'],
+  ['\\nLeftarrow', '⇍', 'LEFTWARDS DOUBLE ARROW WITH STROKE'],
+  ['\\nRightarrow', '⇏', 'RIGHTWARDS DOUBLE ARROW WITH STROKE'],
+  ['\\nLeftrightarrow', '⇎', 'LEFT RIGHT DOUBLE ARROW WITH STROKE'],
+  ['\\dashleftarrow', '⇠', 'LEFTWARDS DASHED ARROW'],
+  ['\\dashrightarrow', '⇢', 'RIGHTWARDS DASHED ARROW'],
+  ['\\restriction', '↾', 'UPWARDS HARPOON WITH BARB RIGHTWARDS'],
+  
+  // Big operators
+  ['\\sum', '∑', 'N-ARY SUMMATION'],
+  ['\\prod', '∏', 'N-ARY PRODUCT'],
+  ['\\coprod', '∐', 'N-ARY COPRODUCT'],
+  ['\\int', '∫', 'INTEGRAL'],
+  ['\\iint', '∬', 'DOUBLE INTEGRAL'],
+  ['\\iiint', '∭', 'TRIPLE INTEGRAL'],
+  ['\\iiiint', '⨌', 'QUADRUPLE INTEGRAL OPERATOR'],
+  ['\\oint', '∮', 'CONTOUR INTEGRAL'],
+  ['\\oiint', '∯', 'SURFACE INTEGRAL'],
+  ['\\oiiint', '∰', 'VOLUME INTEGRAL'],
+  ['\\bigcap', '⋂', 'N-ARY INTERSECTION'],
+  ['\\bigcup', '⋃', 'N-ARY UNION'],
+  ['\\bigsqcup', '⨆', 'N-ARY SQUARE UNION OPERATOR'],
+  ['\\bigvee', '⋁', 'N-ARY LOGICAL OR'],
+  ['\\bigwedge', '⋀', 'N-ARY LOGICAL AND'],
+  ['\\bigodot', '⨀', 'N-ARY CIRCLED DOT OPERATOR'],
+  ['\\bigoplus', '⨁', 'N-ARY CIRCLED PLUS OPERATOR'],
+  ['\\bigotimes', '⨂', 'N-ARY CIRCLED TIMES OPERATOR'],
+  ['\\biguplus', '⨄', 'N-ARY UNION OPERATOR WITH PLUS'],
+  
+  // Delimiters
+  ['\\langle', '⟨', 'MATHEMATICAL LEFT ANGLE BRACKET'],
+  ['\\rangle', '⟩', 'MATHEMATICAL RIGHT ANGLE BRACKET'],
+  ['\\lceil', '⌈', 'LEFT CEILING'],
+  ['\\rceil', '⌉', 'RIGHT CEILING'],
+  ['\\lfloor', '⌊', 'LEFT FLOOR'],
+  ['\\rfloor', '⌋', 'RIGHT FLOOR'],
+  ['\\lbrace', '{', 'LEFT CURLY BRACKET'],
+  ['\\rbrace', '}', 'RIGHT CURLY BRACKET'],
+  ['\\lbrack', '[', 'LEFT SQUARE BRACKET'],
+  ['\\rbrack', ']', 'RIGHT SQUARE BRACKET'],
+  ['\\vert', '|', 'VERTICAL LINE'],
+  ['\\Vert', '‖', 'DOUBLE VERTICAL LINE'],
+  ['\\|', '‖', 'DOUBLE VERTICAL LINE'],
+  ['\\lvert', '|', 'VERTICAL LINE'],
+  ['\\rvert', '|', 'VERTICAL LINE'],
+  ['\\lVert', '‖', 'DOUBLE VERTICAL LINE'],
+  ['\\rVert', '‖', 'DOUBLE VERTICAL LINE'],
+  ['\\backslash', '∖', 'SET MINUS'],
+  ['\\ulcorner', '⌜', 'TOP LEFT CORNER'],
+  ['\\urcorner', '⌝', 'TOP RIGHT CORNER'],
+  ['\\llcorner', '⌞', 'BOTTOM LEFT CORNER'],
+  ['\\lrcorner', '⌟', 'BOTTOM RIGHT CORNER'],
+  ['\\llbracket', '⟦', 'MATHEMATICAL LEFT WHITE SQUARE BRACKET'],
+  ['\\rrbracket', '⟧', 'MATHEMATICAL RIGHT WHITE SQUARE BRACKET'],
+  ['\\lgroup', '⟮', 'MATHEMATICAL LEFT FLATTENED PARENTHESIS'],
+  ['\\rgroup', '⟯', 'MATHEMATICAL RIGHT FLATTENED PARENTHESIS'],
+  ['\\lmoustache', '⎰', 'UPPER LEFT OR LOWER RIGHT CURLY BRACKET SECTION'],
+  ['\\rmoustache', '⎱', 'UPPER RIGHT OR LOWER LEFT CURLY BRACKET SECTION'],
+  
+  // Spaces
+  ['\\,', '\u2009', 'THIN SPACE'],
+  ['\\:', '\u205f', 'MEDIUM MATHEMATICAL SPACE'],
+  ['\\;', '\u2004', 'THREE-PER-EM SPACE'],
+  ['\\quad', '\u2003', 'EM SPACE'],
+  ['\\qquad', '\u2003\u2003', 'EM SPACE + EM SPACE'],
+  ['\\enspace', '\u2002', 'EN SPACE'],
+  ['\\thinspace', '\u2009', 'THIN SPACE'],
+  ['\\medspace', '\u205f', 'MEDIUM MATHEMATICAL SPACE'],
+  ['\\thickspace', '\u2004', 'THREE-PER-EM SPACE'],
+  
+  // Accents
+  ['\\acute', '\u0301', 'COMBINING ACUTE ACCENT'],
+  ['\\grave', '\u0300', 'COMBINING GRAVE ACCENT'],
+  ['\\hat', '\u0302', 'COMBINING CIRCUMFLEX ACCENT'],
+  ['\\widehat', '\u0302', 'COMBINING CIRCUMFLEX ACCENT'],
+  ['\\check', '\u030c', 'COMBINING CARON'],
+  ['\\tilde', '\u0303', 'COMBINING TILDE'],
+  ['\\widetilde', '\u0303', 'COMBINING TILDE'],
+  ['\\bar', '\u0304', 'COMBINING MACRON'],
+  ['\\overline', '\u0305', 'COMBINING OVERLINE'],
+  ['\\breve', '\u0306', 'COMBINING BREVE'],
+  ['\\dot', '\u0307', 'COMBINING DOT ABOVE'],
+  ['\\ddot', '\u0308', 'COMBINING DIAERESIS'],
+  ['\\dddot', '\u20db', 'COMBINING THREE DOTS ABOVE'],
+  ['\\ddddot', '\u20dc', 'COMBINING FOUR DOTS ABOVE'],
+  ['\\mathring', '\u030a', 'COMBINING RING ABOVE'],
+  ['\\vec', '\u20d7', 'COMBINING RIGHT ARROW ABOVE'],
+  ['\\overrightarrow', '\u20d7', 'COMBINING RIGHT ARROW ABOVE'],
+  ['\\overleftarrow', '\u20d6', 'COMBINING LEFT ARROW ABOVE'],
+  ['\\overleftrightarrow', '\u20e1', 'COMBINING LEFT RIGHT ARROW ABOVE'],
+  ['\\underbar', '\u0332', 'COMBINING LOW LINE'],
+  ['\\underline', '\u0332', 'COMBINING LOW LINE'],
+  ['\\utilde', '\u0330', 'COMBINING TILDE BELOW'],
+  ['\\not', '\u0338', 'COMBINING LONG SOLIDUS OVERLAY']
+];
+
+const LATEX_SYMBOLS = new Map(
+  LATEX_SYMBOL_TABLE.map(([command, char, name]) => [command, { char, name }])
+);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LATEX_SYMBOLS, LATEX_SYMBOL_TABLE };
+} else if (typeof window !== 'undefined') {
+  window.LyXSymbols = LATEX_SYMBOLS;
+}
\ No newline at end of file
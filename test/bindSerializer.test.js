@@ -0,0 +1,143 @@
+/**
+ * Bind file export tests: parse -> serialize -> parse must give the same bindings
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, readFile, loadScripts, createBundledLibrary } = require('./browserEnv');
+
+const window = loadScripts([...PARSER_SCRIPTS, 'src/bindSerializer.js']);
+const library = createBundledLibrary(window);
+const serializer = new window.LyXBindSerializer();
+
+/**
+ * Create a parser resolving includes against the bundled bind files
+ * @returns {LyXParser} - Parser
+ */
+function createParser() {
+  const parser = new window.LyXParser();
+  parser.setPlatform('pc');
+  parser.setLibrary(library);
+  return parser;
+}
+
+/**
+ * Describe a bindings map by what a round trip must keep
+ * @param {Map} bindings - Bindings by binding key
+ * @returns {Object} - Key spelling and command by binding key
+ */
+function describe(bindings) {
+  return Object.fromEntries([...bindings].map(([key, binding]) =>
+    [key, `${binding.originalKeySequence} -> ${binding.command}`]
+  ));
+}
+
+/**
+ * Serialize a parse and parse the result again
+ * @param {Map} bindings - Bindings to serialize
+ * @param {Array} entries - Source lines of the parse
+ * @param {string} name - File name to parse the output as
+ * @returns {Object} - { text, bindings, diagnostics } of the second parse
+ */
+function roundTrip(bindings, entries, name) {
+  const text = serializer.serialize(bindings, entries);
+  const parser = createParser();
+  const result = new Map(parser.parse(text, name));
+  return { text, bindings: result, diagnostics: parser.getDiagnostics() };
+}
+
+for (const file of ['bind/mac.bind', 'bind/math.bind', 'example.bind']) {
+  test(`${file} round-trips`, () => {
+    const name = file.split('/').pop();
+    const parser = createParser();
+    const bindings = new Map(parser.parse(readFile(file), name));
+    assert.ok(bindings.size > 0);
+    
+    const result = roundTrip(bindings, parser.getEntries(), name);
+    assert.deepStrictEqual(describe(result.bindings), describe(bindings));
+  });
+}
+
+test('comments, layout and order are kept', () => {
+  const source = readFile('bind/math.bind');
+  const parser = createParser();
+  const text = serializer.serialize(parser.parse(source, 'math.bind'), parser.getEntries());
+  
+  // Only the Format header is rewritten to the format we write
+  const body = lines => lines.split('\n').filter(line => !/^Format\s/.test(line));
+  assert.deepStrictEqual(body(text), body(source));
+});
+
+test('edited and removed bindings are written back', () => {
+  const source = [
+    'Format 4',
+    '# Greek',
+    '\\bind "M-m g a"   "math-insert \\alpha"  # alpha',
+    '\\bind "M-m g b"   "math-insert \\beta"',
+    '\\bind "C-q"       "self-insert q"'
+  ].join('\n');
+  const parser = createParser();
+  const bindings = new Map(parser.parse(source, 'bindings'));
+  
+  bindings.set('Alt+m g a', { ...bindings.get('Alt+m g a'), command: 'math-insert \\gamma' });
+  bindings.delete('Ctrl+q');
+  bindings.set('Ctrl+z', {
+    keySequence: 'Ctrl+z',
+    originalKeySequence: 'C-z',
+    command: 'math-insert \\infty',
+    sourceFile: 'bindings'
+  });
+  
+  const result = roundTrip(bindings, parser.getEntries(), 'bindings');
+  const lines = result.text.split('\n');
+  assert.ok(lines.includes('\\bind "M-m g a"   "math-insert \\gamma"  # alpha'));
+  assert.ok(lines.includes('\\bind "C-z" "math-insert \\infty"'));
+  assert.ok(lines.includes('\\unbind "C-q" "self-insert q"'));
+  assert.deepStrictEqual(describe(result.bindings), describe(bindings));
+});
+
+test('a layered export round-trips', () => {
+  const editor = [
+    '\\bind "M-m g a" "math-insert \\beta"  # mine',
+    '\\unbind "M-m g b" "math-insert \\beta"',
+    '\\bind "C-S-d" "math-insert \\partial"'
+  ].join('\n');
+  const layers = library.resolveLayers([
+    { name: 'mac.bind', enabled: true },
+    { name: window.LyXBindLibrary.EDITOR_LAYER, enabled: true }
+  ], editor);
+  
+  const parser = createParser();
+  const bindings = new Map(parser.parseLayers(layers));
+  assert.strictEqual(bindings.get('Alt+m g a').command, 'math-insert \\beta');
+  assert.ok(!bindings.has('Alt+m g b'));
+  
+  const result = roundTrip(bindings, parser.getEntries(), 'lyx-hotkeys.bind');
+  assert.deepStrictEqual(describe(result.bindings), describe(bindings));
+});
+
+test('a layer limited to a context is exported to a file of its own', () => {
+  const editor = [
+    '\\bind "M-m g a" "math-insert \\beta"',
+    '\\bind "C-S-d" "math-insert \\partial"'
+  ].join('\n');
+  const layers = library.resolveLayers([
+    { name: 'mac.bind', enabled: true },
+    { name: window.LyXBindLibrary.EDITOR_LAYER, enabled: true, context: 'math' }
+  ], editor);
+  
+  const parser = createParser();
+  const bindings = new Map(parser.parseLayers(layers));
+  assert.strictEqual(bindings.get('math:Alt+m g a').command, 'math-insert \\beta');
+  assert.strictEqual(serializer.contexts(bindings).join(' '), 'any math');
+  
+  // Each file is added back as a layer limited to its context
+  const exported = serializer.contexts(bindings).map(context => ({
+    name: `${context}.bind`,
+    content: serializer.serialize(bindings, parser.getEntries(), context),
+    context
+  }));
+  assert.ok(!exported[0].content.includes('\\partial'));
+  
+  const result = createParser().parseLayers(exported);
+  assert.deepStrictEqual(describe(result), describe(bindings));
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Browser environment for the tests and benchmarks
+ * Runs the extension's scripts in a Node sandbox the way the browser runs
+ * content scripts: in order, sharing one global object that is also window
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Scripts the parser needs, in manifest order
+ */
+const PARSER_SCRIPTS = [
+  'src/bindLibrary.js',
+  'src/keyNames.js',
+  'src/lfuns.js',
+  'src/bindLexer.js',
+  'src/importers.js',
+  'src/symbols.js',
+  'src/renderers.js',
+  'src/macros.js',
+  'src/quotes.js',
+  'src/parser.js'
+];
+
+/**
+ * Read a file of the extension
+ * @param {string} file - Path relative to the extension root
+ * @returns {string} - File content
+ */
+function readFile(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Run scripts of the extension in a fresh sandbox
+ * @param {Array} files - Paths relative to the extension root, in load order
+ * @param {Object} globals - Extra globals, e.g. stubs of browser APIs
+ * @returns {Object} - The sandbox's window, holding what the scripts export
+ */
+function loadScripts(files, globals = {}) {
+  const window = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    performance,
+    ...globals
+  });
+  window.window = window;
+  
+  for (const file of files) {
+    vm.runInContext(readFile(file), window, { filename: file });
+  }
+  return window;
+}
+
+/**
+ * Create a stand-in for the chrome extension API, with storage kept in memory
+ * @returns {Object} - Object to pass as the chrome global
+ */
+function createChromeStub() {
+  const createArea = () => {
+    const items = {};
+    return {
+      get: async keys => Object.fromEntries([].concat(keys).filter(key => key in items).map(key => [key, items[key]])),
+      set: async values => { Object.assign(items, values); }
+    };
+  };
+  return { storage: { sync: createArea(), local: createArea() } };
+}
+
+/**
+ * Create a bind library holding the bundled bind files
+ * @param {Object} window - Sandbox from loadScripts
+ * @returns {BindLibrary} - Library with the files of bind/
+ */
+function createBundledLibrary(window) {
+  const library = new window.LyXBindLibrary();
+  for (const name of window.LyXBindLibrary.BUNDLED_FILES) {
+    library.bundledFiles.set(name, readFile(`bind/${name}`));
+  }
+  return library;
+}
+
+module.exports = { ROOT, PARSER_SCRIPTS, readFile, loadScripts, createChromeStub, createBundledLibrary };
\ No newline at end of file
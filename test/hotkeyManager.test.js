@@ -0,0 +1,53 @@
+/**
+ * Hotkey manager tests: which held-back keys are typed again as text
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, loadScripts, createChromeStub } = require('./browserEnv');
+
+/**
+ * Create a manager on a platform
+ * @param {string} platform - navigator.platform, e.g. 'MacIntel' or 'Win32'
+ * @returns {HotkeyManager} - Manager
+ */
+function createManager(platform) {
+  const window = loadScripts([...PARSER_SCRIPTS, 'src/keyTrie.js', 'src/hotkeyManager.js'], {
+    chrome: createChromeStub(),
+    navigator: { platform }
+  });
+  return new window.LyXHotkeyManager();
+}
+
+/**
+ * Build a keydown event in a textarea
+ * @param {string} key - KeyboardEvent key
+ * @param {Object} modifiers - { ctrlKey, altKey, metaKey, altGraph }
+ * @returns {Object} - KeyboardEvent-like object
+ */
+function createEvent(key, modifiers = {}) {
+  return {
+    key,
+    ctrlKey: !!modifiers.ctrlKey,
+    altKey: !!modifiers.altKey,
+    shiftKey: false,
+    metaKey: !!modifiers.metaKey,
+    target: { tagName: 'TEXTAREA' },
+    getModifierState: state => state === 'AltGraph' && !!modifiers.altGraph
+  };
+}
+
+test('Option characters are typed again on the Mac', () => {
+  const manager = createManager('MacIntel');
+  assert.strictEqual(manager.eventToText(createEvent('µ', { altKey: true })), 'µ');
+  assert.strictEqual(manager.eventToText(createEvent('Dead', { altKey: true })), null);
+  assert.strictEqual(manager.eventToText(createEvent('v', { metaKey: true })), null);
+  assert.strictEqual(manager.eventToText(createEvent('c', { ctrlKey: true, altKey: true })), null);
+});
+
+test('only AltGr characters are typed again elsewhere', () => {
+  const manager = createManager('Win32');
+  assert.strictEqual(manager.eventToText(createEvent('@', { ctrlKey: true, altKey: true, altGraph: true })), '@');
+  assert.strictEqual(manager.eventToText(createEvent('m', { altKey: true })), null);
+  assert.strictEqual(manager.eventToText(createEvent('v', { ctrlKey: true })), null);
+  assert.strictEqual(manager.eventToText(createEvent('a')), 'a');
+});
\ No newline at end of file
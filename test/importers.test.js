@@ -0,0 +1,47 @@
+/**
+ * Importer tests: imported shortcuts must normalize to the keys the browser reports
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, loadScripts } = require('./browserEnv');
+
+const window = loadScripts(PARSER_SCRIPTS);
+
+/**
+ * Import a VS Code keybindings.json
+ * @param {Array} items - Keybindings
+ * @returns {LyXParser} - Parser holding the result
+ */
+function importVSCode(items) {
+  const parser = new window.LyXParser();
+  parser.setPlatform('pc');
+  parser.importFile(JSON.stringify(items, null, 2), 'keybindings.json', 'vscode');
+  return parser;
+}
+
+test('VS Code Shift on digits and punctuation becomes the shifted character', () => {
+  const parser = importVSCode([
+    { key: 'ctrl+shift+;', command: 'type', args: { text: 'a' } },
+    { key: 'alt+shift+1', command: 'type', args: { text: 'b' } },
+    { key: 'ctrl+shift+d', command: 'type', args: { text: 'c' } },
+    { key: 'ctrl+;', command: 'type', args: { text: 'd' } }
+  ]);
+  const keys = Object.fromEntries([...parser.getBindings().values()].map(binding =>
+    [binding.command.split(' ')[1], binding.keySequence]
+  ));
+  
+  assert.strictEqual(keys.a, 'Ctrl+:');
+  assert.strictEqual(keys.b, 'Alt+!');
+  assert.strictEqual(keys.c, 'Ctrl+Shift+D');
+  assert.strictEqual(keys.d, 'Ctrl+;');
+  assert.strictEqual(parser.getDiagnostics().filter(diagnostic => diagnostic.severity === 'info').length, 2);
+});
+
+test('VS Code Shift on a key that types nothing shifted is skipped', () => {
+  const parser = importVSCode([{ key: 'ctrl+shift+§', command: 'type', args: { text: 'a' } }]);
+  
+  assert.strictEqual(parser.getBindings().size, 0);
+  assert.ok(parser.getDiagnostics().some(diagnostic =>
+    diagnostic.severity === 'warning' && diagnostic.message.includes('shift+§')
+  ));
+});
\ No newline at end of file
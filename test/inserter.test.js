@@ -0,0 +1,52 @@
+/**
+ * Inserter tests: what is inserted in rich text, with the selection stubbed
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, loadScripts } = require('./browserEnv');
+
+let range = null;
+const window = loadScripts([...PARSER_SCRIPTS, 'src/inserter.js'], {
+  Node: { TEXT_NODE: 3, ELEMENT_NODE: 1 },
+  getSelection: () => ({ rangeCount: range ? 1 : 0, getRangeAt: () => range })
+});
+
+/**
+ * Build a text node
+ * @param {string} data - Text
+ * @returns {Object} - Text node stand-in
+ */
+function textNode(data) {
+  return { nodeType: 3, data, textContent: data };
+}
+
+/**
+ * Insert a quote in a contentEditable element
+ * @param {Object} selection - Range stand-in: { startContainer, startOffset, endContainer, endOffset }
+ * @returns {string} - Text inserted
+ */
+function insertQuote(selection) {
+  range = selection;
+  const inserter = new window.LyXTextInserter();
+  let inserted = null;
+  inserter.insertText = text => { inserted = text; return true; };
+  
+  const editor = { tagName: 'DIV', contentEditable: 'true', isContentEditable: true };
+  inserter.insertQuote({ level: 'outer', side: 'auto', style: 'english' }, editor);
+  return inserted;
+}
+
+test('a quote over a selection of several nodes takes its side from the text before it', () => {
+  const start = textNode('He said ');
+  const end = textNode('hello');
+  assert.strictEqual(insertQuote({ startContainer: start, startOffset: 8, endContainer: end, endOffset: 5 }), '“');
+  
+  const word = textNode('said');
+  assert.strictEqual(insertQuote({ startContainer: word, startOffset: 4, endContainer: end, endOffset: 2 }), '”');
+});
+
+test('a quote between nodes takes its side from the node before the caret', () => {
+  const paragraph = { nodeType: 1, childNodes: [textNode('the end'), { nodeType: 1, textContent: '' }] };
+  assert.strictEqual(insertQuote({ startContainer: paragraph, startOffset: 1, endContainer: paragraph, endOffset: 1 }), '”');
+  assert.strictEqual(insertQuote({ startContainer: paragraph, startOffset: 0, endContainer: paragraph, endOffset: 0 }), '“');
+});
\ No newline at end of file
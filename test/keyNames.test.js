@@ -0,0 +1,123 @@
+/**
+ * Key name tests: every key bound in the bundled bind files must normalize to
+ * the key string HotkeyManager.eventToKeyString produces for that key
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, readFile, loadScripts, createChromeStub } = require('./browserEnv');
+
+const window = loadScripts([...PARSER_SCRIPTS, 'src/keyTrie.js', 'src/hotkeyManager.js'], {
+  chrome: createChromeStub()
+});
+const manager = new window.LyXHotkeyManager();
+
+/**
+ * Build the keydown event a normalized key stands for
+ * @param {string} key - Normalized key, e.g. 'Ctrl+Shift+D' or 'Alt++'
+ * @returns {Object} - KeyboardEvent-like object
+ */
+function keyToEvent(key) {
+  const [, modifiers, name] = key.match(/^((?:(?:Ctrl|Alt|Shift|Meta)\+)*)(.+)$/);
+  return {
+    key: name === 'Space' ? ' ' : name,
+    ctrlKey: modifiers.includes('Ctrl+'),
+    altKey: modifiers.includes('Alt+'),
+    shiftKey: modifiers.includes('Shift+'),
+    metaKey: modifiers.includes('Meta+')
+  };
+}
+
+/**
+ * Parse a bundled bind file on its own
+ * @param {string} name - File name in bind/
+ * @param {string} platform - 'mac' or 'pc'
+ * @returns {LyXParser} - Parser holding the result
+ */
+function parseBundled(name, platform) {
+  const parser = new window.LyXParser();
+  parser.setPlatform(platform);
+  parser.parse(readFile(`bind/${name}`), name);
+  return parser;
+}
+
+for (const name of ['mac.bind', 'math.bind']) {
+  for (const platform of ['pc', 'mac']) {
+    test(`every key of ${name} is accepted on ${platform}`, () => {
+      const parser = parseBundled(name, platform);
+      const rejected = parser.getDiagnostics().filter(diagnostic => diagnostic.severity === 'error');
+      assert.strictEqual(rejected.length, 0,
+        rejected.map(diagnostic => `${diagnostic.line}: ${diagnostic.message}`).join('\n'));
+      
+      const lines = readFile(`bind/${name}`).split('\n').filter(line => /^\s*\\bind\s/.test(line));
+      const bound = parser.getEntries().filter(entry => entry.type === 'bind');
+      assert.strictEqual(bound.length, lines.length);
+    });
+    
+    test(`every key of ${name} matches eventToKeyString on ${platform}`, () => {
+      for (const binding of parseBundled(name, platform).getBindings().values()) {
+        for (const key of binding.keySequence.split(' ')) {
+          assert.strictEqual(manager.eventToKeyString(keyToEvent(key)), key,
+            `${binding.originalKeySequence} normalizes to ${binding.keySequence}`);
+        }
+      }
+    });
+  }
+}
+
+test('LyX key names map to KeyboardEvent keys', () => {
+  const parser = new window.LyXParser();
+  parser.setPlatform('pc');
+  const cases = {
+    '~S-period': '.',
+    '~S-parenleft': '(',
+    '~C-~M-~S-bracketleft': '[',
+    'braceleft': '{',
+    'less': '<',
+    'greater': '>',
+    'bar': '|',
+    'space': 'Space',
+    'M-m g a': 'Alt+m g a',
+    'C-S-d': 'Ctrl+Shift+D',
+    'S-D': 'Shift+D',
+    'KP_Add': '+',
+    'S-KP_Up': 'Shift+ArrowUp',
+    'F12': 'F12',
+    'C-F4': 'Ctrl+F4',
+    'Prior': 'PageUp',
+    'BackTab': 'Tab'
+  };
+  for (const [name, key] of Object.entries(cases)) {
+    assert.strictEqual(parser.normalizeKeySequence(name), key, name);
+  }
+});
+
+test('M- and A- stand for different modifiers', () => {
+  const parser = new window.LyXParser();
+  
+  parser.setPlatform('pc');
+  assert.strictEqual(parser.normalizeKeySequence('M-A-Down'), 'Alt+Meta+ArrowDown');
+  assert.strictEqual(parser.normalizeKeySequence('A-Down'), 'Meta+ArrowDown');
+  
+  // LyX/Mac: C- = Command, M- = Control, A- = Option
+  parser.setPlatform('mac');
+  assert.strictEqual(parser.normalizeKeySequence('C-c'), 'Meta+c');
+  assert.strictEqual(parser.normalizeKeySequence('S-M-A-Down'), 'Ctrl+Alt+Shift+ArrowDown');
+  assert.strictEqual(parser.normalizeKeySequence('A-Down'), 'Alt+ArrowDown');
+});
+
+test('mac.bind only repeats keys it writes twice', () => {
+  for (const platform of ['pc', 'mac']) {
+    const parser = parseBundled('mac.bind', platform);
+    // Entries are in line order, one per line
+    const keyOnLine = line => parser.getEntries()[line - 1].originalKeySequence;
+    const sameKey = (a, b) => a.split('-').sort().join('-') === b.split('-').sort().join('-');
+    
+    for (const diagnostic of parser.getDiagnostics()) {
+      const match = diagnostic.message.match(/^Duplicate key "(.+)" overrides the binding on line (\d+)$/);
+      if (match) {
+        assert.ok(sameKey(match[1], keyOnLine(Number(match[2]))),
+          `${platform}: ${match[1]} collides with ${keyOnLine(Number(match[2]))}`);
+      }
+    }
+  }
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Key trie tests: prefix resolution must follow the order bindings are defined in
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, loadScripts } = require('./browserEnv');
+
+const window = loadScripts([...PARSER_SCRIPTS, 'src/keyTrie.js']);
+
+/**
+ * Parse bind lines and build a trie the way the 'lyx' prefix resolution does
+ * @param {Array} lines - Bind file lines
+ * @returns {KeyTrie} - Trie of the bindings
+ */
+function buildExclusive(lines) {
+  const parser = new window.LyXParser();
+  parser.setPlatform('pc');
+  const trie = new window.LyXKeyTrie();
+  trie.build(parser.parse(['Format 4', ...lines].join('\n'), 'test.bind'), true);
+  return trie;
+}
+
+test('the binding defined last wins in lyx resolution', () => {
+  const trie = buildExclusive([
+    '\\bind "M-m" "math-insert \\alpha"',
+    '\\bind "M-m g" "math-insert \\beta"'
+  ]);
+  assert.strictEqual(trie.get(['Alt+m']), null);
+  assert.strictEqual(trie.get(['Alt+m', 'g']).command, 'math-insert \\beta');
+});
+
+test('a shorter key bound again wins over the longer one bound before it', () => {
+  const trie = buildExclusive([
+    '\\bind "M-m" "math-insert \\alpha"',
+    '\\bind "M-m g" "math-insert \\beta"',
+    '\\bind "M-m" "math-insert \\gamma"'
+  ]);
+  assert.strictEqual(trie.get(['Alt+m']).command, 'math-insert \\gamma');
+  assert.ok(!trie.hasContinuation(['Alt+m']));
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Renderer tests: expressions with fractions, roots and accents must come out
+ * in each format's own form
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PARSER_SCRIPTS, loadScripts } = require('./browserEnv');
+
+const window = loadScripts(PARSER_SCRIPTS);
+const renderers = window.LyXRenderers;
+
+/**
+ * Render an expression and show the caret as '‸'
+ * @param {string} format - Format name
+ * @param {string} latex - LaTeX source
+ * @returns {string} - Rendered text
+ */
+function render(format, latex) {
+  const { text, cursor } = renderers.get(format).renderLatex(latex);
+  return cursor === null ? text : `${text.slice(0, cursor)}‸${text.slice(cursor)}`;
+}
+
+test('fractions, roots and accents in Unicode', () => {
+  assert.strictEqual(render('unicode', '\\frac{1}{2}'), '1/2');
+  assert.strictEqual(render('unicode', '\\frac{a+b}{c}'), '(a+b)/c');
+  assert.strictEqual(render('unicode', '\\frac{#1}{#2}'), '(‸)/()');
+  assert.strictEqual(render('unicode', '\\sqrt{x}'), '√x');
+  assert.strictEqual(render('unicode', '\\sqrt{x+1}'), '√(x+1)');
+  assert.strictEqual(render('unicode', '\\sqrt[3]{x}'), '∛x');
+  assert.strictEqual(render('unicode', '\\sqrt[n]{#1}'), '√(n&‸)');
+  assert.strictEqual(render('unicode', '\\hat{x} + \\vec v'), 'x\u0302+v\u20d7');
+});
+
+test('fractions, roots and accents in LaTeX', () => {
+  assert.strictEqual(render('latex', '\\frac{1}{2}'), '\\frac{1}{2}');
+  assert.strictEqual(render('latex', '\\frac12'), '\\frac{1}{2}');
+  assert.strictEqual(render('latex', '\\sqrt[n]{#1}'), '\\sqrt[n]{‸}');
+  assert.strictEqual(render('latex', '\\hat x'), '\\hat{x}');
+});
+
+test('fractions, roots and accents in MathML', () => {
+  assert.strictEqual(render('mathml', '\\frac{1}{2}'),
+    '<mfrac><mrow><mn>1</mn></mrow><mrow><mn>2</mn></mrow></mfrac>');
+  assert.strictEqual(render('mathml', '\\sqrt{#1}'), '<msqrt>‸</msqrt>');
+  assert.strictEqual(render('mathml', '\\sqrt[3]{x}'),
+    '<mroot><mrow><mi>x</mi></mrow><mrow><mn>3</mn></mrow></mroot>');
+  assert.strictEqual(render('mathml', '\\hat{x}'),
+    '<mover accent="true"><mrow><mi>x</mi></mrow><mo>^</mo></mover>');
+  assert.ok(!render('mathml', '\\frac{a}{b} \\sqrt{c}').includes('<mi>frac</mi>'));
+});
+
+test('fractions, roots and accents in AsciiMath', () => {
+  assert.strictEqual(render('asciimath', '\\frac{1}{2}'), '(1)/(2)');
+  assert.strictEqual(render('asciimath', '\\sqrt[3]{x}'), 'root(3)(x)');
+  assert.strictEqual(render('asciimath', '\\hat{#1}'), 'hat(‸)');
+});
+
+test('AsciiMath only spaces named commands', () => {
+  const asciimath = renderers.get('asciimath');
+  assert.strictEqual(asciimath.renderSymbol('<').text, '<');
+  assert.strictEqual(asciimath.renderSymbol('\\alpha').text, 'alpha ');
+  assert.strictEqual(asciimath.renderSymbol('\\foo').text, 'foo ');
+});
+
+test('a Unicode accent on its own waits for its base', () => {
+  assert.strictEqual(renderers.get('unicode').renderSymbol('\\hat'), null);
+  assert.strictEqual(renderers.get('latex').renderSymbol('\\hat').text, '\\hat{}');
+});
+
+test('a macro expansion is rendered as an expression', () => {
+  const macros = new window.LyXMacroTable();
+  macros.load('\\newcommand{\\half}{\\frac{1}{2}}\n\\newcommand{\\unit}[1]{\\hat{#1}}');
+  const expanded = macros.expand('\\half');
+  
+  assert.strictEqual(render('unicode', expanded), '1/2');
+  assert.strictEqual(render('mathml', expanded),
+    '<mfrac><mrow><mn>1</mn></mrow><mrow><mn>2</mn></mrow></mfrac>');
+  assert.strictEqual(render('asciimath', expanded), '(1)/(2)');
+  assert.strictEqual(render('unicode', macros.expand('\\unit{x}')), 'x\u0302');
+  
+  // Folding matches the rendered expansion back to the call
+  assert.strictEqual(macros.fold('1/2', renderers.get('unicode')), '\\half');
+});
\ No newline at end of file